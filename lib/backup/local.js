@@ -0,0 +1,139 @@
+/**
+ * Local directory backup storage
+ *
+ * Stores backups as files of a local directory (a local disk, or a mounted network volume).
+ *
+ *   const LocalStorage = require('replic-sqlite/backup/local');
+ *   const app = SQLiteOnSteroid(db, myPeerId, { backupStorage : LocalStorage({ directory : '/var/backups/mydb' }), backupRetention : { daily : 7 } });
+ *
+ * A backup storage is an object { put, list, get, delete }. All functions are asynchronous and call callback(err, result).
+ * - put(name, filePath, callback)   : stores the local file filePath as the backup name
+ * - list(callback)                  : returns all backups [{ name, size, createdAt (ms) }, ...] sorted by name
+ * - get(name, filePath, callback)   : writes the backup name to the local file filePath
+ * - delete(name, callback)          : deletes the backup name
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Suffix of files being written. They are never listed, so a partial backup is never restored.
+const TEMPORARY_FILE_SUFFIX = '.tmp';
+
+/**
+ * Creates a local directory backup storage
+ *
+ * @param {Object} options
+ * @param {string} options.directory - Absolute path of the backup directory. It is created by the first put.
+ * @returns {Object} { put, list, get, delete }
+ */
+const LocalStorage = (options) => {
+  const DIRECTORY = options?.directory;
+  if (typeof DIRECTORY !== 'string' || !path.isAbsolute(DIRECTORY)) {
+    throw new Error('The directory of the local backup storage must be an absolute path');
+  }
+
+  /**
+   * Copies a local file in the backup directory
+   *
+   * @param {string} name - Backup name (file name without directory)
+   * @param {string} filePath - Absolute path of the file to store
+   * @param {Function} callback - callback(err)
+   */
+  function put (name, filePath, callback) {
+    const _backupPath = _getBackupPath(name);
+    if (_backupPath instanceof Error) {
+      return callback(_backupPath);
+    }
+    fs.mkdir(DIRECTORY, { recursive : true }, (err) => {
+      if (err) {
+        return callback(err);
+      }
+      fs.copyFile(filePath, _backupPath + TEMPORARY_FILE_SUFFIX, (err) => {
+        if (err) {
+          return callback(err);
+        }
+        fs.rename(_backupPath + TEMPORARY_FILE_SUFFIX, _backupPath, callback);
+      });
+    });
+  }
+
+  /**
+   * Lists the backups of the directory
+   *
+   * @param {Function} callback - callback(err, [{ name, size, createdAt }, ...]) sorted by name
+   */
+  function list (callback) {
+    fs.readdir(DIRECTORY, { withFileTypes : true }, (err, entries) => {
+      if (err?.code === 'ENOENT') {
+        return callback(null, []);
+      }
+      if (err) {
+        return callback(err);
+      }
+      const _backups = [];
+      try {
+        for (const _entry of entries) {
+          if (!_entry.isFile() || _entry.name.endsWith(TEMPORARY_FILE_SUFFIX)) {
+            continue;
+          }
+          const _stat = fs.statSync(path.join(DIRECTORY, _entry.name));
+          _backups.push({ name : _entry.name, size : _stat.size, createdAt : _stat.mtimeMs });
+        }
+      }
+      catch (e) {
+        return callback(e);
+      }
+      callback(null, _backups.sort((a, b) => (a.name < b.name ? -1 : 1)));
+    });
+  }
+
+  /**
+   * Copies a backup to a local file
+   *
+   * @param {string} name - Backup name
+   * @param {string} filePath - Absolute path of the destination file
+   * @param {Function} callback - callback(err)
+   */
+  function get (name, filePath, callback) {
+    const _backupPath = _getBackupPath(name);
+    if (_backupPath instanceof Error) {
+      return callback(_backupPath);
+    }
+    fs.copyFile(_backupPath, filePath, callback);
+  }
+
+  /**
+   * Deletes a backup. Deleting a backup which does not exist is not an error.
+   *
+   * @param {string} name - Backup name
+   * @param {Function} callback - callback(err)
+   */
+  function remove (name, callback) {
+    const _backupPath = _getBackupPath(name);
+    if (_backupPath instanceof Error) {
+      return callback(_backupPath);
+    }
+    fs.rm(_backupPath, { force : true }, callback);
+  }
+
+  /**
+   * Returns the path of a backup, or an Error if the name is not a simple file name
+   *
+   * @param {string} name
+   * @returns {string|Error}
+   */
+  function _getBackupPath (name) {
+    if (typeof name !== 'string' || name === '' || path.basename(name) !== name || name.endsWith(TEMPORARY_FILE_SUFFIX)) {
+      return new Error(`Invalid backup name "${name}"`);
+    }
+    return path.join(DIRECTORY, name);
+  }
+
+  return {
+    put,
+    list,
+    get,
+    delete : remove
+  };
+};
+
+module.exports = LocalStorage;
@@ -0,0 +1,223 @@
+/**
+ * Object storage backup storage
+ *
+ * Stores backups as objects of a container, with the HTTP API of OpenStack Swift (OVH, Infomaniak, ...):
+ * PUT, GET and DELETE <url>/<prefix><name>, and GET <url>?format=json&prefix=<prefix> to list objects.
+ *
+ *   const ObjectStorage = require('replic-sqlite/backup/object');
+ *   const app = SQLiteOnSteroid(db, myPeerId, {
+ *     backupStorage : ObjectStorage({ url : 'https://storage.example.net/v1/AUTH_xxx/backups', headers : () => ({ 'X-Auth-Token' : token }), prefix : 'mydb/' })
+ *   });
+ *
+ * The storage API is the same as the local directory storage (see backup/local.js).
+ */
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+// Maximum number of objects returned by one list request of Swift
+const LIST_PAGE_SIZE = 10000;
+
+/**
+ * Creates an object storage backup storage
+ *
+ * @param {Object} options
+ * @param {string} options.url - URL of the container, e.g. https://storage.example.net/v1/AUTH_xxx/backups
+ * @param {Object|Function} [options.headers] - Headers of all requests (authentication), or a function which returns them (token renewal)
+ * @param {string} [options.prefix=''] - Prefix of object names, to store backups of multiple databases in the same container
+ * @param {number} [options.timeoutMs=60000] - Inactivity timeout of requests
+ * @returns {Object} { put, list, get, delete }
+ */
+const ObjectStorage = (options) => {
+  const CONTAINER_URL = new URL(options?.url);
+  const HEADERS = options?.headers ?? {};
+  const PREFIX = options?.prefix ?? '';
+  const TIMEOUT_MS = options?.timeoutMs ?? 60000;
+  const HTTP_MODULE = CONTAINER_URL.protocol === 'https:' ? https : http;
+  const CONTAINER_PATH = CONTAINER_URL.pathname.replace(/\/$/, '');
+
+  /**
+   * Uploads a local file
+   *
+   * @param {string} name - Backup name
+   * @param {string} filePath - Absolute path of the file to store
+   * @param {Function} callback - callback(err)
+   */
+  function put (name, filePath, callback) {
+    fs.stat(filePath, (err, stat) => {
+      if (err) {
+        return callback(err);
+      }
+      const _req = _request('PUT', _getObjectPath(name), { 'Content-Length' : stat.size }, (err, res) => {
+        if (err) {
+          return callback(err);
+        }
+        _readResponse(res, (err) => callback(err));
+      });
+      const _file = fs.createReadStream(filePath);
+      _file.on('error', (err) => _req.destroy(err));
+      _file.pipe(_req);
+    });
+  }
+
+  /**
+   * Lists the backups of the container with the prefix
+   *
+   * @param {Function} callback - callback(err, [{ name, size, createdAt }, ...]) sorted by name
+   */
+  function list (callback) {
+    const _backups = [];
+    const _listPage = (marker) => {
+      const _query = new URLSearchParams({ format : 'json', prefix : PREFIX, limit : LIST_PAGE_SIZE, marker });
+      _request('GET', `${CONTAINER_PATH}?${_query}`, {}, (err, res) => {
+        if (err) {
+          return callback(err);
+        }
+        _readResponse(res, (err, body) => {
+          if (err?.statusCode === 404) {
+            return callback(null, []); // the container does not exist yet
+          }
+          if (err) {
+            return callback(err);
+          }
+          let _objects;
+          try {
+            _objects = JSON.parse(body.toString() || '[]');
+          }
+          catch (e) {
+            return callback(new Error(`Invalid list of objects: ${e.message}`));
+          }
+          for (const _object of _objects) {
+            _backups.push({
+              name      : _object.name.slice(PREFIX.length),
+              size      : _object.bytes,
+              // Swift returns UTC dates without time zone
+              createdAt : Date.parse(/Z|[+-]\d{2}:\d{2}$/.test(_object.last_modified) ? _object.last_modified : _object.last_modified + 'Z')
+            });
+          }
+          if (_objects.length === LIST_PAGE_SIZE) {
+            return _listPage(_objects[_objects.length - 1].name);
+          }
+          callback(null, _backups.sort((a, b) => (a.name < b.name ? -1 : 1)));
+        });
+      }).end();
+    };
+    _listPage('');
+  }
+
+  /**
+   * Downloads a backup to a local file
+   *
+   * @param {string} name - Backup name
+   * @param {string} filePath - Absolute path of the destination file
+   * @param {Function} callback - callback(err)
+   */
+  function get (name, filePath, callback) {
+    _request('GET', _getObjectPath(name), {}, (err, res) => {
+      if (err) {
+        return callback(err);
+      }
+      if (res.statusCode !== 200) {
+        return _readResponse(res, callback);
+      }
+      const _file = fs.createWriteStream(filePath);
+      let _isDone = false;
+      const _done = (err) => {
+        if (_isDone === false) {
+          _isDone = true;
+          callback(err ?? null);
+        }
+      };
+      res.on('error', (err) => {
+        _file.destroy();
+        _done(err);
+      });
+      _file.on('error', (err) => {
+        res.destroy();
+        _done(err);
+      });
+      _file.on('finish', () => _done());
+      res.pipe(_file);
+    }).end();
+  }
+
+  /**
+   * Deletes a backup. Deleting a backup which does not exist is not an error.
+   *
+   * @param {string} name - Backup name
+   * @param {Function} callback - callback(err)
+   */
+  function remove (name, callback) {
+    _request('DELETE', _getObjectPath(name), {}, (err, res) => {
+      if (err) {
+        return callback(err);
+      }
+      _readResponse(res, (err) => callback(err?.statusCode === 404 ? null : err));
+    }).end();
+  }
+
+  /**
+   * Sends a request to the object storage
+   *
+   * @param {string} method
+   * @param {string} path - Path and query string
+   * @param {Object} headers
+   * @param {Function} callback - callback(err, res), called only once
+   * @returns {http.ClientRequest}
+   */
+  function _request (method, path, headers, callback) {
+    let _isDone = false;
+    const _done = (err, res) => {
+      if (_isDone === false) {
+        _isDone = true;
+        callback(err, res);
+      }
+    };
+    const _headers = typeof HEADERS === 'function' ? HEADERS() : HEADERS;
+    const _req = HTTP_MODULE.request({
+      method,
+      protocol : CONTAINER_URL.protocol,
+      hostname : CONTAINER_URL.hostname,
+      port     : CONTAINER_URL.port,
+      path,
+      headers  : { ..._headers, ...headers },
+      timeout  : TIMEOUT_MS
+    }, (res) => _done(null, res));
+    _req.on('timeout', () => _req.destroy(new Error(`Object storage request timeout (${method} ${path})`)));
+    _req.on('error', (err) => _done(err));
+    return _req;
+  }
+
+  /**
+   * Reads the body of a response. Returns an error with a statusCode if the status is not 2xx.
+   *
+   * @param {http.IncomingMessage} res
+   * @param {Function} callback - callback(err, body)
+   */
+  function _readResponse (res, callback) {
+    const _chunks = [];
+    res.on('data', (chunk) => _chunks.push(chunk));
+    res.on('error', callback);
+    res.on('end', () => {
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        const _err = new Error(`Object storage error ${res.statusCode} (${res.req.method} ${res.req.path})`);
+        _err.statusCode = res.statusCode;
+        return callback(_err);
+      }
+      callback(null, Buffer.concat(_chunks));
+    });
+  }
+
+  function _getObjectPath (name) {
+    return `${CONTAINER_PATH}/${(PREFIX + name).split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  return {
+    put,
+    list,
+    get,
+    delete : remove
+  };
+};
+
+module.exports = ObjectStorage;
@@ -0,0 +1,125 @@
+/**
+ * Backup names and retention policy
+ *
+ * Backups stored with a backup storage are named "<ISO date>.<trigger>.<watermark>.sqlite", e.g. "2026-10-18T02-00-00-000Z.scheduled.1234567890.sqlite".
+ * Names are sorted in chronological order. The watermark is the HLC timestamp up to which all patches are in the backup (see app.backupDatabase).
+ * Incremental backups use the trigger "incremental". Other backups are full backups.
+ */
+
+const BACKUP_NAME_REGEX = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.([A-Za-z0-9_-]+)(?:\.(\d+))?\.sqlite$/;
+const INCREMENTAL_TRIGGER = 'incremental';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Generates the name of a new backup
+ *
+ * @param {string} trigger - 'scheduled', 'shutdown', 'incremental', ...
+ * @param {number} [timestamp=Date.now()]
+ * @param {number} [watermark] - HLC timestamp up to which all patches are in the backup
+ * @returns {string}
+ */
+function generateBackupName (trigger, timestamp = Date.now(), watermark) {
+  const _watermark = Number.isSafeInteger(watermark) && watermark >= 0 ? `.${watermark}` : '';
+  return `${new Date(timestamp).toISOString().replace(/[:.]/g, '-')}.${trigger.replace(/[^A-Za-z0-9_-]/g, '_')}${_watermark}.sqlite`;
+}
+
+/**
+ * Parses a backup name
+ *
+ * @param {string} name
+ * @returns {Object|null} { createdAt (ms), trigger, watermark (null if unknown) }, or null if the name was not generated by generateBackupName
+ */
+function parseBackupName (name) {
+  const _match = BACKUP_NAME_REGEX.exec(name);
+  if (!_match) {
+    return null;
+  }
+  const _createdAt = Date.parse(`${_match[1]}T${_match[2]}:${_match[3]}:${_match[4]}.${_match[5]}Z`);
+  if (Number.isNaN(_createdAt)) {
+    return null;
+  }
+  return { createdAt : _createdAt, trigger : _match[6], watermark : _match[7] !== undefined ? parseInt(_match[7], 10) : null };
+}
+
+/**
+ * Returns the backups to restore: the most recent full backup, then the incremental backups made after it
+ *
+ * @param {Array<string>} names - Names of stored backups
+ * @returns {Object} { fullBackupName (null if there is no full backup), incrementalBackupNames : [] sorted from the oldest }
+ */
+function selectBackupsToRestore (names) {
+  const _names = names.filter((name) => parseBackupName(name) !== null).sort();
+  const _fullBackupNames = _names.filter((name) => parseBackupName(name).trigger !== INCREMENTAL_TRIGGER);
+  const _fullBackupName = _fullBackupNames.pop() ?? null;
+  return {
+    fullBackupName         : _fullBackupName,
+    incrementalBackupNames : _fullBackupName === null ? [] : _names.filter((name) => name > _fullBackupName && parseBackupName(name).trigger === INCREMENTAL_TRIGGER)
+  };
+}
+
+/**
+ * Selects the backups to delete with a retention policy.
+ * The most recent full backup of each of the last N days (and weeks) which have a backup is kept.
+ * Both rules can be combined: { daily : 7, weekly : 4 } keeps one backup per day for one week, and one per week for one month.
+ * Incremental backups are kept only if they are more recent than the most recent full backup, because they are restored
+ * on top of it (see selectBackupsToRestore).
+ * Names which were not generated by generateBackupName are never deleted.
+ *
+ * @param {Array<string>} names - Names of stored backups
+ * @param {Object} retention
+ * @param {number} [retention.daily=0] - Number of days to keep
+ * @param {number} [retention.weekly=0] - Number of weeks to keep (weeks start on Monday, UTC)
+ * @returns {Array<string>} names to delete, from the oldest to the most recent
+ */
+function selectBackupsToDelete (names, retention) {
+  const _daily = retention?.daily ?? 0;
+  const _weekly = retention?.weekly ?? 0;
+  if (_daily <= 0 && _weekly <= 0) {
+    return []; // no retention policy
+  }
+  const _backups = [];
+  for (const _name of names) {
+    const _parsed = parseBackupName(_name);
+    if (_parsed !== null) {
+      _backups.push({ name : _name, createdAt : _parsed.createdAt, isIncremental : _parsed.trigger === INCREMENTAL_TRIGGER });
+    }
+  }
+  _backups.sort((a, b) => b.createdAt - a.createdAt);
+  const _fullBackups = _backups.filter((backup) => backup.isIncremental === false);
+  const _keptNames = new Set();
+  const _rules = [[_daily, _getDay], [_weekly, _getWeek]];
+  for (const [_nbPeriods, _getPeriod] of _rules) {
+    const _periods = new Set();
+    for (const _backup of _fullBackups) {
+      const _period = _getPeriod(_backup.createdAt);
+      if (_periods.has(_period) === false && _periods.size < _nbPeriods) {
+        _periods.add(_period);
+        _keptNames.add(_backup.name);
+      }
+    }
+  }
+  const _latestFullBackupAt = _fullBackups[0]?.createdAt ?? -1;
+  for (const _backup of _backups) {
+    if (_backup.isIncremental && _backup.createdAt > _latestFullBackupAt) {
+      _keptNames.add(_backup.name);
+    }
+  }
+  return _backups.filter((backup) => _keptNames.has(backup.name) === false).map((backup) => backup.name).reverse();
+}
+
+function _getDay (timestamp) {
+  return Math.floor(timestamp / DAY_MS);
+}
+
+function _getWeek (timestamp) {
+  // 1970-01-01 is a Thursday. Weeks start on Monday.
+  return Math.floor((_getDay(timestamp) + 3) / 7);
+}
+
+module.exports = {
+  INCREMENTAL_TRIGGER,
+  generateBackupName,
+  parseBackupName,
+  selectBackupsToRestore,
+  selectBackupsToDelete
+};
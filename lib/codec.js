@@ -0,0 +1,388 @@
+/**
+ * Wire codecs of replication messages
+ *
+ * A codec is an object { name, encode(msg), decode(buffer) }:
+ * - encode returns a Buffer sent as a binary socket message, or null if the message cannot be encoded by this codec
+ *   (the message is then sent in JSON)
+ * - decode returns the message object, or null if the buffer was not encoded by this codec
+ *
+ * Peers advertise the name of their codec in PING messages. A codec is used only between two peers which use the same codec,
+ * all other messages are sent in JSON.
+ *
+ * Binary format (codec "binary") of PATCH, PING and MISSING_PATCH messages:
+ *
+ *   [MAGIC_BYTE, FORMAT_VERSION, type, flags, ...fields]
+ *
+ *   PATCH & PING  : varint(at) varint(peer) varint(seq) varint(ver) string(tab) value(delta) [varint(grp[0]) varint(grp[1])] [string(cod)] [value(adr)] [value(ldr)] [string(sig)]
+ *   MISSING_PATCH : varint(peer) varint(minSeq) varint(maxSeq) varint(forPeer) [string(sig)]
+ *
+ * Integers are unsigned LEB128 varints (up to 2^53). Strings are varint(byteLength) followed by UTF-8 bytes.
+ * Values (delta) are tagged: see VALUE_TAGS. Object keys are strings, undefined values are skipped like JSON.stringify does.
+ */
+
+const MAGIC_BYTE = 0xB5;
+const FORMAT_VERSION = 1;
+
+const PATCH = 10;
+const PING = 20;
+const MISSING_PATCH = 30;
+
+const FLAG_GROUP = 1;
+const FLAG_CODEC = 2;
+const FLAG_SIGNATURE = 4;
+const FLAG_ADDRESSES = 8;
+const FLAG_LEADER = 16;
+
+const VALUE_TAGS = {
+  NULL         : 0,
+  FALSE        : 1,
+  TRUE         : 2,
+  POSITIVE_INT : 3,
+  NEGATIVE_INT : 4,
+  DOUBLE       : 5,
+  STRING       : 6,
+  ARRAY        : 7,
+  OBJECT       : 8
+};
+
+// Write buffer reused by all encode calls (encoding is synchronous)
+let buffer = Buffer.allocUnsafe(64 * 1024);
+let offset = 0;
+
+/**
+ * Default codec. Messages are sent as they are (or stringified in socketStringMode) by index.js
+ */
+const json = {
+  name : 'json',
+  encode () {
+    return null;
+  },
+  decode () {
+    return null;
+  }
+};
+
+/**
+ * Compact binary codec of PATCH, PING and MISSING_PATCH messages
+ */
+const binary = {
+  name : 'binary',
+  encode,
+  decode
+};
+
+/**
+ * Encodes a PATCH, PING or MISSING_PATCH message
+ *
+ * @param {Object} msg
+ * @returns {Buffer|null} null if the message type is not supported, or if one of its fields is not a safe unsigned integer
+ */
+function encode (msg) {
+  offset = 0;
+  const _hasSignature = typeof msg?.sig === 'string';
+  switch (msg?.type) {
+    case PATCH:
+    case PING: {
+      const _hasGroup = Array.isArray(msg.grp);
+      const _hasCodec = typeof msg.cod === 'string';
+      const _hasAddresses = msg.adr !== undefined;
+      const _hasLeader = msg.ldr !== undefined;
+      if (!_isUInt(msg.at) || !_isUInt(msg.peer) || !_isUInt(msg.seq) || !_isUInt(msg.ver) || typeof msg.tab !== 'string'
+        || (_hasGroup && (!_isUInt(msg.grp[0]) || !_isUInt(msg.grp[1])))) {
+        return null;
+      }
+      _writeHeader(msg.type, (_hasGroup ? FLAG_GROUP : 0) | (_hasCodec ? FLAG_CODEC : 0) | (_hasAddresses ? FLAG_ADDRESSES : 0) | (_hasLeader ? FLAG_LEADER : 0) | (_hasSignature ? FLAG_SIGNATURE : 0));
+      _writeVarint(msg.at);
+      _writeVarint(msg.peer);
+      _writeVarint(msg.seq);
+      _writeVarint(msg.ver);
+      _writeString(msg.tab);
+      _writeValue(msg.delta);
+      if (_hasGroup) {
+        _writeVarint(msg.grp[0]);
+        _writeVarint(msg.grp[1]);
+      }
+      if (_hasCodec) {
+        _writeString(msg.cod);
+      }
+      if (_hasAddresses) {
+        _writeValue(msg.adr);
+      }
+      if (_hasLeader) {
+        _writeValue(msg.ldr);
+      }
+      if (_hasSignature) {
+        _writeString(msg.sig);
+      }
+      break;
+    }
+    case MISSING_PATCH:
+      if (!_isUInt(msg.peer) || !_isUInt(msg.minSeq) || !_isUInt(msg.maxSeq) || !_isUInt(msg.forPeer)) {
+        return null;
+      }
+      _writeHeader(msg.type, _hasSignature ? FLAG_SIGNATURE : 0);
+      _writeVarint(msg.peer);
+      _writeVarint(msg.minSeq);
+      _writeVarint(msg.maxSeq);
+      _writeVarint(msg.forPeer);
+      if (_hasSignature) {
+        _writeString(msg.sig);
+      }
+      break;
+    default:
+      return null;
+  }
+  return Buffer.from(buffer.subarray(0, offset));
+}
+
+/**
+ * Decodes a binary message generated by encode
+ *
+ * @param {Buffer|Uint8Array|ArrayBuffer} data
+ * @returns {Object|null} the message, or null if data was not encoded by this codec
+ */
+function decode (data) {
+  const _data = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  if (_data.length < 4 || _data[0] !== MAGIC_BYTE || _data[1] !== FORMAT_VERSION) {
+    return null;
+  }
+  const _reader = { data : _data, offset : 4 };
+  const _type = _data[2];
+  const _flags = _data[3];
+  switch (_type) {
+    case PATCH:
+    case PING: {
+      const _msg = {
+        type  : _type,
+        at    : _readVarint(_reader),
+        peer  : _readVarint(_reader),
+        seq   : _readVarint(_reader),
+        ver   : _readVarint(_reader),
+        tab   : _readString(_reader),
+        delta : _readValue(_reader)
+      };
+      if (_flags & FLAG_GROUP) {
+        _msg.grp = [_readVarint(_reader), _readVarint(_reader)];
+      }
+      if (_flags & FLAG_CODEC) {
+        _msg.cod = _readString(_reader);
+      }
+      if (_flags & FLAG_ADDRESSES) {
+        _msg.adr = _readValue(_reader);
+      }
+      if (_flags & FLAG_LEADER) {
+        _msg.ldr = _readValue(_reader);
+      }
+      if (_flags & FLAG_SIGNATURE) {
+        _msg.sig = _readString(_reader);
+      }
+      return _msg;
+    }
+    case MISSING_PATCH: {
+      const _msg = {
+        type    : _type,
+        peer    : _readVarint(_reader),
+        minSeq  : _readVarint(_reader),
+        maxSeq  : _readVarint(_reader),
+        forPeer : _readVarint(_reader)
+      };
+      if (_flags & FLAG_SIGNATURE) {
+        _msg.sig = _readString(_reader);
+      }
+      return _msg;
+    }
+    default:
+      return null;
+  }
+}
+
+function _isUInt (value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+/**
+ * Grows the write buffer if needed
+ *
+ * @param {number} nbBytes - number of bytes which are going to be written
+ */
+function _ensureCapacity (nbBytes) {
+  if (offset + nbBytes <= buffer.length) {
+    return;
+  }
+  const _newBuffer = Buffer.allocUnsafe(Math.max(buffer.length * 2, offset + nbBytes));
+  buffer.copy(_newBuffer, 0, 0, offset);
+  buffer = _newBuffer;
+}
+
+function _writeHeader (type, flags) {
+  _ensureCapacity(4);
+  buffer[offset++] = MAGIC_BYTE;
+  buffer[offset++] = FORMAT_VERSION;
+  buffer[offset++] = type;
+  buffer[offset++] = flags;
+}
+
+/**
+ * Writes an unsigned integer up to 2^53 in LEB128. Bitwise operators cannot be used above 32 bits.
+ *
+ * @param {number} value
+ */
+function _writeVarint (value) {
+  _ensureCapacity(8);
+  while (value >= 0x80) {
+    buffer[offset++] = (value % 0x80) + 0x80;
+    value = Math.floor(value / 0x80);
+  }
+  buffer[offset++] = value;
+}
+
+function _writeString (value) {
+  const _maxLength = Buffer.byteLength(value);
+  _writeVarint(_maxLength);
+  _ensureCapacity(_maxLength);
+  offset += buffer.write(value, offset, 'utf8');
+}
+
+/**
+ * Writes any JSON-compatible value with the same semantics as JSON.stringify
+ * (toJSON is called, non-finite numbers become null, undefined values of objects are skipped)
+ *
+ * @param {*} value
+ */
+function _writeValue (value) {
+  if (typeof value?.toJSON === 'function') {
+    value = value.toJSON();
+  }
+  _ensureCapacity(9);
+  switch (typeof value) {
+    case 'number':
+      if (Number.isSafeInteger(value)) {
+        buffer[offset++] = value >= 0 ? VALUE_TAGS.POSITIVE_INT : VALUE_TAGS.NEGATIVE_INT;
+        _writeVarint(Math.abs(value));
+      }
+      else if (Number.isFinite(value)) {
+        buffer[offset++] = VALUE_TAGS.DOUBLE;
+        offset = buffer.writeDoubleLE(value, offset);
+      }
+      else {
+        buffer[offset++] = VALUE_TAGS.NULL;
+      }
+      return;
+    case 'string':
+      buffer[offset++] = VALUE_TAGS.STRING;
+      _writeString(value);
+      return;
+    case 'boolean':
+      buffer[offset++] = value ? VALUE_TAGS.TRUE : VALUE_TAGS.FALSE;
+      return;
+    case 'object':
+      if (value === null) {
+        buffer[offset++] = VALUE_TAGS.NULL;
+        return;
+      }
+      if (Array.isArray(value)) {
+        buffer[offset++] = VALUE_TAGS.ARRAY;
+        _writeVarint(value.length);
+        for (let i = 0; i < value.length; i++) {
+          _writeValue(value[i]);
+        }
+        return;
+      }
+      _writeObject(value);
+      return;
+    case 'bigint':
+      throw new TypeError('Do not know how to serialize a BigInt');
+    default:
+      // undefined, function, symbol
+      buffer[offset++] = VALUE_TAGS.NULL;
+  }
+}
+
+function _writeObject (value) {
+  const _keys = Object.keys(value).filter((key) => {
+    const _type = typeof value[key];
+    return _type !== 'undefined' && _type !== 'function' && _type !== 'symbol';
+  });
+  buffer[offset++] = VALUE_TAGS.OBJECT;
+  _writeVarint(_keys.length);
+  for (let i = 0; i < _keys.length; i++) {
+    _writeString(_keys[i]);
+    _writeValue(value[_keys[i]]);
+  }
+}
+
+function _readVarint (reader) {
+  let _value = 0;
+  let _multiplier = 1;
+  let _byte;
+  do {
+    if (reader.offset >= reader.data.length) {
+      throw new RangeError('Truncated binary message');
+    }
+    _byte = reader.data[reader.offset++];
+    _value += (_byte & 0x7F) * _multiplier;
+    _multiplier *= 0x80;
+  } while (_byte >= 0x80);
+  return _value;
+}
+
+function _readString (reader) {
+  const _length = _readVarint(reader);
+  if (reader.offset + _length > reader.data.length) {
+    throw new RangeError('Truncated binary message');
+  }
+  const _value = reader.data.toString('utf8', reader.offset, reader.offset + _length);
+  reader.offset += _length;
+  return _value;
+}
+
+function _readValue (reader) {
+  if (reader.offset >= reader.data.length) {
+    throw new RangeError('Truncated binary message');
+  }
+  const _tag = reader.data[reader.offset++];
+  switch (_tag) {
+    case VALUE_TAGS.NULL:
+      return null;
+    case VALUE_TAGS.FALSE:
+      return false;
+    case VALUE_TAGS.TRUE:
+      return true;
+    case VALUE_TAGS.POSITIVE_INT:
+      return _readVarint(reader);
+    case VALUE_TAGS.NEGATIVE_INT:
+      return -_readVarint(reader);
+    case VALUE_TAGS.DOUBLE: {
+      const _value = reader.data.readDoubleLE(reader.offset);
+      reader.offset += 8;
+      return _value;
+    }
+    case VALUE_TAGS.STRING:
+      return _readString(reader);
+    case VALUE_TAGS.ARRAY: {
+      const _length = _readVarint(reader);
+      const _array = new Array(_length);
+      for (let i = 0; i < _length; i++) {
+        _array[i] = _readValue(reader);
+      }
+      return _array;
+    }
+    case VALUE_TAGS.OBJECT: {
+      const _length = _readVarint(reader);
+      const _object = {};
+      for (let i = 0; i < _length; i++) {
+        const _key = _readString(reader);
+        // same as JSON.parse, "__proto__" is an own property and does not change the prototype
+        Object.defineProperty(_object, _key, { value : _readValue(reader), writable : true, enumerable : true, configurable : true });
+      }
+      return _object;
+    }
+    default:
+      throw new RangeError(`Unknown value tag ${_tag} in binary message`);
+  }
+}
+
+module.exports = {
+  json,
+  binary
+};
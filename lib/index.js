@@ -1,11 +1,16 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const crypto = require('crypto');
 const hlc = require('./hlc.js');
+const codecs = require('./codec.js');
+const signature = require('./signature.js');
+const backupNames = require('./backup/retention.js');
 const Debugger = require('debug');
 const EventEmitter = require('node:events');
 const assert = require('node:assert');
 const { performance } = require('node:perf_hooks');
+const { finished } = require('node:stream');
 const { Cron } = require('croner');
 
 // Remote peer index pointers in the peerStats array for fast access (avoiding map lookup of objects, ...)
@@ -18,12 +23,27 @@ const LAST_MESSAGE_TIMESTAMP = 4; // can be more recent than lastPatchAtTimestam
 // Other peers send ping messages regularly with their last contiguous sequenceId known from me.
 // We keep it to know other peers have received my last patches
 const MY_GUARANTEED_CONTIGUOUS_SEQUENCE_ID_STORED_IN_REMOTE_PEER = 5;
+// Leader election info advertised in the "ldr" field of PING messages: [LEADER_TERM, LEADER_PRIORITY, LEADER_PEER_ID]
+const LEADER_TERM = 0;
+const LEADER_PRIORITY = 1;
+const LEADER_PEER_ID = 2; // leader elected by the peer which sends the PING (optional)
 
 const PENDING_PATCHES_TABLE_NAME = '_';
 const MESSAGE_TYPES = {
-  PATCH         : 10,
-  PING          : 20,
-  MISSING_PATCH : 30
+  PATCH            : 10,
+  PING             : 20,
+  MISSING_PATCH    : 30,
+  PATCH_TOO_OLD    : 31,
+  SNAPSHOT_REQUEST : 40,
+  SNAPSHOT_CHUNK   : 41,
+  SNAPSHOT_END     : 42
+};
+const KNOWN_MESSAGE_TYPES = new Set(Object.values(MESSAGE_TYPES));
+// Priorities of the per-peer send queue (see _sendMessageToPeer). Control messages are sent first, retransmissions last.
+const SEND_PRIORITIES = {
+  CONTROL : 0, // PING, MISSING_PATCH, PATCH_TOO_OLD, SNAPSHOT_REQUEST
+  NORMAL  : 1, // new patches and snapshots
+  BULK    : 2  // retransmitted patches, limited by maxRetransmissionBytesPerHeartbeat
 };
 
 /**
@@ -59,37 +79,89 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
   const MAX_PATCH_RETENTION_MS = options?.maxPatchRetentionMs ?? 1000 * 60 * 60 * 25;
   const PREPARE_STATEMENT_HOOK = options?.prepareStatementHook ?? (() => '?');
   const MAX_PATCH_PER_RETRANSMISSION = options?.maxPatchPerRetransmission ?? 2000;
+  const MAX_RETRANSMISSION_BYTES_PER_HEARTBEAT = options?.maxRetransmissionBytesPerHeartbeat ?? Infinity; // per peer
+  const MAX_SEND_QUEUE_SIZE = options?.maxSendQueueSize ?? 100000; // messages per peer. The peer is closed if its queue is full
   const MAX_PEER_DISCONNECTION_TOLERANCE_MS = options?.maxPeerDisconnectionToleranceMs ?? 1000 * 60 * 5; // prevent leader election flickering
+  const TOMBSTONE_COLUMNS = options?.tombstoneColumns ?? {}; // { tableName : columnName }, 'deletedAt' by default
+  const COUNTER_COLUMNS = options?.counterColumns ?? {}; // { tableName : [columnName, ...] }, merged by summing increments
+  const SNAPSHOT_CHUNK_SIZE = options?.snapshotChunkSize ?? 512 * 1024;
+  const SNAPSHOT_TIMEOUT_MS = options?.snapshotTimeoutMs ?? 60 * 1000;
+  const CODEC = _getCodec(options?.codec ?? 'json');
+  const CLUSTER_SECRETS = signature.getClusterSecrets(options?.clusterSecrets ?? []); // the first secret signs messages, all secrets are accepted (key rotation)
+  const DISCOVERY = options?.discovery ?? false; // advertise peer addresses in PING messages, and emit 'peer:discovered'
+  const ADVERTISED_ADDRESS = options?.advertisedAddress ?? null; // address of this peer advertised to other peers (e.g. 'host:port')
+  const RELAY = options?.relay ?? false; // forward received patches to other connected peers (hub-and-spoke topologies)
+  const MY_LEADER_PRIORITY = options?.leaderPriority ?? 0; // the peer with the highest priority is elected (smallest peer id if equal)
+  const LEADER_ELECTION = options?.leaderElection ?? electLeaderByPriority; // (candidates) => leader peer id
+  const LOST_PATCH_TIMEOUT_MS = options?.lostPatchTimeoutMs ?? 1000 * 60 * 10; // give up on missing patches after this delay, once all peers have been asked
 
   const DATABASE_BACKUP_ABSOLUTE_PATH_FN = options?.databaseBackupAbsolutePathFn ?? ((trigger = 'scheduled', cb) => cb(path.join(process.cwd(), `${trigger}.sqlite`)));
   const DATABASE_BACKUP_CRON = options?.databaseBackupCron ?? '';
+  const BACKUP_STORAGE = options?.backupStorage ?? null; // { put, list, get, delete } (see backup/local.js). Replaces databaseBackupAbsolutePathFn
+  const BACKUP_RETENTION = options?.backupRetention ?? null; // { daily, weekly } backups to keep in the backup storage
+  const DATABASE_INCREMENTAL_BACKUP_CRON = options?.databaseIncrementalBackupCron ?? ''; // incremental backups in the backup storage (patches only)
 
   // Internal state for this peer
   let dbVersion = 1;
   // last SequenceId and patch timestamp of this peer
   let lastSequenceId = -1; // init and get from DB on restart
   let lastPatchAtTimestamp = -1;
+  // patches stored before this timestamp were received before startup
+  const startedAtTimestamp = hlc.from(Date.now());
   // heartbeat timestamps
   let lastDeleteOldPatchesTimestamp = 0;
   let lastDetectMissingPatchesTimestamp = 0;
   let lastPingStatTimestamp = 0;
 
   let isNextPingPersistent = false;
+  // Set when a peer replies that requested patches have been deleted by its retention policy. Reset when a snapshot is installed.
+  let isResyncRequired = false;
+  // Missing sequence ranges which are too old { 'peerId:minSeq' : maxSeq }, to emit 'resync:required' only once per range and stop requesting them
+  const tooOldSequenceRanges = new Map();
+  // Snapshot being received from a remote peer (requestSnapshot)
+  let snapshotInProgress = null;
+  // 'change' events generated in a transaction, emitted only when it is committed (see _transactionWithChangeEvents)
+  let changeEventsQueue = null;
 
   // peerSockets contains all connected peers' sockets
   const peerSockets = {};
   // peerStats contains all connected peers with their last sequenceId known from me.
   // A debouncer system keeps the last known state of the peer before deleting it
   const peerStats = {};
+  // remotePeerStats contains the last peerStats received from each connected peer in PING messages.
+  // It is used to know which peer can retransmit the patches of another peer which is not connected.
+  const remotePeerStats = {};
+  // Highest sequence id requested by _getMissingPatches for peers which are not in peerStats (used to detect duplicated answers)
+  let requestedSequenceIdsOfUnknownPeers = {};
+  // Stats of origin peers which are not connected (patches relayed or retransmitted by another peer), same format as peerStats.
+  // They are used to detect duplicated patches, and to detect missing patches with the relay option.
+  const indirectPeerStats = {};
+  // Missing sequence ranges being requested { 'peerId:minSeq' : { since, askedPeerIds : Set } }, to detect lost patches (see _getMissingPatches)
+  let missingSequenceRanges = {};
+  // Connected peers which use the same codec as me (advertised in their PING messages). Other peers receive JSON messages.
+  const peersUsingMyCodec = new Set();
+  // Replication policy of each connected peer { sendTables : Set|null, acceptTables : Set|null, rowFilter : Array|null } (null = everything). See addRemotePeer.
+  const peerPolicies = {};
+  // Outbound queue of each connected peer { messages : [[msgString, encodedMsg, bulkKey], ...] per priority, bulkKeys, isPaused, nbBulkBytes, drainCallbacks, onDrain }
+  const sendQueues = {};
+  // Message listener registered on the socket of each connected peer (it gives the sender peer id to _onMessage)
+  const peerMessageListeners = {};
+  // Address advertised by each peer (discovery option). Only the addresses of connected peers are advertised again to other peers.
+  const peerAddresses = {};
+  // Leader election info advertised by each peer in PING messages { peerId : [term, priority] }
+  const peerLeaderInfo = {};
   const globalStatements = {
     // listMissingSequenceIds : list missing sequence ids of other peers (read all tables ending with _patches),
     // getLastPatchInfo       : get my latest sequence id and patchedAt timestamp stored in DB (read all tables ending with _patches),
+    // listPendingPatches     : list pending patches of a given version with their group (if any), ready to be applied,
+    // savePatchGroup         : save the sequence range of a group patch (patch_groups table),
+    // listPatchGroups        : list group patches of a peer overlapping a sequence range,
   };
   const tableStatements = {
     // <tableName> : {
     //   cleanRow              : Function (row)           => clean row before saving (remove unknown columns),
     //   savePatch             : Function (patch)         => save patch in DB,
-    //   applyPatches          : Function (fromTimestamp) => apply all patches from fromTimestamp to now on the table,
+    //   applyPatches          : Function (fromTimestamp) => apply all patches from fromTimestamp to now on the table, and emit the 'change' event,
     //   debounceFromTimestamp : 0,
     //   debounceTimer         : null
     // }
@@ -107,11 +179,25 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
   let nbRetransmissionRequestsReceived = 0;
   let nbMaintenanceTimeSeconds = 0;
   let nbReadYourWriteTimeouts = 0;
+  let nbDuplicatedPatchesReceived = 0;
+  let nbRejectedMessages = 0;
+  let nbRelayedPatches = 0;
+  let nbLostPatches = 0;
   let lastSuccessfulBackupTimestamp = 0;
   let amITheLeaderCached = null;
+  let leaderPeerId = null;
+  // Incremented each time the leader changes, and set to the highest term received in PING messages
+  let leaderTerm = 0;
+  // { term, peerId } Leader named by a PING with a higher term than mine. I cannot be the leader until my term is higher (fencing)
+  let higherTermLeader = null;
 
   let heartbeatInterval = null;
   let backupTask = null;
+  let incrementalBackupTask = null;
+  // Last backup stored by this peer in the backup storage { backupName, sequenceIds : { peerId : sequenceId } } (see _getBackupSequenceIds)
+  let lastStoredBackup = null;
+  // Application jobs which run only on the leader { name : { task : Cron, lastRunTimestamp, nbErrors } }. See scheduleOnLeader.
+  const leaderJobs = {};
   if (HEARTBEAT_INTERVAL_MS > 0) {
     heartbeatInterval = setInterval(_heartBeat, HEARTBEAT_INTERVAL_MS);
   }
@@ -123,6 +209,17 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
       throw new Error(`Invalid database backup cron syntax: ${err.message}`);
     }
   }
+  if (DATABASE_INCREMENTAL_BACKUP_CRON) {
+    try {
+      incrementalBackupTask = new Cron(DATABASE_INCREMENTAL_BACKUP_CRON, { paused : true, protect : true }, () => backupDatabase(backupNames.INCREMENTAL_TRIGGER));
+    }
+    catch (err) {
+      throw new Error(`Invalid database incremental backup cron syntax: ${err.message}`, { cause : err });
+    }
+  }
+  if (BACKUP_STORAGE && ['put', 'list', 'get', 'delete'].some((fn) => typeof BACKUP_STORAGE[fn] !== 'function')) {
+    throw new Error('The backup storage must implement put, list, get and delete');
+  }
 
   /**
    * Backup the database
@@ -131,13 +228,28 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
    * Callback is called with (err, trigger, backupFileName) if provided
    * if the callback is not provided, it emits the 'backup:completed' and 'backup:failed' events
    *
-   * @param {string} trigger   'scheduled' (default) or 'shutdown' (used in filename suffix)
+   * If a backup storage is configured (backupStorage option), the backup is written in a temporary file, stored with
+   * storage.put, then old backups are deleted with the retention policy (backupRetention option).
+   * In this case, backupFileName is the name of the backup in the storage.
+   *
+   * The trigger 'incremental' exports only the patches received since the previous backup of the storage (see _backupIncrementalToStorage).
+   *
+   * @param {string} trigger   'scheduled' (default), 'shutdown' or 'incremental' (used in filename suffix)
    * @param {Function} callback
    */
   function backupDatabase (trigger = 'scheduled', callback) {
     if (typeof trigger !== 'string') {
       trigger = 'scheduled'; // Cron send the cron object as first argument
     }
+    if (BACKUP_STORAGE) {
+      if (trigger === backupNames.INCREMENTAL_TRIGGER) {
+        return _backupIncrementalToStorage(callback);
+      }
+      return _backupDatabaseToStorage(trigger, callback);
+    }
+    if (trigger === backupNames.INCREMENTAL_TRIGGER) {
+      return _onBackupDone(new Error('Incremental backups require a backup storage (backupStorage option)'), trigger, null, callback);
+    }
     DATABASE_BACKUP_ABSOLUTE_PATH_FN(trigger, (_backupFileName) => {
       if (!_backupFileName) {
         debug('backup type "%s" disabled', trigger);
@@ -145,36 +257,484 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
         return;
       }
       db.backup(_backupFileName, {
-        progress ({ totalPages: t, remainingPages: r }) {
-          const _progress = ((t - r) / t * 100).toFixed(1);
-          debug('database backup progress: %s%', _progress);
-          eventEmitter.emit('backup:progress', trigger, _backupFileName, _progress);
-          return 200;
-        }
+        progress : _getBackupProgressFn(trigger, _backupFileName)
       }).then(() => {
-        lastSuccessfulBackupTimestamp = Date.now();
-        debug('database backup completed');
-        if (callback) {
-          return callback(null, trigger, _backupFileName);
-        }
-        eventEmitter.emit('backup:completed', trigger, _backupFileName);
+        _onBackupDone(null, trigger, _backupFileName, callback);
       }).catch((err) => {
-        debug('database backup failed: %s', err);
-        if (callback) {
-          return callback(err, trigger, _backupFileName);
+        _onBackupDone(err, trigger, _backupFileName, callback);
+      });
+    });
+  }
+
+  /**
+   * Backup the database in the backup storage, then apply the retention policy
+   *
+   * @param {string} trigger
+   * @param {Function} [callback] - see backupDatabase
+   */
+  function _backupDatabaseToStorage (trigger, callback) {
+    const _backupName = backupNames.generateBackupName(trigger, Date.now(), _getBackupWatermark());
+    const _tmpPath = path.join(os.tmpdir(), `replic-sqlite-backup-${myPeerId}-${crypto.randomUUID()}.sqlite`);
+    const _sequenceIds = _getBackupSequenceIds(); // patches written during the backup are exported again by the next incremental backup
+    db.backup(_tmpPath, {
+      progress : _getBackupProgressFn(trigger, _backupName)
+    }).then(() => {
+      _storeBackup(trigger, _backupName, _tmpPath, _sequenceIds, callback);
+    }).catch((err) => {
+      fs.rm(_tmpPath, { force : true }, () => {});
+      _onBackupDone(err, trigger, _backupName, callback);
+    });
+  }
+
+  /**
+   * Exports the patches received since the previous backup of the storage in an incremental backup.
+   *
+   * The incremental backup contains the rows of all patch tables (with pending_patches and patch_groups) inserted since
+   * the previous backup, the migrations table, and a backup_info table { previousBackupName, fromPatchedAt, toPatchedAt }.
+   * Rows are selected by sequence id of each peer (see _getBackupSequenceIds), because a patch received late (retransmitted,
+   * relayed, or from a peer which was disconnected) can be older than the watermark of the previous backup.
+   * Rowids cannot be used: they are reused when the last rows of a table are deleted (pending patches applied, old patches deleted).
+   * A full backup (trigger 'full') is made instead if the previous backup of the storage has not been stored by this peer
+   * (first backup, restart, or new leader), or if the patches since the previous backup may have been deleted by the patch
+   * retention policy (maxPatchRetentionMs).
+   *
+   * @param {Function} [callback] - see backupDatabase
+   */
+  function _backupIncrementalToStorage (callback) {
+    const _trigger = backupNames.INCREMENTAL_TRIGGER;
+    BACKUP_STORAGE.list((err, backups) => {
+      if (err) {
+        return _onBackupDone(err, _trigger, null, callback);
+      }
+      const { fullBackupName, incrementalBackupNames } = backupNames.selectBackupsToRestore(backups.map((backup) => backup.name));
+      const _previousBackupName = incrementalBackupNames[incrementalBackupNames.length - 1] ?? fullBackupName;
+      const _previousWatermark = _previousBackupName === null ? null : backupNames.parseBackupName(_previousBackupName).watermark;
+      if (_previousWatermark === null || _previousWatermark < hlc.from(Date.now() - MAX_PATCH_RETENTION_MS)) {
+        debug('no recent full backup, full backup instead of incremental backup');
+        return _backupDatabaseToStorage('full', callback);
+      }
+      if (lastStoredBackup?.backupName !== _previousBackupName) {
+        debug('the previous backup %s has not been stored by this peer, full backup instead of incremental backup', _previousBackupName);
+        return _backupDatabaseToStorage('full', callback);
+      }
+      const _watermark = _getBackupWatermark();
+      const _backupName = backupNames.generateBackupName(_trigger, Date.now(), _watermark);
+      const _tmpPath = path.join(os.tmpdir(), `replic-sqlite-backup-${myPeerId}-${crypto.randomUUID()}.sqlite`);
+      const _sequenceIds = _getBackupSequenceIds();
+      try {
+        _exportPatches(_tmpPath, { previousBackupName : _previousBackupName, fromPatchedAt : _previousWatermark, toPatchedAt : _watermark }, lastStoredBackup.sequenceIds);
+      }
+      catch (e) {
+        fs.rm(_tmpPath, { force : true }, () => {});
+        return _onBackupDone(e, _trigger, _backupName, callback);
+      }
+      _storeBackup(_trigger, _backupName, _tmpPath, _sequenceIds, callback);
+    });
+  }
+
+  /**
+   * Writes the rows of the patch tables stored since the previous backup in a new SQLite file (see _backupIncrementalToStorage)
+   *
+   * The rows of each peer with a sequence id greater than the one of the previous backup are exported, in all patch tables
+   * (with pending_patches and patch_groups). Some of them may already be in the previous backup: they are ignored by the restore.
+   * Local base rows of counter columns (_peerId = 0) are never exported: the restored database still has the patches folded in them.
+   *
+   * @param {string} filePath - Absolute path of the new file
+   * @param {Object} info - Row of the backup_info table { previousBackupName, fromPatchedAt, toPatchedAt }
+   * @param {Object<string, number>} fromSequenceIds - Sequence id of each peer in the previous backup (exclusive). 0 for unknown peers.
+   */
+  function _exportPatches (filePath, info, fromSequenceIds) {
+    const _fromSequenceIds = JSON.stringify(fromSequenceIds);
+    const _tableNames = db.prepare("SELECT name FROM main.sqlite_master WHERE type = 'table' AND (name LIKE '%\\_patches' ESCAPE '\\' OR name = 'patch_groups')").pluck().all();
+    db.prepare('ATTACH DATABASE ? AS incremental').run([filePath]);
+    try {
+      db.transaction(() => {
+        db.exec('CREATE TABLE incremental.backup_info (previousBackupName TEXT NOT NULL, fromPatchedAt INTEGER NOT NULL, toPatchedAt INTEGER NOT NULL) STRICT');
+        db.prepare('INSERT INTO incremental.backup_info (previousBackupName, fromPatchedAt, toPatchedAt) VALUES (?, ?, ?)').run([info.previousBackupName, info.fromPatchedAt, info.toPatchedAt]);
+        db.exec('CREATE TABLE incremental.migrations AS SELECT * FROM main.migrations');
+        for (const _tableName of _tableNames) {
+          const _sequenceIdColumn = _tableName === 'patch_groups' ? 'maxSequenceId' : '_sequenceId';
+          db.prepare(`
+            CREATE TABLE incremental."${_tableName}" AS SELECT * FROM main."${_tableName}"
+            WHERE _peerId <> 0 AND ${_sequenceIdColumn} > ifnull(json_extract(@fromSequenceIds, '$."' || _peerId || '"'), 0)
+          `).run({ fromSequenceIds : _fromSequenceIds });
+        }
+      })();
+    }
+    finally {
+      db.exec('DETACH DATABASE incremental');
+    }
+  }
+
+  /**
+   * Returns the sequence id up to which all patches of each peer are stored in this database: my last sequence id,
+   * and the guaranteed contiguous sequence id of remote peers, connected or not (indirect peers).
+   * The patches stored later have a greater sequence id, even if they are received late (see _exportPatches).
+   *
+   * @returns {Object<string, number>} { peerId : sequenceId }
+   */
+  function _getBackupSequenceIds () {
+    const _sequenceIds = { [myPeerId] : lastSequenceId };
+    for (const _stats of [indirectPeerStats, peerStats]) {
+      for (const _peerId in _stats) {
+        if (parseInt(_peerId, 10) !== myPeerId) {
+          _sequenceIds[_peerId] = _stats[_peerId][GUARANTEED_CONTIGUOUS_SEQUENCE_ID];
+        }
+      }
+    }
+    return _sequenceIds;
+  }
+
+  /**
+   * Returns the HLC timestamp up to which all patches of all peers are stored in this database.
+   * It is the oldest guaranteed contiguous patch timestamp of remote peers, connected or not (indirect peers),
+   * so patches received later are always newer.
+   *
+   * @returns {number}
+   */
+  function _getBackupWatermark () {
+    let _watermark = Math.max(hlc.from(Date.now()) - 1, lastPatchAtTimestamp); // my next patches are newer
+    for (const _stats of [peerStats, indirectPeerStats]) {
+      for (const _peerId in _stats) {
+        if (parseInt(_peerId, 10) !== myPeerId) {
+          _watermark = Math.min(_watermark, _stats[_peerId][GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP]);
+        }
+      }
+    }
+    return _watermark;
+  }
+
+  /**
+   * Stores a backup file in the backup storage, removes the file, then applies the retention policy
+   *
+   * @param {string} trigger
+   * @param {string} backupName
+   * @param {string} filePath - Temporary file of the backup
+   * @param {Object<string, number>} sequenceIds - Sequence id of each peer in the backup (see _getBackupSequenceIds)
+   * @param {Function} [callback] - see backupDatabase
+   */
+  function _storeBackup (trigger, backupName, filePath, sequenceIds, callback) {
+    debug('storing database backup %s', backupName);
+    BACKUP_STORAGE.put(backupName, filePath, (err) => {
+      fs.rm(filePath, { force : true }, () => {});
+      if (err) {
+        return _onBackupDone(err, trigger, backupName, callback);
+      }
+      lastStoredBackup = { backupName, sequenceIds };
+      _applyBackupRetention(() => _onBackupDone(null, trigger, backupName, callback));
+    });
+  }
+
+  /**
+   * Deletes the backups of the storage which are not kept by the retention policy.
+   * Errors are logged but do not fail the backup, they are retried with the next backup.
+   *
+   * @param {Function} callback - callback()
+   */
+  function _applyBackupRetention (callback) {
+    if (!BACKUP_RETENTION) {
+      return callback();
+    }
+    BACKUP_STORAGE.list((err, backups) => {
+      if (err) {
+        debug('cannot list backups to apply the retention policy: %s', err);
+        return callback();
+      }
+      const _namesToDelete = backupNames.selectBackupsToDelete(backups.map((backup) => backup.name), BACKUP_RETENTION);
+      const _deleteNext = () => {
+        const _name = _namesToDelete.shift();
+        if (_name === undefined) {
+          return callback();
+        }
+        BACKUP_STORAGE.delete(_name, (err) => {
+          if (err) {
+            debug('cannot delete old backup %s: %s', _name, err);
+          }
+          else {
+            debug('old backup %s deleted', _name);
+          }
+          _deleteNext();
+        });
+      };
+      _deleteNext();
+    });
+  }
+
+  function _getBackupProgressFn (trigger, backupFileName) {
+    return ({ totalPages: t, remainingPages: r }) => {
+      const _progress = ((t - r) / t * 100).toFixed(1);
+      debug('database backup progress: %s%', _progress);
+      eventEmitter.emit('backup:progress', trigger, backupFileName, _progress);
+      return 200;
+    };
+  }
+
+  function _onBackupDone (err, trigger, backupFileName, callback) {
+    if (err) {
+      debug('database backup failed: %s', err);
+      if (callback) {
+        return callback(err, trigger, backupFileName);
+      }
+      return eventEmitter.emit('backup:failed', trigger, backupFileName);
+    }
+    lastSuccessfulBackupTimestamp = Date.now();
+    debug('database backup completed');
+    if (callback) {
+      return callback(null, trigger, backupFileName);
+    }
+    eventEmitter.emit('backup:completed', trigger, backupFileName);
+  }
+
+  /**
+   * Restores the latest backup of the backup storage (backupStorage option) in an empty database.
+   *
+   * It must be called before migrate(), then migrate() upgrades the backup to the version of the application.
+   * The backup is downloaded in a temporary file, verified (SQLite integrity check and replic-sqlite migrations table),
+   * then installed like a snapshot (see _installSnapshot). Patches produced since the backup are detected and requested
+   * to other peers like any other missing patch.
+   *
+   * If the database is not empty, or if the storage does not contain any backup, nothing is restored and backupName is null,
+   * so it can be called at each start.
+   *
+   * The incremental backups made after the full backup are applied in order (see _restoreIncrementalBackups).
+   *
+   * A backup which already knows my peer id (see _isMyPeerIdInBackup) is refused: my last sequence id would be read
+   * from the backup, so the patches I produced after the backup would be lost and their sequence ids reused.
+   * A peer which has lost its database must be restored with a new peer id.
+   *
+   * Callback is called with (err, backupName, incrementalBackupNames) if provided
+   * if the callback is not provided, it emits the 'restore:completed' and 'restore:failed' events
+   *
+   * @param {Function} [callback]
+   */
+  function restore (callback) {
+    if (!BACKUP_STORAGE) {
+      return _onRestoreDone(new Error('Cannot restore without backup storage (backupStorage option)'), null, callback);
+    }
+    if (db.prepare("SELECT COUNT(*) FROM main.sqlite_master WHERE name NOT LIKE 'sqlite\\_%' ESCAPE '\\'").pluck().get() > 0) {
+      debug('database is not empty, restore skipped');
+      return _onRestoreDone(null, null, callback);
+    }
+    BACKUP_STORAGE.list((err, backups) => {
+      if (err) {
+        return _onRestoreDone(err, null, callback);
+      }
+      const { fullBackupName : _backupName, incrementalBackupNames } = backupNames.selectBackupsToRestore(backups.map((backup) => backup.name));
+      if (_backupName === null) {
+        debug('no backup to restore');
+        return _onRestoreDone(null, null, callback);
+      }
+      const _restorePath = path.join(os.tmpdir(), `replic-sqlite-restore-${myPeerId}-${crypto.randomUUID()}.sqlite`);
+      debug('restoring backup %s', _backupName);
+      BACKUP_STORAGE.get(_backupName, _restorePath, (err) => {
+        try {
+          if (err) {
+            throw err;
+          }
+          _verifyBackup(_restorePath, _backupName);
+          if (_isMyPeerIdInBackup(_restorePath)) {
+            throw _getKnownPeerIdError(_backupName);
+          }
+          _installSnapshot(_restorePath);
         }
-        eventEmitter.emit('backup:failed', trigger, _backupFileName);
+        catch (e) {
+          err = e;
+        }
+        fs.rm(_restorePath, { force : true }, () => {});
+        if (err) {
+          return _onRestoreDone(err, _backupName, callback);
+        }
+        _restoreIncrementalBackups(incrementalBackupNames, _backupName, (err, appliedBackupNames) => {
+          _onRestoreDone(err, _backupName, callback, appliedBackupNames);
+        });
       });
     });
   }
 
+  /**
+   * Applies a chain of incremental backups on the restored database, from the oldest.
+   *
+   * The chain stops at the first incremental backup which cannot be applied (download error, missing incremental backup
+   * in the chain, or another schema version). It is not an error: the patches of the next backups are requested to other peers.
+   * But an incremental backup which knows my peer id is an error, like for the full backup (see restore).
+   *
+   * @param {Array<string>} incrementalBackupNames - Sorted from the oldest. The array is emptied.
+   * @param {string} previousBackupName - Name of the last backup applied on the database
+   * @param {Function} callback - callback(err, appliedBackupNames)
+   * @param {Array<string>} [appliedBackupNames=[]]
+   */
+  function _restoreIncrementalBackups (incrementalBackupNames, previousBackupName, callback, appliedBackupNames = []) {
+    const _backupName = incrementalBackupNames.shift();
+    if (_backupName === undefined) {
+      return callback(null, appliedBackupNames);
+    }
+    const _restorePath = path.join(os.tmpdir(), `replic-sqlite-restore-${myPeerId}-${crypto.randomUUID()}.sqlite`);
+    debug('restoring incremental backup %s', _backupName);
+    BACKUP_STORAGE.get(_backupName, _restorePath, (err) => {
+      let _isMyPeerIdKnown = false;
+      try {
+        if (err) {
+          throw err;
+        }
+        _verifyBackup(_restorePath, _backupName);
+        _isMyPeerIdKnown = _isMyPeerIdInBackup(_restorePath);
+        if (_isMyPeerIdKnown === false) {
+          _applyIncrementalBackup(_restorePath, _backupName, previousBackupName);
+        }
+      }
+      catch (e) {
+        err = e;
+      }
+      fs.rm(_restorePath, { force : true }, () => {});
+      if (_isMyPeerIdKnown === true) {
+        return callback(_getKnownPeerIdError(_backupName), appliedBackupNames);
+      }
+      if (err) {
+        debug('incremental backup %s not restored, the next patches will be requested to other peers: %s', _backupName, err.message);
+        return callback(null, appliedBackupNames);
+      }
+      appliedBackupNames.push(_backupName);
+      _restoreIncrementalBackups(incrementalBackupNames, _backupName, callback, appliedBackupNames);
+    });
+  }
+
+  /**
+   * Copies the patches of an incremental backup in the patch tables, then merges them in the tables from the oldest copied patch.
+   * Patches already stored are ignored.
+   *
+   * @param {string} backupPath - Absolute path of the downloaded incremental backup
+   * @param {string} backupName
+   * @param {string} previousBackupName - Name of the last backup applied on the database
+   */
+  function _applyIncrementalBackup (backupPath, backupName, previousBackupName) {
+    const _mergedTables = [];
+    db.prepare('ATTACH DATABASE ? AS incremental').run([backupPath]);
+    try {
+      const _info = db.prepare('SELECT previousBackupName FROM incremental.backup_info').get();
+      if (_info?.previousBackupName !== previousBackupName) {
+        throw new Error(`Missing incremental backup before ${backupName}`);
+      }
+      const _version = db.prepare('SELECT COUNT(*) FROM main.migrations').pluck().get();
+      const _backupVersion = db.prepare('SELECT COUNT(*) FROM incremental.migrations').pluck().get();
+      if (_backupVersion !== _version) {
+        throw new Error(`Incremental backup ${backupName} has another schema version (${_backupVersion}) than the database (${_version})`);
+      }
+      const _tableNames = db.prepare("SELECT name FROM incremental.sqlite_master WHERE type = 'table' AND name NOT IN ('backup_info', 'migrations')").pluck().all();
+      db.transaction(() => {
+        for (const _tableName of _tableNames) {
+          const _columns = db.pragma(`main.table_info("${_tableName}")`).map((col) => `"${col.name}"`).join(', ');
+          if (_columns === '') {
+            continue; // unknown table
+          }
+          if (_tableName === 'patch_groups') {
+            // A group stored as pending in the previous backup may have been applied since
+            db.exec(`
+              INSERT INTO main.patch_groups (${_columns}) SELECT ${_columns} FROM incremental.patch_groups WHERE true
+              ON CONFLICT (_peerId, minSequenceId) DO UPDATE SET isApplied = max(isApplied, excluded.isApplied)
+            `);
+            continue;
+          }
+          db.exec(`
+            INSERT INTO main."${_tableName}" (${_columns})
+            SELECT ${_columns} FROM incremental."${_tableName}" AS p
+            WHERE NOT EXISTS (SELECT 1 FROM main."${_tableName}" AS s WHERE s._patchedAt = p._patchedAt AND s._peerId = p._peerId AND s._sequenceId = p._sequenceId)
+          `);
+          const _oldestPatchedAt = db.prepare(`SELECT min(_patchedAt) FROM incremental."${_tableName}"`).pluck().get();
+          if (_tableName !== 'pending_patches' && _oldestPatchedAt !== null) {
+            _mergedTables.push([_tableName.slice(0, -8), _oldestPatchedAt]); // Remove '_patches' suffix
+          }
+        }
+      })();
+    }
+    finally {
+      db.exec('DETACH DATABASE incremental');
+    }
+    for (const [_tableName, _oldestPatchedAt] of _mergedTables) {
+      _generateMergePatchesQueryPlan(_tableName);
+      tableStatements[_tableName].applyPatches(_oldestPatchedAt);
+    }
+  }
+
+  /**
+   * Throws if a backup file is not a valid replic-sqlite database
+   *
+   * @param {string} backupPath - Absolute path of the downloaded backup
+   * @param {string} backupName - Name of the backup, for error messages
+   */
+  function _verifyBackup (backupPath, backupName) {
+    let _isAttached = false;
+    try {
+      db.prepare('ATTACH DATABASE ? AS backup').run([backupPath]);
+      _isAttached = true;
+      const _integrity = db.pragma('backup.quick_check', { simple : true });
+      if (_integrity !== 'ok') {
+        throw new Error(_integrity);
+      }
+      if (!db.prepare("SELECT 1 FROM backup.sqlite_master WHERE type = 'table' AND name = 'migrations'").get()) {
+        throw new Error('migrations table not found');
+      }
+    }
+    catch (err) {
+      throw new Error(`Corrupted backup ${backupName}: ${err.message}`, { cause : err });
+    }
+    finally {
+      if (_isAttached) {
+        db.exec('DETACH DATABASE backup');
+      }
+    }
+  }
+
+  /**
+   * Returns true if a backup contains patches of my peer id, or PING stats of other peers about my peer id
+   * (I was connected to the cluster when the backup was made, so I may have produced patches which are not in the backup).
+   *
+   * @param {string} backupPath - Absolute path of the downloaded backup (verified)
+   * @returns {boolean}
+   */
+  function _isMyPeerIdInBackup (backupPath) {
+    const _peerId = parseInt(myPeerId, 10);
+    db.prepare('ATTACH DATABASE ? AS backup').run([backupPath]);
+    try {
+      const _tableNames = db.prepare("SELECT name FROM backup.sqlite_master WHERE type = 'table' AND name LIKE '%\\_patches' ESCAPE '\\'").pluck().all();
+      for (const _tableName of _tableNames) {
+        if (db.prepare(`SELECT 1 FROM backup."${_tableName}" WHERE _peerId = ? LIMIT 1`).get(_peerId)) {
+          return true;
+        }
+      }
+      if (_tableNames.includes('pending_patches')) {
+        return !!db.prepare('SELECT 1 FROM backup.pending_patches WHERE tableName = ? AND json_type(delta, ?) IS NOT NULL LIMIT 1').get(PENDING_PATCHES_TABLE_NAME, `$."${_peerId}"`);
+      }
+      return false;
+    }
+    finally {
+      db.exec('DETACH DATABASE backup');
+    }
+  }
+
+  function _getKnownPeerIdError (backupName) {
+    return new Error(`Backup ${backupName} already knows peer ${myPeerId}. Restore it with a new peer id, otherwise the patches of peer ${myPeerId} produced after the backup would be lost and their sequence ids reused`);
+  }
+
+  function _onRestoreDone (err, backupName, callback, incrementalBackupNames = []) {
+    if (err) {
+      debug('restore failed: %s', err.message);
+    }
+    else if (backupName) {
+      debug('backup %s restored with %d incremental backups', backupName, incrementalBackupNames.length);
+    }
+    if (callback) {
+      return callback(err ?? null, backupName, incrementalBackupNames);
+    }
+    eventEmitter.emit(err ? 'restore:failed' : 'restore:completed', backupName, err, incrementalBackupNames);
+  }
+
   /**
    * Generate all statements needed to merge patches for a given table.
    *
    * Called internally for each table ending with _patches except pending_patches by prepareAllStatements.
    *
    * @param {String} tableName
-   * @returns {Object} { applyPatchesSQL : string, savePatchSQL : string, directUpsertSQL : string }
+   * @returns {Object} { applyPatchesSQL : string, savePatchSQL : string, directUpsertSQL : string, getPatchFromColumnSQL : string, readAsOfSQL : function }
    */
   function _generateMergePatchesQueryPlan (tableName) {
     const _tableNamePatches = `${tableName}_patches`;
@@ -185,6 +745,9 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
     const _readColumns = [];
     const _pkColumns = [];
     const _updateClauses = [];
+    const _directUpdateClauses = [];
+    const _counterColumns = [];
+    const _tombstoneColumn = TOMBSTONE_COLUMNS[tableName] ?? 'deletedAt';
     for (const col of _tableInfo) {
       const _colName = col.name;
       const _hook = PREPARE_STATEMENT_HOOK(tableName, _colName);
@@ -195,11 +758,64 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
         _pkColumns.push(_colName);
         _columnsPatch.push(_colName);
       }
+      else if (COUNTER_COLUMNS[tableName]?.includes(_colName)) {
+        _counterColumns.push(_colName);
+        _updateClauses.push(`${_colName} = coalesce(excluded.${_colName}, ${_colName})`);
+        _directUpdateClauses.push(`${_colName} = coalesce(${_colName}, 0) + coalesce(excluded.${_colName}, 0)`);
+        _columnsPatch.push(null); // generated below, when all primary key columns are known
+      }
       else {
         _updateClauses.push(`${_colName} = coalesce(excluded.${_colName}, ${_colName})`);
+        _directUpdateClauses.push(`${_colName} = coalesce(excluded.${_colName}, ${_colName})`);
         _columnsPatch.push(`keep_last(${_colName}, _patchedAt, _peerId, _sequenceId)`);
       }
     }
+    for (const _colName of COUNTER_COLUMNS[tableName] ?? []) {
+      if (!_counterColumns.includes(_colName)) {
+        console.warn(`Warning: Counter column ${_colName} is not a column (or is a primary key column) of table ${tableName}`);
+      }
+    }
+    // Counter columns are the sum of all increments of the row, not only those of patches received since fromTimestamp
+    const _samePrimaryKeySQL = _pkColumns.map(pk => `_counter.${pk} = ${_tableNamePatches}.${pk}`).join(' AND ');
+    for (let i = 0; i < _columnsPatch.length; i++) {
+      if (_columnsPatch[i] === null) {
+        _columnsPatch[i] = `(SELECT keep_sum(_counter.${_columns[i]}) FROM ${_tableNamePatches} AS _counter WHERE ${_samePrimaryKeySQL})`;
+      }
+    }
+    // Merged state of rows at the HLC timestamp @asOf (used by readAsOf). Base rows of counter columns are included.
+    // A column without any stored patch has not changed during the retention window: its value is read in the live table.
+    // A column written only after @asOf is NULL, because its previous value has been deleted with old patches.
+    // Rows without any stored patch are read in the live table. Rows with patches only after @asOf are not returned.
+    // filteredPkColumns are filtered before merging patches (WHERE column IS @column).
+    const _readAsOfColumnsSQL = _columns.map((col) => {
+      if (_pkColumns.includes(col)) {
+        return `_patches.${col} AS ${col}`;
+      }
+      if (_counterColumns.includes(col)) {
+        return `keep_sum(_patches.${col}) FILTER (WHERE _patches._patchedAt <= @asOf) AS ${col}`;
+      }
+      return `CASE
+          WHEN count(_patches.${col}) FILTER (WHERE _patches._patchedAt <= @asOf) > 0
+            THEN keep_last(_patches.${col}, _patches._patchedAt, _patches._peerId, _patches._sequenceId) FILTER (WHERE _patches._patchedAt <= @asOf)
+          WHEN count(_patches.${col}) = 0
+            THEN _live.${col}
+        END AS ${col}`;
+    });
+    const _samePrimaryKeyAsLiveSQL = _pkColumns.map(pk => `_live.${pk} = _patches.${pk}`).join(' AND ');
+    const _readAsOfSQL = (filteredPkColumns) => `
+      SELECT
+        ${_readAsOfColumnsSQL.join(', \n        ')}
+      FROM ${_tableNamePatches} AS _patches
+      LEFT JOIN ${tableName} AS _live ON ${_samePrimaryKeyAsLiveSQL}
+      WHERE ${['1', ...filteredPkColumns.map(col => `_patches.${col} IS @${col}`)].join(' AND ')}
+      GROUP BY ${_pkColumns.map(pk => `_patches.${pk}`).join(', ')}
+      HAVING count(*) FILTER (WHERE _patches._patchedAt <= @asOf) > 0
+      UNION ALL
+      SELECT ${_columns.join(', ')}
+      FROM ${tableName} AS _live
+      WHERE ${['1', ...filteredPkColumns.map(col => `_live.${col} IS @${col}`)].join(' AND ')}
+        AND NOT EXISTS (SELECT 1 FROM ${_tableNamePatches} AS _patches WHERE ${_samePrimaryKeyAsLiveSQL})
+    `;
     const _applyPatchesSQL = `
       INSERT INTO ${tableName} (${_columns.join(', ')})
       SELECT
@@ -219,7 +835,7 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
       INSERT INTO ${tableName} (${_columns.join(', ')})
       VALUES (${_placeholders.join(', ')})
       ON CONFLICT (${_pkColumns.join(', ')}) DO UPDATE SET
-        ${_updateClauses.join(',\n        ')};
+        ${_directUpdateClauses.join(',\n        ')};
     `;
     const _getPatchFromColumnSQL = `
       SELECT
@@ -231,29 +847,203 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
         AND _sequenceId <= ?
     `;
     const applyPatches     = db.prepare(_applyPatchesSQL);
+    const listChangedRows  = db.prepare(`
+      SELECT ${_pkColumns.join(', ')}, min(_patchedAt) AS _minPatchedAt, max(_patchedAt) AS _maxPatchedAt
+      FROM ${_tableNamePatches}
+      WHERE _patchedAt >= ? AND _peerId <> 0
+      GROUP BY ${_pkColumns.join(', ')}
+    `);
     const savePatch        = db.prepare(_savePatchSQL);
-    const deleteOldPatches = db.prepare(_generateDeleteOldPatchQuery(_tableNamePatches));
+    const deleteOldPatches = _counterColumns.length > 0
+      ? _prepareDeleteOldCounterPatches(_tableNamePatches, _pkColumns, _counterColumns)
+      : db.prepare(_generateDeleteOldPatchQuery(_tableNamePatches));
+    const hasPatch         = db.prepare(_generateHasPatchQuery(_tableNamePatches)).pluck();
+    const listPatches      = db.prepare(`
+      SELECT _patchedAt, _peerId, _sequenceId, ${_readColumns.map(col => `${col.read} AS ${col.name}`).join(', ')}
+      FROM ${_tableNamePatches}
+      WHERE _peerId = ? AND _sequenceId >= ? AND _sequenceId <= ?
+      ORDER BY _sequenceId
+      LIMIT ${MAX_PATCH_PER_RETRANSMISSION}
+    `);
+    const listHistory      = db.prepare(`
+      SELECT * FROM ${_tableNamePatches}
+      WHERE ${_pkColumns.map(pk => `${pk} = ?`).join(' AND ')}
+      ORDER BY _patchedAt, _peerId, _sequenceId
+    `);
+    const cleanRow         = new Function('row', `return { ${_columns.map(col => `${col} : row.${col}`).join(', ')} }`);
+    const toPatchRow       = (row) => ({
+      _sequenceId : row._sequenceId,
+      patch       : { type : MESSAGE_TYPES.PATCH, at : row._patchedAt, peer : row._peerId, seq : row._sequenceId, ver : dbVersion, tab : tableName, delta : cleanRow(row) }
+    });
     tableStatements[tableName] = {
-      cleanRow              : new Function('row', `return { ${_columns.map(col => `${col} : row.${col}`).join(', ')} }`),
-      applyPatches          : (fromTimestamp) => applyPatches.run(fromTimestamp),
+      cleanRow              : cleanRow,
+      applyPatches          : (fromTimestamp) => _onPatchesApplied(tableName, _pkColumns, listChangedRows, fromTimestamp, applyPatches.run(fromTimestamp)),
       savePatch             : (patch) => savePatch.run(_savePatchSQLParamsFn(patch)),
       deleteOldPatches      : (timestamp) => deleteOldPatches.run(timestamp),
+      hasPatch              : (patch) => hasPatch.get([patch.at, patch.peer, patch.seq]) === 1,
+      listPatches           : (peerId, minSequenceId, maxSequenceId) => listPatches.all([peerId, minSequenceId, maxSequenceId]).map(toPatchRow),
+      listHistory           : (primaryKeyRow) => listHistory.all(_pkColumns.map(pk => primaryKeyRow[pk])),
       debounceFromTimestamp : Number.MAX_SAFE_INTEGER,
       debounceTimer         : null,
-      knownColumns          : _columns
+      knownColumns          : _columns,
+      primaryKeyColumns     : _pkColumns,
+      tombstoneColumn       : _columns.includes(_tombstoneColumn) ? _tombstoneColumn : null,
+      counterColumns        : _counterColumns,
+      readAsOfSQL           : _readAsOfSQL
     };
     return {
       applyPatchesSQL       : _applyPatchesSQL,
       savePatchSQL          : _savePatchSQL,
       directUpsertSQL       : _directUpsertSQL,
-      getPatchFromColumnSQL : _getPatchFromColumnSQL
+      getPatchFromColumnSQL : _getPatchFromColumnSQL,
+      readAsOfSQL           : _readAsOfSQL
     };
   }
 
+  /**
+   * Emits the 'change' event with the primary keys of the rows merged by applyPatches.
+   *
+   * Nothing is read if there is no listener. In a transaction started by _transactionWithChangeEvents,
+   * the event is queued and emitted only if the transaction is committed.
+   *
+   * @param {string} tableName
+   * @param {Array<string>} pkColumns
+   * @param {Object} listChangedRows - prepared statement which lists primary keys and patch timestamps from fromTimestamp
+   * @param {number} fromTimestamp - HLC timestamp used by applyPatches
+   * @param {Object} applyResult - result of the applyPatches statement
+   * @returns {Object} applyResult
+   */
+  function _onPatchesApplied (tableName, pkColumns, listChangedRows, fromTimestamp, applyResult) {
+    if (eventEmitter.listenerCount('change') === 0) {
+      return applyResult;
+    }
+    const _rows = listChangedRows.all(fromTimestamp);
+    if (_rows.length === 0) {
+      return applyResult;
+    }
+    const _primaryKeys = new Array(_rows.length);
+    const _hlcRange = [Number.MAX_SAFE_INTEGER, 0];
+    for (let i = 0; i < _rows.length; i++) {
+      const _row = _rows[i];
+      const _primaryKey = {};
+      for (const _column of pkColumns) {
+        _primaryKey[_column] = _row[_column];
+      }
+      _primaryKeys[i] = _primaryKey;
+      _hlcRange[0] = Math.min(_hlcRange[0], _row._minPatchedAt);
+      _hlcRange[1] = Math.max(_hlcRange[1], _row._maxPatchedAt);
+    }
+    if (changeEventsQueue) {
+      changeEventsQueue.push([tableName, _primaryKeys, _hlcRange]);
+    }
+    else {
+      _emitChangeEvent(tableName, _primaryKeys, _hlcRange);
+    }
+    return applyResult;
+  }
+
+  /**
+   * Calls each 'change' listener in a try/catch.
+   *
+   * Listeners are called in the write path (upsert, remove, increment, received patches). An error thrown by a listener
+   * is logged, so it does not prevent the broadcast of the patch, the callback of the write, or the other listeners.
+   *
+   * @param {string} tableName
+   * @param {Array<Object>} primaryKeys
+   * @param {Array<number>} hlcRange
+   */
+  function _emitChangeEvent (tableName, primaryKeys, hlcRange) {
+    for (const _listener of eventEmitter.rawListeners('change')) { // raw listeners, so once() listeners are removed
+      try {
+        _listener.call(eventEmitter, tableName, primaryKeys, hlcRange);
+      }
+      catch (e) {
+        console.error('Error in a change listener of table %s', tableName, e);
+      }
+    }
+  }
+
+  /**
+   * Runs fn in a transaction. 'change' events generated by applyPatches are emitted once the transaction is committed,
+   * and they are dropped if it fails.
+   *
+   * @param {Function} fn
+   */
+  function _transactionWithChangeEvents (fn) {
+    const _queue = [];
+    changeEventsQueue = _queue;
+    try {
+      db.transaction(fn)();
+    }
+    finally {
+      changeEventsQueue = null;
+    }
+    for (const _change of _queue) {
+      _emitChangeEvent(..._change);
+    }
+  }
+
+  /**
+   * Checks if a table has an index which starts with all the given columns (in any order)
+   *
+   * @param {string} tableName
+   * @param {Array<string>} columns
+   * @returns {boolean}
+   */
+  function _hasIndexOnColumns (tableName, columns) {
+    for (const _index of db.pragma(`index_list('${tableName}')`)) {
+      const _indexColumns = db.pragma(`index_info('${_index.name}')`).sort((a, b) => a.seqno - b.seqno).map(col => col.name);
+      if (columns.every(col => _indexColumns.slice(0, columns.length).includes(col))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Creates the view `<tableName>_alive` which hides tombstoned rows (removed with `remove`).
+   *
+   * The view is created in the main schema, so it can be read by all connections and services which open the database file.
+   * It is dropped before migrations (see _dropAliveViews) and created again with the new schema.
+   * Nothing is created if the table has no tombstone column.
+   *
+   * @param {string} tableName
+   */
+  function _createAliveView (tableName) {
+    const _tombstoneColumn = tableStatements[tableName]?.tombstoneColumn;
+    if (!_tombstoneColumn) {
+      return;
+    }
+    db.exec(`
+      DROP VIEW IF EXISTS main.${tableName}_alive;
+      CREATE VIEW main.${tableName}_alive AS SELECT * FROM ${tableName} WHERE ${_tombstoneColumn} IS NULL;
+    `);
+  }
+
+  /**
+   * Drops all views created by _createAliveView: views `<tableName>_alive` of replicated tables (with a `<tableName>_patches` table).
+   *
+   * Called before migrations, so views never prevent a table from being altered, even if the tombstone column is dropped.
+   */
+  function _dropAliveViews () {
+    const _viewNames = db.prepare(`
+      SELECT view.name FROM sqlite_master AS view
+      JOIN sqlite_master AS patches ON patches.type = 'table' AND patches.name = substr(view.name, 1, length(view.name) - 6) || '_patches'
+      WHERE view.type = 'view' AND view.name LIKE '%\\_alive' ESCAPE '\\'
+    `).pluck().all();
+    for (const _viewName of _viewNames) {
+      db.exec(`DROP VIEW IF EXISTS main."${_viewName}"`);
+    }
+  }
+
   function _generateListSequenceIdsQuery (tableName) {
     return `SELECT _peerId AS peerId, _sequenceId AS sequenceId, _patchedAt AS patchedAt FROM ${tableName} WHERE _patchedAt >= ? AND _peerId <> ${parseInt(myPeerId,10)}`;
   }
 
+  function _generateGetOldestSequenceIdQuery (tableName) {
+    return `SELECT MIN(_sequenceId) AS sequenceId FROM ${tableName} WHERE _peerId = ?`;
+  }
+
   function _generateGetLastPatchInfoQuery (tableName) {
     return `SELECT MAX(_patchedAt) AS patchedAt, MAX(_sequenceId) AS sequenceId FROM ${tableName} WHERE _patchedAt >= ? AND _peerId = ${parseInt(myPeerId,10)}`;
   }
@@ -267,6 +1057,49 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
     return `DELETE FROM ${tableName} WHERE _patchedAt < ?`;
   }
 
+  /**
+   * Prepares the deletion of old patches of a table with counter columns.
+   *
+   * Counter columns are the sum of all increments ever received, so the increments of deleted patches are first folded into
+   * one local base row per primary key (_peerId = 0, _sequenceId = 0, _patchedAt = 0). Base rows are never sent to other peers.
+   * The new base row is inserted with _sequenceId = 1, then it replaces the previous base row.
+   *
+   * @param {string} tableNamePatches
+   * @param {Array<string>} pkColumns
+   * @param {Array<string>} counterColumns
+   * @returns {Object} { run(timestamp) } same interface as a prepared statement
+   */
+  function _prepareDeleteOldCounterPatches (tableNamePatches, pkColumns, counterColumns) {
+    const _pk = pkColumns.join(', ');
+    const _foldIntoNewBaseRows = db.prepare(`
+      INSERT INTO ${tableNamePatches} (_patchedAt, _sequenceId, _peerId, ${_pk}, ${counterColumns.join(', ')})
+      SELECT 0, 1, 0, ${_pk}, ${counterColumns.map(col => `keep_sum(${col})`).join(', ')}
+      FROM ${tableNamePatches}
+      WHERE _patchedAt < ?
+      GROUP BY ${_pk}
+      HAVING max(_peerId) > 0 AND (${counterColumns.map(col => `count(${col}) > 0`).join(' OR ')})
+    `);
+    const _deleteOldPatches = db.prepare(`DELETE FROM ${tableNamePatches} WHERE _patchedAt < ? AND _peerId <> 0`);
+    const _deleteReplacedBaseRows = db.prepare(`
+      DELETE FROM ${tableNamePatches}
+      WHERE _peerId = 0 AND _sequenceId = 0
+        AND (${_pk}) IN (SELECT ${_pk} FROM ${tableNamePatches} WHERE _peerId = 0 AND _sequenceId = 1)
+    `);
+    const _activateNewBaseRows = db.prepare(`UPDATE ${tableNamePatches} SET _sequenceId = 0 WHERE _peerId = 0 AND _sequenceId = 1`);
+    const _run = db.transaction((timestamp) => {
+      _foldIntoNewBaseRows.run(timestamp);
+      const _result = _deleteOldPatches.run(timestamp);
+      _deleteReplacedBaseRows.run();
+      _activateNewBaseRows.run();
+      return _result;
+    });
+    return { run : _run };
+  }
+
+  function _generateHasPatchQuery (tableName) {
+    return `SELECT 1 FROM ${tableName} WHERE _patchedAt = ? AND _peerId = ? AND _sequenceId = ? LIMIT 1`;
+  }
+
   /**
    * Prepares all statements needed to merge patches for all tables.
    * Called once just after migrations are applied.
@@ -276,6 +1109,7 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
   function _prepareAllStatements () {
     const _listSequenceIds = [];
     const _getLastPatchInfo = [];
+    const _getOldestSequenceId = [];
     const _getPatchFromColumn = [];
     tableStatements._.cleanRow = row => row; // for ping, we consider the row is already cleaned
     // generate queries plan for pending_patches table
@@ -292,9 +1126,31 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
       const _plan = db.prepare(_generateDeleteOldPatchQuery('pending_patches'));
       return (timestamp) => _plan.run(timestamp);
     })();
-    // generate queries plan for patch tables
+    tableStatements._.hasPatch = (() => {
+      const _plan = db.prepare(_generateHasPatchQuery('pending_patches')).pluck();
+      return (patch) => _plan.get([patch.at, patch.peer, patch.seq]) === 1;
+    })();
+    tableStatements._.listPatches = (() => {
+      const _plan = db.prepare(`
+        SELECT _patchedAt, _peerId, _sequenceId, patchVersion, tableName, json(delta) AS delta
+        FROM pending_patches
+        WHERE _peerId = ? AND _sequenceId >= ? AND _sequenceId <= ?
+        ORDER BY _sequenceId
+        LIMIT ${MAX_PATCH_PER_RETRANSMISSION}
+      `);
+      return (peerId, minSequenceId, maxSequenceId) => _plan.all([peerId, minSequenceId, maxSequenceId]).map((row) => ({
+        _sequenceId : row._sequenceId,
+        patch       : { type : MESSAGE_TYPES.PATCH, at : row._patchedAt, peer : row._peerId, seq : row._sequenceId, ver : row.patchVersion, tab : row.tableName, delta : JSON.parse(row.delta) }
+      }));
+    })();
+    tableStatements._.deleteSkippedPatch = (() => {
+      const _plan = db.prepare(`DELETE FROM pending_patches WHERE _patchedAt = ? AND _peerId = ? AND _sequenceId = ? AND tableName = '${PENDING_PATCHES_TABLE_NAME}' AND json(delta) = '{}'`);
+      return (patch) => _plan.run([patch.at, patch.peer, patch.seq]).changes > 0;
+    })();
+    // generate queries plan for patch tables
     _listSequenceIds.push(_generateListSequenceIdsQuery('pending_patches'));
     _getLastPatchInfo.push(_generateGetLastPatchInfoQuery('pending_patches'));
+    _getOldestSequenceId.push(_generateGetOldestSequenceIdQuery('pending_patches'));
     _getPatchFromColumn.push(_generateGetPatchFromPendingTableQuery());
     // Get all tables ending with _patches except pending_patches
     const _patchTables = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name LIKE '%_patches' AND name != 'pending_patches'").all();
@@ -309,7 +1165,14 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
         }
         _listSequenceIds.push(_generateListSequenceIdsQuery(table.name));
         _getLastPatchInfo.push(_generateGetLastPatchInfoQuery(table.name));
+        _getOldestSequenceId.push(_generateGetOldestSequenceIdQuery(table.name));
         _getPatchFromColumn.push(_generateMergePatchesQueryPlan(_tableName).getPatchFromColumnSQL);
+        // Counter columns are summed from all patches of the row (correlated sub-query on the primary key columns)
+        const _primaryKeyColumns = tableStatements[_tableName].primaryKeyColumns;
+        if (tableStatements[_tableName].counterColumns.length > 0 && !_hasIndexOnColumns(table.name, _primaryKeyColumns)) {
+          console.warn(`Warning: Table ${table.name} is missing an index on primary key columns (${_primaryKeyColumns.join(', ')}) which may impact performance of counter columns`);
+        }
+        _createAliveView(_tableName);
       }
       catch (err) {
         console.error(`Failed to generate merge patches query plan for table ${_tableName}:`, err);
@@ -325,6 +1188,12 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
         return _plan.get(_params);
       };
     })();
+    globalStatements.getOldestSequenceId = (() => {
+      const _unionQuery = _getOldestSequenceId.join(' UNION ALL ');
+      const _nbTables = _getOldestSequenceId.length;
+      const _plan = db.prepare(`SELECT MIN(sequenceId) FROM (${_unionQuery}) AS all_patches`).pluck();
+      return (peerId) => _plan.get(new Array(_nbTables).fill(peerId));
+    })();
     globalStatements.getPatchFromColumn = (() => {
       const _unionQuery = _getPatchFromColumn.join(' UNION ALL ');
       const _nbTables = _getPatchFromColumn.length;
@@ -343,18 +1212,77 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
         return _plan.all(_params);
       };
     })();
+    // Same patches as getPatchFromColumn, read as columns for peers which use my codec (no JSON generated by SQLite).
+    // Always returns an array of { _sequenceId, patch } where patch is an object.
+    globalStatements.getPatchObjectsFromColumns = (peerId, minSequenceId, maxSequenceId) => {
+      let _patches = [];
+      for (const _tableName in tableStatements) {
+        if (tableStatements[_tableName].listPatches) {
+          _patches = _patches.concat(tableStatements[_tableName].listPatches(peerId, minSequenceId, maxSequenceId));
+        }
+      }
+      return _patches.sort((a, b) => a._sequenceId - b._sequenceId).slice(0, MAX_PATCH_PER_RETRANSMISSION);
+    };
+    globalStatements.listPendingPatches = (() => {
+      const _plan = db.prepare(`
+        SELECT p.rowid, p._patchedAt, p._peerId, p._sequenceId, p.patchVersion, p.tableName, json(p.delta) AS delta,
+               g.minSequenceId AS groupMinSequenceId, g.maxSequenceId AS groupMaxSequenceId, g.isApplied AS isGroupApplied
+        FROM pending_patches p
+        LEFT JOIN patch_groups g ON g._peerId = p._peerId AND p._sequenceId BETWEEN g.minSequenceId AND g.maxSequenceId
+        WHERE p.patchVersion = @version
+          AND (p.tableName <> '${PENDING_PATCHES_TABLE_NAME}' OR g.minSequenceId IS NOT NULL)
+          AND (@peerId IS NULL OR p._peerId = @peerId)
+          AND p._sequenceId BETWEEN @minSequenceId AND @maxSequenceId
+      `);
+      return (version, peerId, minSequenceId, maxSequenceId) => _plan.all({ version, peerId, minSequenceId, maxSequenceId });
+    })();
+    globalStatements.deletePendingPatch = (() => {
+      const _plan = db.prepare('DELETE FROM pending_patches WHERE rowid = ?');
+      return (rowid) => _plan.run([rowid]);
+    })();
+    globalStatements.savePatchGroup = (() => {
+      const _plan = db.prepare(`
+        INSERT INTO patch_groups (_patchedAt, _peerId, minSequenceId, maxSequenceId, isApplied) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (_peerId, minSequenceId) DO NOTHING
+      `);
+      return (patch, isApplied = 0) => _plan.run([patch.at, patch.peer, patch.grp[0], patch.grp[1], isApplied]);
+    })();
+    globalStatements.isPatchGroupApplied = (() => {
+      const _plan = db.prepare('SELECT isApplied FROM patch_groups WHERE _peerId = ? AND minSequenceId = ?').pluck();
+      return (peerId, minSequenceId) => _plan.get([peerId, minSequenceId]) === 1;
+    })();
+    globalStatements.markPatchGroupAsApplied = (() => {
+      const _plan = db.prepare('UPDATE patch_groups SET isApplied = 1 WHERE _peerId = ? AND minSequenceId = ?');
+      return (peerId, minSequenceId) => _plan.run([peerId, minSequenceId]);
+    })();
+    globalStatements.listPatchGroups = (() => {
+      const _plan = db.prepare('SELECT minSequenceId, maxSequenceId FROM patch_groups WHERE _peerId = ? AND minSequenceId <= ? AND maxSequenceId >= ?');
+      return (peerId, minSequenceId, maxSequenceId) => _plan.all([peerId, maxSequenceId, minSequenceId]);
+    })();
+    globalStatements.deleteOldPatchGroups = (() => {
+      const _plan = db.prepare(_generateDeleteOldPatchQuery('patch_groups'));
+      return (timestamp) => _plan.run(timestamp);
+    })();
     globalStatements.listMissingSequenceIds = (() => {
       // Finds missing sequence ranges
       // For now, when a new peer is connected, it sends a persistent patch to fix the detection of missing patches.
       // Otherwise, another solution would be to insert a fake patch (PING) to fill the missing patches (1 missing patch per peer) and make the "lead" window work.
       // _The missing patch would be added with listSequenceIds.push('SELECT _peerId AS peerId, _sequenceId AS sequenceId, _patchedAt AS patchedAt'));
-      const _unionQuery = _listSequenceIds.join(' UNION ALL ');
+      // Sequence ids which are known but not stored (see _getMissingPatches) are given as a JSON array of [peerId, sequenceId, patchedAt]
+      const _knownSequenceIdsQuery = "SELECT json_extract(value, '$[0]') AS peerId, json_extract(value, '$[1]') AS sequenceId, json_extract(value, '$[2]') AS patchedAt FROM json_each(?)";
+      const _unionQuery = [..._listSequenceIds, _knownSequenceIdsQuery].join(' UNION ALL ');
       const _nbTables = _listSequenceIds.length;
-      const _plan = db.prepare(`SELECT * FROM (
-                                  SELECT *, (lead(sequenceId, 1) OVER (PARTITION BY peerId ORDER BY sequenceId)) - sequenceId - 1 AS nbMissingSequenceIds FROM (${_unionQuery})
-                                ) WHERE nbMissingSequenceIds > 0 ORDER BY peerId, sequenceId`);
-      return (fromTimestamp) => {
+      // A gap from sequence id 0 is ignored if the next patch was stored before startup: the history before the first
+      // stored patch may have been deleted by the retention policy.
+      const _plan = db.prepare(`SELECT peerId, sequenceId, patchedAt, nbMissingSequenceIds FROM (
+                                  SELECT *,
+                                    (lead(sequenceId, 1) OVER (PARTITION BY peerId ORDER BY sequenceId)) - sequenceId - 1 AS nbMissingSequenceIds,
+                                    (lead(patchedAt, 1) OVER (PARTITION BY peerId ORDER BY sequenceId)) AS nextPatchedAt
+                                  FROM (${_unionQuery})
+                                ) WHERE nbMissingSequenceIds > 0 AND NOT (sequenceId = 0 AND nextPatchedAt < ?) ORDER BY peerId, sequenceId`);
+      return (fromTimestamp, knownSequenceIds = []) => {
         const _params = new Array(_nbTables).fill(fromTimestamp);
+        _params.push(JSON.stringify(knownSequenceIds), startedAtTimestamp);
         const _result = _plan.all(_params);
         return _result;
       };
@@ -379,6 +1307,77 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
     lastPatchAtTimestamp = 0;
   }
 
+  /**
+   * Moves pending patches which match the current database version into their `<table>_patches` table and merges them.
+   *
+   * Patches are parked in pending_patches by _onPatchReceivedFromPeers when the remote peer runs another schema version,
+   * or when they belong to a group patch which is not fully received yet.
+   * Called just after migrations are applied, so patches received during a rolling upgrade are not lost,
+   * and each time a member of a group patch is received.
+   * Ping stats (tableName '_') stay in pending_patches because they are used to detect missing sequence ids.
+   * Patches for an unknown table are kept until they are deleted by the patch retention policy.
+   * Patches of an incomplete group are kept until all patches of the group are received, or until the group is marked as applied
+   * (the other patches of the group have been applied by another peer, and restored from its incremental backup).
+   *
+   * @param {number|null} [peerId=null] Only apply pending patches of this peer (all peers if null)
+   * @param {number} [minSequenceId=0] Only apply pending patches from this sequence id (inclusive)
+   * @param {number} [maxSequenceId=Number.MAX_SAFE_INTEGER] Only apply pending patches up to this sequence id (inclusive)
+   * @returns {number} Number of pending patches applied
+   */
+  function _applyPendingPatches (peerId = null, minSequenceId = 0, maxSequenceId = Number.MAX_SAFE_INTEGER) {
+    const _pendingPatches = globalStatements.listPendingPatches(dbVersion, peerId, minSequenceId, maxSequenceId);
+    if (_pendingPatches.length === 0) {
+      return 0;
+    }
+    // A group patch is applied only if all its sequence ids are received
+    const _receivedSequenceIdsPerGroup = {};
+    for (const _pending of _pendingPatches) {
+      if (_pending.groupMinSequenceId !== null) {
+        const _groupKey = `${_pending._peerId}.${_pending.groupMinSequenceId}`;
+        if (!_receivedSequenceIdsPerGroup[_groupKey]) {
+          _receivedSequenceIdsPerGroup[_groupKey] = new Set();
+        }
+        _receivedSequenceIdsPerGroup[_groupKey].add(_pending._sequenceId);
+      }
+    }
+    const _fromTimestampPerTable = {};
+    let _nbApplied = 0;
+    _transactionWithChangeEvents(() => {
+      for (const _pending of _pendingPatches) {
+        const _tableStatement = tableStatements[_pending.tableName];
+        if (!_tableStatement?.applyPatches) {
+          // Skipped patches of a group (table '_') are only counted to know if the group is complete
+          continue;
+        }
+        if (_pending.groupMinSequenceId !== null && _pending.isGroupApplied === 0) {
+          const _nbReceived = _receivedSequenceIdsPerGroup[`${_pending._peerId}.${_pending.groupMinSequenceId}`].size;
+          if (_nbReceived !== _pending.groupMaxSequenceId - _pending.groupMinSequenceId + 1) {
+            continue;
+          }
+          globalStatements.markPatchGroupAsApplied(_pending._peerId, _pending.groupMinSequenceId);
+        }
+        _tableStatement.savePatch({
+          at    : _pending._patchedAt,
+          peer  : _pending._peerId,
+          seq   : _pending._sequenceId,
+          ver   : _pending.patchVersion,
+          tab   : _pending.tableName,
+          delta : _tableStatement.cleanRow(JSON.parse(_pending.delta))
+        });
+        globalStatements.deletePendingPatch(_pending.rowid);
+        if (_fromTimestampPerTable[_pending.tableName] === undefined || _pending._patchedAt < _fromTimestampPerTable[_pending.tableName]) {
+          _fromTimestampPerTable[_pending.tableName] = _pending._patchedAt;
+        }
+        _nbApplied++;
+      }
+      for (const _tableName in _fromTimestampPerTable) {
+        tableStatements[_tableName].applyPatches(_fromTimestampPerTable[_tableName]);
+      }
+    });
+    debug('%d pending patches applied (version %d)', _nbApplied, dbVersion);
+    return _nbApplied;
+  }
+
   /**
    * Migrates the database to the latest schema version based on the provided application migrations.
    *
@@ -398,6 +1397,7 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
     const _lastAppliedId = _existingMigrations.length > 0 ? _existingMigrations[_existingMigrations.length - 1].id : 0;
     const _targetId = appMigrations.length;
     dbVersion = _targetId ?? 1;
+    _dropAliveViews();
     // Execute migrations in a transaction
     db.transaction(() => {
       if (_targetId < _lastAppliedId) {
@@ -416,9 +1416,16 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
           db.prepare('INSERT INTO migrations (id, up, down) VALUES (?, ?, ?)').run([i, migration.up, migration.down]);
         }
       }
+      // Migrations which break the row filter of a connected peer are rolled back
+      for (const _peerId in peerPolicies) {
+        if (peerPolicies[_peerId].rowFilter) {
+          _checkRowFilterColumns(peerPolicies[_peerId].rowFilter);
+        }
+      }
     })();
     _prepareAllStatements();
     _initPeerSequence();
+    _applyPendingPatches();
 
     return {
       currentVersion  : _targetId,
@@ -429,15 +1436,54 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
   /**
    * Broadcasts a message to all connected peer sockets.
    *
-   * The message will be stringified using JSON.stringify before sending.
+   * The message is encoded with the codec for peers which use the same codec, and stringified using JSON.stringify for other peers.
+   * Each format is generated only once, and only if at least one peer needs it (see _sendMessageObjectToPeer).
    *
    * @param {Object} msg - The message object to be broadcast to all peers.
+   * @param {Array<number>} [excludedPeerIds=[]] - Peers which do not receive the message (see _relayPatch)
    * @private
    */
-  function _broadcast (msg) {
+  function _broadcast (msg, excludedPeerIds = []) {
+    const _msg = _signMessage(msg);
+    const _serializedMsg = {};
+    let _skippedMsg; // generated only once, if at least one peer does not receive the table of this patch
+    const _serializedSkippedMsg = {};
     for (const _peerId in peerSockets) {
-      _sendMessageToPeer(_peerId, JSON.stringify(msg));
+      if (excludedPeerIds.includes(parseInt(_peerId, 10))) {
+        continue;
+      }
+      if (msg.type === MESSAGE_TYPES.PATCH && !_isPatchSentToPeer(_peerId, msg)) {
+        _skippedMsg = _skippedMsg ?? _signMessage(_toSkippedPatch(msg));
+        _sendMessageObjectToPeer(_peerId, _skippedMsg, _serializedSkippedMsg);
+        continue;
+      }
+      _sendMessageObjectToPeer(_peerId, _msg, _serializedMsg, msg.type === MESSAGE_TYPES.PING ? SEND_PRIORITIES.CONTROL : SEND_PRIORITIES.NORMAL);
+    }
+  }
+
+  /**
+   * Sends a message object to a peer: encoded by my codec if the peer uses the same codec, stringified in JSON otherwise.
+   *
+   * The serialized message is cached in serializedMsg, so a message sent to several peers is encoded at most once
+   * and stringified at most once. JSON.stringify is not called if all peers use my codec.
+   *
+   * @param {number|string} peerId
+   * @param {Object} msg - The message, already signed
+   * @param {Object} serializedMsg - Cache { string, encoded } shared by all calls for the same message (empty object at first)
+   * @param {number} [priority=SEND_PRIORITIES.NORMAL]
+   * @param {string} [bulkKey] - see _sendMessageToPeer
+   */
+  function _sendMessageObjectToPeer (peerId, msg, serializedMsg, priority = SEND_PRIORITIES.NORMAL, bulkKey) {
+    if (peersUsingMyCodec.has(parseInt(peerId, 10))) {
+      if (serializedMsg.encoded === undefined) {
+        serializedMsg.encoded = CODEC.encode(msg);
+      }
+      if (serializedMsg.encoded !== null) {
+        return _sendMessageToPeer(peerId, undefined, serializedMsg.encoded, priority, bulkKey);
+      }
     }
+    serializedMsg.string = serializedMsg.string ?? JSON.stringify(msg);
+    _sendMessageToPeer(peerId, serializedMsg.string, serializedMsg.encoded, priority, bulkKey);
   }
 
   /**
@@ -448,50 +1494,257 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
    * sends a retransmission request for the missing sequence range to the peer, provided a socket
    * connection exists. Updates statistics for synchronized peers as well.
    *
-   * TODO: Add test for case where peerSockets[peerId] does not exist but peerId exists in DB with missing patches.
-   * TODO: The socket may not exist, in which case, a request must be sent directly to another peer.
+   * If the socket of the origin peer does not exist (disconnected, or crashed for good), the request is sent
+   * to the connected peer which has received the most patches of the origin peer (see _findPeerWithPatches).
+   *
+   * Patches of tables or rows which are not replicated with a peer are replaced by skipped patches (see _toSkippedPatch),
+   * so the sequence ids of other peers are always contiguous, even with replication policies.
+   *
+   * The beginning of a range which has been deleted by the retention policy of a peer (PATCH_TOO_OLD) is not requested again.
+   * The gap stays open until a snapshot is installed (see status().isResyncRequired).
    *
    * @param {number} fromTimestamp The timestamp from which to search for missing patches.
    * @return {Array<Object>} Array of missing sequence id objects.
    */
   function _getMissingPatches (fromTimestamp) {
-    const _missingSequenceIds = globalStatements.listMissingSequenceIds(fromTimestamp);
+    // The last sequence id of each peer is known from its PING messages, even if its last patches are lost (not stored).
+    // The guaranteed sequence id and the next sequence id are added to the stored ones, so the lead window detects
+    // missing patches at the beginning and at the end of the sequence too.
+    const _trackedPeerStats = _getTrackedPeerStats();
+    const _knownSequenceIds = [];
+    for (const _peerId in _trackedPeerStats) {
+      const _stat = _trackedPeerStats[_peerId];
+      if (_stat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID] < _stat[LAST_SEQUENCE_ID]) {
+        _knownSequenceIds.push([parseInt(_peerId, 10), _stat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID], _stat[GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP]]);
+        _knownSequenceIds.push([parseInt(_peerId, 10), _stat[LAST_SEQUENCE_ID] + 1, _stat[LAST_PATCH_AT_TIMESTAMP]]);
+      }
+    }
+    const _missingSequenceIds = globalStatements.listMissingSequenceIds(fromTimestamp, _knownSequenceIds);
     const _peerWithMissingIds = new Set();
+    const _previousMissingSequenceRanges = missingSequenceRanges;
+    missingSequenceRanges = {};
+    requestedSequenceIdsOfUnknownPeers = {};
     // Send messages to request missing patches from peers
     for (let i = 0; i < _missingSequenceIds.length; i++) {
       const _missing = _missingSequenceIds[i];
       const { peerId, sequenceId, nbMissingSequenceIds, patchedAt } = _missing;
-      if (peerStats[peerId] && !_peerWithMissingIds.has(peerId)) {
+      const _minSeq = sequenceId + 1;
+      const _maxSeq = sequenceId + nbMissingSequenceIds;
+      const _rangeKey = `${peerId}:${_minSeq}`;
+      const _range = _previousMissingSequenceRanges[_rangeKey] ?? { since : Date.now(), askedPeerIds : new Set() };
+      const _requestedMinSeq = _getFirstSequenceIdNotTooOld(peerId, _minSeq);
+      let _askedPeerId = peerSockets[peerId] ? peerId : _findPeerWithPatches(peerId, _requestedMinSeq, _maxSeq);
+      if (_requestedMinSeq > _maxSeq) {
+        _askedPeerId = null;
+      }
+      else if (Date.now() - _range.since >= LOST_PATCH_TIMEOUT_MS) {
+        // After the timeout, the peers which have not been asked yet are asked one by one (one per heartbeat).
+        // When all peers have been asked, and nobody has answered, the gap is closed.
+        // An origin peer which is disconnected for less than maxPeerDisconnectionToleranceMs (still in peerStats) may reconnect
+        // with its patches: the gap is not closed until it has been asked too.
+        _askedPeerId = _findPeerToAsk(peerId, _requestedMinSeq, _maxSeq, _range.askedPeerIds);
+        const _isOriginPeerExpected = peerStats[peerId] !== undefined && !_range.askedPeerIds.has(peerId);
+        if (_askedPeerId === null && _range.askedPeerIds.size > 0 && !_isOriginPeerExpected) {
+          _markSequenceIdsAsLost(peerId, _minSeq, _maxSeq, patchedAt);
+          continue;
+        }
+      }
+      missingSequenceRanges[_rangeKey] = _range;
+      if (_trackedPeerStats[peerId] && !_peerWithMissingIds.has(peerId)) {
         // Update peer stats. Missing patches are sorted by peerId, sequenceId.
         // So the first missing range gives us the contiguous sequence range.
         _peerWithMissingIds.add(peerId);
-        peerStats[peerId][GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP] = patchedAt; // TODO what happens if it's an uninitialized peerStat?
-        peerStats[peerId][GUARANTEED_CONTIGUOUS_SEQUENCE_ID] = sequenceId;
+        _trackedPeerStats[peerId][GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP] = patchedAt; // TODO what happens if it's an uninitialized peerStat?
+        _trackedPeerStats[peerId][GUARANTEED_CONTIGUOUS_SEQUENCE_ID] = sequenceId;
       }
-      if (peerSockets[peerId]) { // TODO the socket may not exist, need to ask another peer directly
+      if (_askedPeerId !== null) {
+        _range.askedPeerIds.add(_askedPeerId);
         const _requestMessage = {
           type    : MESSAGE_TYPES.MISSING_PATCH,
           peer    : peerId,
-          minSeq  : (sequenceId + 1),
-          maxSeq  : (sequenceId + nbMissingSequenceIds),
+          minSeq  : _requestedMinSeq,
+          maxSeq  : _maxSeq,
           forPeer : myPeerId
         };
         nbRetransmissionRequestsSent = nbRetransmissionRequestsSent < Number.MAX_SAFE_INTEGER ? nbRetransmissionRequestsSent + 1 : 0;
-        debugRetry('--> %d %o', peerId, _requestMessage);
-        _sendMessageToPeer(peerId, JSON.stringify(_requestMessage));
+        if (!peerStats[peerId]) {
+          requestedSequenceIdsOfUnknownPeers[peerId] = _maxSeq;
+        }
+        debugRetry('--> %d %o', _askedPeerId, _requestMessage);
+        _sendMessageToPeer(_askedPeerId, JSON.stringify(_signMessage(_requestMessage)), undefined, SEND_PRIORITIES.CONTROL);
       }
     }
     // Update peer stats for peers that have no missing patches (up-to-date peers)
-    for (const _peerId in peerStats) {
+    for (const _peerId in _trackedPeerStats) {
       if (!_peerWithMissingIds.has(parseInt(_peerId, 10))) {
-        peerStats[_peerId][GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP] = peerStats[_peerId][LAST_PATCH_AT_TIMESTAMP];
-        peerStats[_peerId][GUARANTEED_CONTIGUOUS_SEQUENCE_ID] = peerStats[_peerId][LAST_SEQUENCE_ID];
-        _onSynced(_peerId);
+        _trackedPeerStats[_peerId][GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP] = _trackedPeerStats[_peerId][LAST_PATCH_AT_TIMESTAMP];
+        _trackedPeerStats[_peerId][GUARANTEED_CONTIGUOUS_SEQUENCE_ID] = _trackedPeerStats[_peerId][LAST_SEQUENCE_ID];
+        if (peerStats[_peerId]) {
+          _onSynced(_peerId);
+        }
       }
     }
     return _missingSequenceIds;
   }
 
+  /**
+   * Returns the first sequence id of a missing range which has not been deleted by the retention policy of a peer.
+   * PATCH_TOO_OLD replies are chained: the reply to the request of the rest of the range starts after the previous one.
+   *
+   * @param {number} peerId - The origin peer of the missing patches
+   * @param {number} minSequenceId - First missing sequence id
+   * @returns {number} minSequenceId, or the sequence id following the too old ranges
+   */
+  function _getFirstSequenceIdNotTooOld (peerId, minSequenceId) {
+    let _sequenceId = minSequenceId;
+    while (tooOldSequenceRanges.has(`${peerId}:${_sequenceId}`)) {
+      _sequenceId = tooOldSequenceRanges.get(`${peerId}:${_sequenceId}`) + 1;
+    }
+    return _sequenceId;
+  }
+
+  /**
+   * Returns the next peer to ask for a missing sequence range: the origin peer if it is connected,
+   * then the peer which has received the most patches of the origin peer, then the other connected peers.
+   * Peers with a restricted replication policy are never asked.
+   *
+   * @param {number} originPeerId - The peer which produced the missing patches
+   * @param {number} minSequenceId - First missing sequence id (inclusive)
+   * @param {number} maxSequenceId - Last missing sequence id (inclusive)
+   * @param {Set<number>} askedPeerIds - Peers already asked for this range
+   * @returns {number|null} The peer id to ask, or null if all connected peers have been asked
+   */
+  function _findPeerToAsk (originPeerId, minSequenceId, maxSequenceId, askedPeerIds) {
+    if (peerSockets[originPeerId] && !askedPeerIds.has(originPeerId)) {
+      return originPeerId;
+    }
+    const _bestPeerId = _findPeerWithPatches(originPeerId, minSequenceId, maxSequenceId, askedPeerIds);
+    if (_bestPeerId !== null) {
+      return _bestPeerId;
+    }
+    for (const _peerIdStr in peerSockets) {
+      const _peerId = parseInt(_peerIdStr, 10);
+      if (_peerId !== originPeerId && !askedPeerIds.has(_peerId) && !_hasPartialReplication(_peerId)) {
+        return _peerId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Closes a gap of sequence ids which is lost everywhere (e.g. the origin peer crashed before broadcasting its patches).
+   *
+   * Each lost sequence id is replaced by a placeholder in pending_patches: an empty patch of the reserved table '_'
+   * marked with { lost : 1 }, like skipped patches. So the guaranteed contiguous sequence id of the origin peer moves forward,
+   * and 'synced' and readYourWrite can make progress again. If the real patch is received later, it is still stored and applied.
+   * Placeholders are retransmitted like other patches, so the other peers stop asking for them too.
+   *
+   * @param {number} peerId - The origin peer of the lost patches
+   * @param {number} minSequenceId - First lost sequence id (inclusive)
+   * @param {number} maxSequenceId - Last lost sequence id (inclusive)
+   * @param {number} patchedAt - Timestamp of the patch before the gap, used for the placeholders (retention policy)
+   */
+  function _markSequenceIdsAsLost (peerId, minSequenceId, maxSequenceId, patchedAt) {
+    debug('give up on lost patches %d.%d to %d.%d', peerId, minSequenceId, peerId, maxSequenceId);
+    db.transaction(() => {
+      for (let _seq = minSequenceId; _seq <= maxSequenceId; _seq++) {
+        tableStatements[PENDING_PATCHES_TABLE_NAME].savePatch({ at : patchedAt, peer : peerId, seq : _seq, ver : dbVersion, tab : PENDING_PATCHES_TABLE_NAME, delta : { lost : 1 } });
+      }
+    })();
+    const _nbLostPatches = maxSequenceId - minSequenceId + 1;
+    nbLostPatches = nbLostPatches < Number.MAX_SAFE_INTEGER - _nbLostPatches ? nbLostPatches + _nbLostPatches : 0;
+    eventEmitter.emit('patch:lost', peerId, minSequenceId, maxSequenceId);
+  }
+
+  /**
+   * Returns the stats of the peers whose missing patches are detected: connected peers,
+   * and with the relay option, origin peers which are only reachable through another peer.
+   *
+   * @returns {Object} { peerId : stat } (same format as peerStats)
+   */
+  function _getTrackedPeerStats () {
+    return RELAY ? { ...indirectPeerStats, ...peerStats } : peerStats;
+  }
+
+  /**
+   * Updates the stats of an origin peer which is not connected, when one of its patches is stored
+   *
+   * @param {Object} patch - Patch relayed or retransmitted by another peer
+   */
+  function _updateIndirectPeerStat (patch) {
+    if (!indirectPeerStats[patch.peer]) {
+      indirectPeerStats[patch.peer] = [0, 0, 0, 0, 0, 0];
+    }
+    const _stat = indirectPeerStats[patch.peer];
+    if (patch.seq === _stat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID] + 1) {
+      _stat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID] = patch.seq;
+      _stat[GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP] = patch.at;
+    }
+    if (patch.seq > _stat[LAST_SEQUENCE_ID]) {
+      _stat[LAST_SEQUENCE_ID] = patch.seq;
+      _stat[LAST_PATCH_AT_TIMESTAMP] = patch.at;
+    }
+  }
+
+  /**
+   * Learns the last sequence id of origin peers which are not connected from the PING message of a connected peer (relay option),
+   * so the last patches of these origin peers are requested even if they are lost.
+   *
+   * @param {Object} msg - PING message
+   */
+  function _learnIndirectPeerStats (msg) {
+    for (const _originPeerIdStr in msg.delta) {
+      const _originPeerId = parseInt(_originPeerIdStr, 10);
+      const _remoteStat = msg.delta[_originPeerIdStr];
+      if (_originPeerId === myPeerId || peerStats[_originPeerId] || !Array.isArray(_remoteStat) || !(_remoteStat[LAST_SEQUENCE_ID] > 0)) {
+        continue;
+      }
+      if (!indirectPeerStats[_originPeerId]) {
+        indirectPeerStats[_originPeerId] = [0, 0, 0, 0, 0, 0];
+      }
+      const _stat = indirectPeerStats[_originPeerId];
+      if (_remoteStat[LAST_SEQUENCE_ID] > _stat[LAST_SEQUENCE_ID]) {
+        _stat[LAST_SEQUENCE_ID] = _remoteStat[LAST_SEQUENCE_ID];
+        _stat[LAST_PATCH_AT_TIMESTAMP] = _remoteStat[LAST_PATCH_AT_TIMESTAMP];
+      }
+    }
+  }
+
+  /**
+   * Finds the best connected peer to retransmit the patches of another peer (origin) which is not connected.
+   *
+   * Each peer sends its peerStats in PING messages, so we know up to which sequence id of the origin peer
+   * it has received all patches (GUARANTEED_CONTIGUOUS_SEQUENCE_ID), and its last received sequence id (LAST_SEQUENCE_ID).
+   * The peer which has received the whole range is preferred. Otherwise, the peer which has received the most
+   * patches of the origin peer is chosen, if it may have some patches of the range.
+   * Peers with a restricted replication policy are never asked: they may have received skipped patches only.
+   *
+   * @param {number} originPeerId - The peer which produced the missing patches
+   * @param {number} minSequenceId - First missing sequence id (inclusive)
+   * @param {number} maxSequenceId - Last missing sequence id (inclusive)
+   * @param {Set<number>} [excludedPeerIds] - Peers which are not chosen (already asked)
+   * @returns {number|null} The peer id to ask, or null if no connected peer has these patches
+   */
+  function _findPeerWithPatches (originPeerId, minSequenceId, maxSequenceId, excludedPeerIds = new Set()) {
+    let _bestPeerId = null;
+    let _bestGuaranteedSequenceId = -1;
+    let _bestLastSequenceId = -1;
+    for (const _peerIdStr in peerSockets) {
+      const _peerId = parseInt(_peerIdStr, 10);
+      const _stat = remotePeerStats[_peerId]?.[originPeerId];
+      if (_peerId === originPeerId || !Array.isArray(_stat) || _stat[LAST_SEQUENCE_ID] < minSequenceId || _hasPartialReplication(_peerId) || excludedPeerIds.has(_peerId)) {
+        continue;
+      }
+      const _guaranteedSequenceId = Math.min(_stat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID], maxSequenceId);
+      if (_guaranteedSequenceId > _bestGuaranteedSequenceId || (_guaranteedSequenceId === _bestGuaranteedSequenceId && _stat[LAST_SEQUENCE_ID] > _bestLastSequenceId)) {
+        _bestPeerId = _peerId;
+        _bestGuaranteedSequenceId = _guaranteedSequenceId;
+        _bestLastSequenceId = _stat[LAST_SEQUENCE_ID];
+      }
+    }
+    return _bestPeerId;
+  }
+
   /**
    * Generates and broadcasts a ping stat message to all connected peers.
    *
@@ -515,8 +1768,15 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
       seq   : lastSequenceId,
       ver   : dbVersion,
       tab   : PENDING_PATCHES_TABLE_NAME,
-      delta : peerStats
+      delta : _getTrackedPeerStats() // with the relay option, peers learn the stats of origin peers which are several hops away
     };
+    if (CODEC !== codecs.json) {
+      _ping.cod = CODEC.name; // advertise my codec
+    }
+    if (DISCOVERY) {
+      _ping.adr = _getAdvertisedAddresses();
+    }
+    _ping.ldr = [leaderTerm, MY_LEADER_PRIORITY, leaderPeerId];
     debugPing('--> all peers %o', _ping);
     _broadcast(_ping);
   }
@@ -570,6 +1830,254 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
     callback?.(null, _generateSessionToken(myPeerId, _patch.seq));
   }
 
+  /**
+   * Inserts or updates (upserts) several rows, in one or more tables, as one replicated unit (group patch).
+   *
+   * All patches of the group share the same HLC timestamp and a contiguous range of sequence ids.
+   * They are stored and applied in one SQLite transaction locally. Remote peers keep the patches of the group
+   * in pending_patches until the whole range is received, then apply them in one transaction.
+   * So a group is never half-applied, even if some patches are lost and retransmitted later.
+   *
+   * @param {Array<{table: string, row: Object}>} rowPatches - The rows to upsert, with their table name.
+   * @param {function(Error|null, string=):void} [callback] - Optional callback invoked with error or the session token.
+   */
+  function transaction (rowPatches, callback) {
+    if (!Array.isArray(rowPatches) || rowPatches.length === 0) {
+      return callback?.(new Error('A transaction must contain at least one row'));
+    }
+    if (lastSequenceId === -1) {
+      return callback?.(new Error('System not correctly initialized. Please call migrate first.'));
+    }
+    for (const _rowPatch of rowPatches) {
+      if (!tableStatements[_rowPatch?.table]?.applyPatches) {
+        return callback?.(new Error(`Table ${_rowPatch?.table} not found`));
+      }
+    }
+    const _at = hlc.create();
+    const _group = [lastSequenceId + 1, lastSequenceId + rowPatches.length];
+    const _patches = rowPatches.map((rowPatch, index) => ({
+      type  : MESSAGE_TYPES.PATCH,
+      at    : _at,
+      peer  : myPeerId,
+      seq   : _group[0] + index,
+      ver   : dbVersion,
+      tab   : rowPatch.table,
+      grp   : _group,
+      delta : tableStatements[rowPatch.table].cleanRow(rowPatch.row)
+    }));
+    try {
+      _transactionWithChangeEvents(() => {
+        globalStatements.savePatchGroup(_patches[0], 1);
+        const _tables = new Set();
+        for (const _patch of _patches) {
+          tableStatements[_patch.tab].savePatch(_patch);
+          _tables.add(_patch.tab);
+        }
+        for (const _tableName of _tables) {
+          tableStatements[_tableName].applyPatches(_at);
+        }
+      });
+      lastSequenceId = _group[1];
+      lastPatchAtTimestamp = _at;
+    }
+    catch (e) {
+      console.error('Error processing group patch %o ', _patches, e.message);
+      return callback?.(e);
+    }
+    for (const _patch of _patches) {
+      debugWrite('--> all peers %o', _patch);
+      _broadcast(_patch);
+    }
+    callback?.(null, _generateSessionToken(myPeerId, _group[1]));
+  }
+
+  /**
+   * Removes a row by writing a tombstone patch (CRDT deletion). Direct DELETE is forbidden.
+   *
+   * The tombstone column ('deletedAt' by default, see the `tombstoneColumns` option) is set to Date.now()
+   * through `upsert`, so the deletion is replicated like any other patch.
+   * Tombstoned rows stay in the table, and they are hidden by the view `<tableName>_alive`.
+   *
+   * @param {string} tableName - The name of the table.
+   * @param {*|Object} primaryKey - The primary key value, or an object { column : value } for composite primary keys.
+   * @param {function(Error|null, string=):void} [callback] - Optional callback invoked with error or the session token.
+   */
+  function remove (tableName, primaryKey, callback) {
+    const _tableStatement = tableStatements[tableName];
+    if (!_tableStatement?.applyPatches) {
+      return callback?.(new Error(`Table ${tableName} not found`));
+    }
+    if (!_tableStatement.tombstoneColumn) {
+      return callback?.(new Error(`Table ${tableName} has no tombstone column`));
+    }
+    const _rowPatch = _primaryKeyToRow(tableName, primaryKey);
+    if (_rowPatch instanceof Error) {
+      return callback?.(_rowPatch);
+    }
+    _rowPatch[_tableStatement.tombstoneColumn] = Date.now();
+    upsert(tableName, _rowPatch, callback);
+  }
+
+  /**
+   * Increments a counter column (see the `counterColumns` option).
+   *
+   * The patch carries the increment, not the new value. All peers merge counter columns by summing increments,
+   * so concurrent increments on different peers are never lost.
+   *
+   * @param {string} tableName - The name of the table.
+   * @param {*|Object} primaryKey - The primary key value, or an object { column : value } for composite primary keys.
+   * @param {string} column - The counter column.
+   * @param {number} [amount=1] - The increment. Can be negative.
+   * @param {function(Error|null, string=):void} [callback] - Optional callback invoked with error or the session token.
+   */
+  function increment (tableName, primaryKey, column, amount = 1, callback) {
+    if (typeof amount === 'function') {
+      callback = amount;
+      amount = 1;
+    }
+    const _tableStatement = tableStatements[tableName];
+    if (!_tableStatement?.applyPatches) {
+      return callback?.(new Error(`Table ${tableName} not found`));
+    }
+    if (!_tableStatement.counterColumns.includes(column)) {
+      return callback?.(new Error(`Column ${column} is not a counter column of table ${tableName}`));
+    }
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+      return callback?.(new Error(`Invalid increment ${amount}. It must be a finite number`));
+    }
+    const _rowPatch = _primaryKeyToRow(tableName, primaryKey);
+    if (_rowPatch instanceof Error) {
+      return callback?.(_rowPatch);
+    }
+    _rowPatch[column] = amount;
+    upsert(tableName, _rowPatch, callback);
+  }
+
+  /**
+   * Returns the write history of a row, reconstructed from the patches of the retention window (see maxPatchRetentionMs).
+   *
+   * Patches are sorted in the merge order (patch timestamp, then peerId, then sequence id).
+   * The merged value is computed like the merge of patches: last non-NULL value for each column, sum of increments for counter columns.
+   * Values written before the retention window are unknown, except counter columns which start from the sum of deleted increments.
+   *
+   * @param {string} tableName - The name of the table.
+   * @param {*|Object} primaryKey - The primary key value, or an object { column : value } for composite primary keys.
+   * @returns {Array<Object>} [{ patchedAt : unix timestamp in ms, hlc, peerId, sequenceId, patch : { changed columns }, value : { merged row } }]
+   * @throws {Error} if the table or the primary key is not valid
+   */
+  function history (tableName, primaryKey) {
+    const _tableStatement = tableStatements[tableName];
+    if (!_tableStatement?.applyPatches) {
+      throw new Error(`Table ${tableName} not found`);
+    }
+    const _primaryKeyRow = _primaryKeyToRow(tableName, primaryKey);
+    if (_primaryKeyRow instanceof Error) {
+      throw _primaryKeyRow;
+    }
+    const _counterColumns = _tableStatement.counterColumns;
+    const _history = [];
+    const _value = {};
+    for (const _column of _tableStatement.knownColumns) {
+      _value[_column] = _primaryKeyRow[_column] ?? null;
+    }
+    for (const _patchRow of _tableStatement.listHistory(_primaryKeyRow)) {
+      const _isBaseRow = _patchRow._peerId === 0; // sum of deleted increments of counter columns
+      const _patch = {};
+      for (const _column of _tableStatement.knownColumns) {
+        const _columnValue = _patchRow[_column];
+        if (_columnValue === null || _column in _primaryKeyRow) {
+          continue;
+        }
+        _patch[_column] = _columnValue;
+        _value[_column] = _counterColumns.includes(_column) ? (_value[_column] ?? 0) + _columnValue : _columnValue;
+      }
+      if (_isBaseRow) {
+        continue;
+      }
+      _history.push({
+        patchedAt  : hlc.toUnixTimestamp(_patchRow._patchedAt),
+        hlc        : _patchRow._patchedAt,
+        peerId     : _patchRow._peerId,
+        sequenceId : _patchRow._sequenceId,
+        patch      : _patch,
+        value      : { ..._value }
+      });
+    }
+    return _history;
+  }
+
+  /**
+   * Computes the merged state of rows at a given time, from the patches of the retention window (see maxPatchRetentionMs).
+   * Patches are merged like applyPatches does, and the live table is not modified.
+   *
+   * Older patches are deleted, so the live table is read for the rows and columns which have not been written during the
+   * retention window. A column which has been written only after the given time is NULL (its previous value has been deleted),
+   * and a row which has been written only after the given time is not returned.
+   *
+   * The filter on primary key columns is applied before merging patches, the filter on other columns after.
+   *
+   * @param {string} tableName - The name of the table.
+   * @param {Object} [where] - Filter on the merged rows { column : value }. All rows if empty.
+   * @param {number|Date} hlcOrDate - HLC timestamp (see lib/hlc.js), or Date (all patches of this millisecond are included).
+   * @returns {Array<Object>} merged rows sorted by primary key
+   * @throws {Error} if the table, the filter or the time is not valid, or if the time is older than the retention window
+   */
+  function readAsOf (tableName, where = {}, hlcOrDate) {
+    const _tableStatement = tableStatements[tableName];
+    if (!_tableStatement?.applyPatches) {
+      throw new Error(`Table ${tableName} not found`);
+    }
+    let _asOf = hlcOrDate;
+    if (hlcOrDate instanceof Date) {
+      _asOf = hlc.from(hlcOrDate.getTime() + 1) - 1;
+    }
+    if (!Number.isSafeInteger(_asOf) || _asOf < 0) {
+      throw new Error('Invalid time. It must be a Date or a HLC timestamp');
+    }
+    if (_asOf < hlc.from(Date.now() - MAX_PATCH_RETENTION_MS)) {
+      throw new Error('Cannot read a table before the patch retention window');
+    }
+    const _whereColumns = Object.keys(where ?? {});
+    const _params = { asOf : _asOf };
+    for (const _column of _whereColumns) {
+      if (!_tableStatement.knownColumns.includes(_column)) {
+        throw new Error(`Unknown column ${_column} in table ${tableName}`);
+      }
+      _params[_column] = where[_column];
+    }
+    const _primaryKeyColumns = _tableStatement.primaryKeyColumns;
+    const _filteredPkColumns = _whereColumns.filter(col => _primaryKeyColumns.includes(col));
+    const _filteredColumns = _whereColumns.filter(col => !_primaryKeyColumns.includes(col));
+    const _whereSQL = _filteredColumns.length > 0 ? `WHERE ${_filteredColumns.map(col => `${col} IS @${col}`).join(' AND ')}` : '';
+    return db.prepare(`SELECT * FROM (${_tableStatement.readAsOfSQL(_filteredPkColumns)}) ${_whereSQL} ORDER BY ${_primaryKeyColumns.join(', ')}`).all(_params);
+  }
+
+  /**
+   * Converts a primary key to a row which contains only the primary key columns.
+   *
+   * @param {string} tableName - The name of the table (must exist).
+   * @param {*|Object} primaryKey - The primary key value, or an object { column : value } for composite primary keys.
+   * @returns {Object|Error} The row, or an Error if the primary key is invalid.
+   */
+  function _primaryKeyToRow (tableName, primaryKey) {
+    const _primaryKeyColumns = tableStatements[tableName].primaryKeyColumns;
+    const _row = {};
+    if (primaryKey !== null && typeof primaryKey === 'object') {
+      for (const _column of _primaryKeyColumns) {
+        if (primaryKey[_column] === undefined || primaryKey[_column] === null) {
+          return new Error(`Missing primary key column ${_column} of table ${tableName}`);
+        }
+        _row[_column] = primaryKey[_column];
+      }
+      return _row;
+    }
+    if (_primaryKeyColumns.length === 1 && primaryKey !== undefined && primaryKey !== null) {
+      _row[_primaryKeyColumns[0]] = primaryKey;
+      return _row;
+    }
+    return new Error(`Invalid primary key for table ${tableName}. Expected columns: ${_primaryKeyColumns.join(', ')}`);
+  }
+
   /**
    * Tests whether the database is correctly initialized and verifies that the rowPatch
    * can be correctly stored to and retrieved from the database.
@@ -627,24 +2135,41 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
    *   @param {number} patch.ver - The database version from the originating peer.
    *   @param {string} patch.tab - The table name to which the patch applies.
    *   @param {number} patch.at - The timestamp when the patch was created.
+   * @returns {boolean} True if the patch is new and stored (it can be relayed to other peers)
    */
   function _onPatchReceivedFromPeers (patch) {
     try {
       if (parseInt(patch.peer, 10) === myPeerId) {
         debug('Received patch from myself. Ignore it.');
-        return;
+        return false;
+      }
+      if (_isPatchAlreadyStored(patch)) {
+        // Retransmitted patches can be received twice (several peers can answer a missing patch request, or relay the same patch)
+        nbDuplicatedPatchesReceived = nbDuplicatedPatchesReceived < Number.MAX_SAFE_INTEGER ? nbDuplicatedPatchesReceived + 1 : 0;
+        _detectMissingSequenceIds(patch);
+        return false;
+      }
+      if (patch.grp && !globalStatements.isPatchGroupApplied(patch.peer, patch.grp[0])) {
+        // Patches of a group are kept in pending_patches until the whole group is received, then applied atomically
+        tableStatements[PENDING_PATCHES_TABLE_NAME].savePatch(patch);
+        globalStatements.savePatchGroup(patch);
+        _detectMissingSequenceIds(patch);
+        if (patch.ver === dbVersion) {
+          _applyPendingPatches(patch.peer, patch.grp[0], patch.grp[1]);
+        }
+        return true;
       }
       if (patch.ver !== dbVersion) {
         // If version mismatch, save it in pending_patches table for later processing
         tableStatements[PENDING_PATCHES_TABLE_NAME].savePatch(patch);
         _detectMissingSequenceIds(patch);
-        return;
+        return true;
       }
       let _tableStatement = tableStatements[patch.tab];
       if (!_tableStatement) {
         // Should never happen since we only send patches to peers with the same dbVersion (managed above)
         console.warn(`Table ${patch.tab} not found when receiving patch from peers. Ignore patch.`);
-        return;
+        return false;
       }
       _tableStatement.savePatch(patch);
       _detectMissingSequenceIds(patch);
@@ -665,11 +2190,57 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
           _tableStatement.debounceFromTimestamp = patch.at;
         }
       }
+      return true;
     }
     catch (e) {
       console.error('Error processing patch %o ', patch, e.message);
-      return;
+      return false;
+    }
+  }
+
+  /**
+   * Forwards a new patch received from a connected peer to my other connected peers (relay option).
+   *
+   * Only new patches are relayed: a patch already stored is never forwarded again, so patches do not loop in the cluster.
+   * The patch is not sent back to the peer which sent it, nor to its origin peer.
+   *
+   * @param {Object} patch - The patch received from a remote peer
+   * @param {number} fromPeerId - The connected peer which sent the patch
+   */
+  function _relayPatch (patch, fromPeerId) {
+    const _originPeerId = parseInt(patch.peer, 10);
+    debugWrite('relay patch %d.%d of peer %d', _originPeerId, patch.seq, fromPeerId);
+    nbRelayedPatches = nbRelayedPatches < Number.MAX_SAFE_INTEGER ? nbRelayedPatches + 1 : 0;
+    _broadcast(patch, [fromPeerId, _originPeerId]);
+  }
+
+  /**
+   * Checks if a received patch is already stored (in its patch table or in pending_patches).
+   *
+   * Fast path: a patch with a sequence id greater than the last received sequence id of its peer is new.
+   * For an unknown peer (e.g. crashed, or only reachable through a relay), the highest sequence id stored or requested
+   * to another peer by _getMissingPatches is used.
+   * Otherwise, it is an old or retransmitted patch, and the database is queried using the _patchedAt index.
+   *
+   * A skipped patch (see _toSkippedPatch) stored when the patch was received from a peer which does not replicate its table
+   * is deleted, and the real patch received from another peer is considered as new.
+   *
+   * @param {Object} patch - The patch received from a remote peer
+   * @returns {boolean} True if the patch is already stored
+   */
+  function _isPatchAlreadyStored (patch) {
+    const _peerStat = peerStats[patch.peer];
+    const _lastSequenceId = _peerStat ? _peerStat[LAST_SEQUENCE_ID] : Math.max(requestedSequenceIdsOfUnknownPeers[patch.peer] ?? -1, indirectPeerStats[patch.peer]?.[LAST_SEQUENCE_ID] ?? -1);
+    if (patch.seq > _lastSequenceId) {
+      return false;
     }
+    if (tableStatements[patch.tab]?.hasPatch?.(patch) === true) {
+      return true;
+    }
+    if (patch.tab !== PENDING_PATCHES_TABLE_NAME && tableStatements[PENDING_PATCHES_TABLE_NAME].deleteSkippedPatch(patch) === true) {
+      return false;
+    }
+    return tableStatements[PENDING_PATCHES_TABLE_NAME].hasPatch(patch) === true;
   }
 
   /**
@@ -683,15 +2254,30 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
    * @param {Function} socket.send - Function to send messages to the peer.
    * @param {Function} socket.on - Function to register event listeners. Usage: socket.on('message', callback)
    * @param {Function} socket.off - Function to unregister event listeners. Usage: socket.off('message', callback)
+   * @param {Object} [policy] - Replication policy of this peer. All tables are replicated by default.
+   * @param {Array<string>} [policy.sendTables] - Tables sent to this peer. Other patches are sent as skipped patches (see _toSkippedPatch).
+   * @param {Array<string>} [policy.acceptTables] - Tables accepted from this peer. Other patches are stored as skipped patches.
+   * @param {Object<string, Array<*>>} [policy.rowFilter] - Rows sent to this peer, e.g. { tenantId : [1, 2] }. In tables which have
+   *                                                       one of these columns, only the patches with one of the values are sent.
+   *                                                       These columns must be part of the primary key of these tables (it throws otherwise).
    * @returns {void}
    */
-  function addRemotePeer (remotePeerId, socket) {
+  function addRemotePeer (remotePeerId, socket, policy) {
     remotePeerId = parseInt(remotePeerId, 10); // we must enforce number to avoid bug with Set() peerStartedNotSynced
     if (isNaN(remotePeerId) || remotePeerId === myPeerId) {
       return;
     }
+    const _policy = {
+      sendTables   : _getPolicyTables(policy?.sendTables),
+      acceptTables : _getPolicyTables(policy?.acceptTables),
+      rowFilter    : _getPolicyRowFilter(policy?.rowFilter)
+    };
+    if (_policy.rowFilter) {
+      _checkRowFilterColumns(_policy.rowFilter);
+    }
     isNextPingPersistent = true;
     // Initialize peer stats only if not already initialized
+    delete indirectPeerStats[remotePeerId]; // the peer is connected now
     if (!peerStats[remotePeerId]) {
       peerStats[remotePeerId] = [0, 0, 0, 0, 0, 0];
       peerStartedNotSynced.add(remotePeerId);
@@ -705,320 +2291,1267 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
       clearTimeout(peerStats[remotePeerId]._debounceCleanup);
       peerStats[remotePeerId]._debounceCleanup = null;
     }
-    // If it is an existing connection, remove the old message listener
-    peerSockets[remotePeerId]?.off?.('message', _onMessage);
-    peerSockets[remotePeerId] = socket;
-    socket?.on?.('message', _onMessage);
-    _computeWhoIsTheLeader();
+    // If it is an existing connection, remove the old message listener
+    peerSockets[remotePeerId]?.off?.('message', peerMessageListeners[remotePeerId]);
+    peerSockets[remotePeerId]?.off?.('drain', sendQueues[remotePeerId]?.onDrain);
+    peerSockets[remotePeerId] = socket;
+    peerPolicies[remotePeerId] = _policy;
+    peerMessageListeners[remotePeerId] = (msg, isBinary) => _onMessage(msg, isBinary, remotePeerId);
+    peersUsingMyCodec.delete(remotePeerId); // the codec is negotiated again with the next PING of this socket
+    socket?.on?.('message', peerMessageListeners[remotePeerId]);
+    // Queued messages are kept if the peer reconnects with a new socket
+    const _sendQueue = {
+      messages       : sendQueues[remotePeerId]?.messages ?? [[], [], []],
+      bulkKeys       : sendQueues[remotePeerId]?.bulkKeys ?? new Set(), // "peer:seq" of queued retransmitted patches
+      isPaused       : false,
+      nbBulkBytes    : 0,
+      drainCallbacks : sendQueues[remotePeerId]?.drainCallbacks ?? [], // see _waitForSendQueue
+      onDrain        : () => {
+        _sendQueue.isPaused = false;
+        _flushSendQueue(remotePeerId);
+        _callDrainCallbacks(_sendQueue);
+      }
+    };
+    sendQueues[remotePeerId] = _sendQueue;
+    socket?.on?.('drain', _sendQueue.onDrain);
+    _computeWhoIsTheLeader();
+  }
+
+  /**
+   * Closes the connection to a remote peer.
+   *
+   * @param {number} remotePeerId
+   * @returns {void}
+   */
+  function closeRemotePeer (remotePeerId) {
+    remotePeerId = parseInt(remotePeerId, 10);
+    if (isNaN(remotePeerId)) {
+      return;
+    }
+    if (peerSockets[remotePeerId]) {
+      nbConnectedPeers--;
+      debug('close remote peer %d', remotePeerId);
+      peerSockets[remotePeerId]?.off?.('message', peerMessageListeners[remotePeerId]); // if it is an existing connection, we need to remove the old listener
+      peerSockets[remotePeerId]?.off?.('drain', sendQueues[remotePeerId]?.onDrain);
+      const _drainCallbacks = sendQueues[remotePeerId]?.drainCallbacks ?? [];
+      delete peerSockets[remotePeerId];
+      delete sendQueues[remotePeerId]; // lost messages are detected and requested again by the remote peer
+      for (const _callback of _drainCallbacks.splice(0)) {
+        _callback(); // they check that the peer is still connected
+      }
+      delete peerPolicies[remotePeerId];
+      delete peerMessageListeners[remotePeerId];
+      peersUsingMyCodec.delete(remotePeerId);
+      Object.defineProperty(peerStats[remotePeerId], '_debounceCleanup', {
+        value        : setTimeout(cleanDeadPeer, MAX_PEER_DISCONNECTION_TOLERANCE_MS, remotePeerId),
+        writable     : true,
+        configurable : true,
+        enumerable   : false
+      });
+    }
+  }
+
+  /**
+   * Cleans the stats of a remote peer. It is called after a timeout of MAX_PEER_DISCONNECTION_TOLERANCE_MS.
+   *
+   * @param {number} remotePeerId
+   * @returns {void}
+   */
+  function cleanDeadPeer (remotePeerId) {
+    delete peerStats[remotePeerId];
+    delete remotePeerStats[remotePeerId];
+    delete peerAddresses[remotePeerId];
+    delete peerLeaderInfo[remotePeerId];
+    _computeWhoIsTheLeader();
+  }
+
+  /**
+   * Computes who is the leader among the known peers (connected, or disconnected for less than maxPeerDisconnectionToleranceMs).
+   *
+   * The leader is chosen by the leaderElection strategy (electLeaderByPriority by default) from the candidates
+   * [{ peerId, priority, isConnected }, ...], including me. The priority of other peers is received in their PING messages (0 until then).
+   * When the leader changes, the term is incremented and 'leader:changed' is emitted.
+   *
+   * If a PING with a higher term has named another leader (see _onLeaderInfo), I step down even if I elect myself:
+   * the backup crons and the leader jobs are paused until my term is higher (my leader changes), or until this other leader is forgotten.
+   *
+   * @returns {void}
+   * @private
+   */
+  function _computeWhoIsTheLeader () {
+    const _candidates = [{ peerId : myPeerId, priority : MY_LEADER_PRIORITY, isConnected : true }];
+    for (const _peerIdStr in peerStats) {
+      const _peerId = parseInt(_peerIdStr, 10);
+      _candidates.push({ peerId : _peerId, priority : peerLeaderInfo[_peerId]?.[LEADER_PRIORITY] ?? 0, isConnected : !!peerSockets[_peerId] });
+    }
+    const _leaderPeerId = parseInt(LEADER_ELECTION(_candidates), 10);
+    if (leaderPeerId !== _leaderPeerId) {
+      const _oldLeaderPeerId = leaderPeerId;
+      leaderPeerId = _leaderPeerId;
+      leaderTerm++;
+      debug('leader changed from %d to %d (term %d)', _oldLeaderPeerId, _leaderPeerId, leaderTerm);
+      eventEmitter.emit('leader:changed', _oldLeaderPeerId, _leaderPeerId, leaderTerm);
+    }
+    if (higherTermLeader !== null && (higherTermLeader.term < leaderTerm || !peerStats[higherTermLeader.peerId])) {
+      higherTermLeader = null;
+    }
+    const _amITheLeader = _leaderPeerId === myPeerId && higherTermLeader === null;
+    if (amITheLeaderCached !== _amITheLeader) {
+      if (_amITheLeader === true) {
+        debug('became leader');
+        backupTask?.resume(); // manage backup cron
+        incrementalBackupTask?.resume();
+        for (const _name in leaderJobs) {
+          leaderJobs[_name].task.resume();
+        }
+      }
+      else {
+        debug('lost leader role');
+        backupTask?.pause();
+        incrementalBackupTask?.pause();
+        for (const _name in leaderJobs) {
+          leaderJobs[_name].task.pause();
+        }
+      }
+    }
+    amITheLeaderCached = _amITheLeader;
+  }
+
+  /**
+   * Updates the leader election info of a peer from its PING message (ldr field: [term, priority, leaderPeerId]).
+   * The field is ignored if the term is not an unsigned integer, or if the priority is not a finite number.
+   *
+   * The highest term of the cluster is kept, and the leader is computed again if the priority of the peer has changed.
+   * If the term is higher than mine and names another leader, I step down (see _computeWhoIsTheLeader).
+   *
+   * @param {Object} msg - PING message
+   */
+  function _onLeaderInfo (msg) {
+    if (!Array.isArray(msg.ldr) || !peerStats[msg.peer]) {
+      return;
+    }
+    const _term = msg.ldr[LEADER_TERM];
+    const _priority = msg.ldr[LEADER_PRIORITY];
+    const _leaderPeerId = msg.ldr[LEADER_PEER_ID] ?? null;
+    if (!Number.isSafeInteger(_term) || _term < 0 || !Number.isFinite(_priority) || (_leaderPeerId !== null && (!Number.isSafeInteger(_leaderPeerId) || _leaderPeerId < 0))) {
+      debug('ignore invalid leader info %o of peer %d', msg.ldr, msg.peer);
+      return;
+    }
+    // The fence changes (set, or cleared by a higher term) only if the term is higher than mine
+    let _isFenceChanged = false;
+    if (_term > leaderTerm) {
+      leaderTerm = _term;
+      _isFenceChanged = higherTermLeader !== null;
+      if (_leaderPeerId !== null && _leaderPeerId !== myPeerId) {
+        debug('peer %d names leader %d with a higher term %d', msg.peer, _leaderPeerId, _term);
+        higherTermLeader = { term : _term, peerId : _leaderPeerId };
+        _isFenceChanged = true;
+      }
+    }
+    const _previousPriority = peerLeaderInfo[msg.peer]?.[LEADER_PRIORITY] ?? 0;
+    peerLeaderInfo[msg.peer] = [_term, _priority];
+    if (_priority !== _previousPriority || _isFenceChanged) {
+      _computeWhoIsTheLeader();
+    }
+  }
+
+  /**
+   * Checks if this peer is the leader (see _computeWhoIsTheLeader)
+   *
+   * @returns {boolean} True if this peer is the leader
+   */
+  function amITheLeader () {
+    if (amITheLeaderCached === null) {
+      _computeWhoIsTheLeader();
+    }
+    return amITheLeaderCached;
+  }
+
+  /**
+   * Schedules an application job (invoice generation, cleanup, ...) which runs only on the leader.
+   *
+   * Like the backup cron, the job is paused on other peers, and moves automatically to the new leader when the leadership changes.
+   * A run is skipped if the previous run (sync, or async if fn returns a promise) is not finished.
+   * The last run time and the number of errors of each job are reported in metrics().
+   *
+   * @param {string} name - Unique name of the job (used in metrics)
+   * @param {string} cronExpr - Cron schedule (system timezone), e.g. '0 2 * * *'
+   * @param {Function} fn - Job function. It can return a promise.
+   * @returns {Cron} The croner job
+   */
+  function scheduleOnLeader (name, cronExpr, fn) {
+    if (typeof name !== 'string' || name === '' || leaderJobs[name]) {
+      throw new Error(`Invalid or already scheduled leader job name "${name}"`);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error(`The leader job "${name}" must be a function`);
+    }
+    const _job = { task : null, lastRunTimestamp : 0, nbErrors : 0 };
+    const _run = async () => {
+      _job.lastRunTimestamp = Date.now();
+      debug('run leader job %s', name);
+      try {
+        await fn();
+      }
+      catch (err) {
+        _job.nbErrors = _job.nbErrors < Number.MAX_SAFE_INTEGER ? _job.nbErrors + 1 : 0;
+        debug('leader job %s failed: %s', name, err);
+      }
+    };
+    try {
+      _job.task = new Cron(cronExpr, { paused : amITheLeader() !== true, protect : true }, _run);
+    }
+    catch (err) {
+      throw new Error(`Invalid cron syntax of leader job "${name}": ${err.message}`, { cause : err });
+    }
+    leaderJobs[name] = _job;
+    return _job.task;
+  }
+
+  /**
+   * Detects and handles missing sequence IDs for a given incoming message from a peer (it must be fast)
+   *
+   * This function receives a message from a peer and checks whether there are any gaps
+   * in the received sequence IDs for that peer. It updates internal statistics for the peer
+   * and determines if there are contiguous or missing patches.
+   *
+   * Missing patches which are never received are replaced by placeholders after lostPatchTimeoutMs (see _markSequenceIdsAsLost).
+   *
+   * TODO:
+   *   - At startup, peerStats should be left at zero to check if any patch is missing. All patches must be checked.
+   *     Alternatively, just check the last hour; if a patch was missing, we would have already retrieved it.
+   *
+   * @param {Object} msg - The incoming network message containing sequence and peer information.
+   */
+  function _detectMissingSequenceIds (msg) {
+    hlc.receive(msg.at);
+    const _peerStat = peerStats[msg.peer];
+    if (!_peerStat) {
+      debug('receiving patch from unknown peer %d', msg.peer);
+      if (msg.type === MESSAGE_TYPES.PATCH) {
+        _updateIndirectPeerStat(msg);
+      }
+      return;
+    }
+    if (msg.type === MESSAGE_TYPES.PING) {
+      _peerStat[MY_GUARANTEED_CONTIGUOUS_SEQUENCE_ID_STORED_IN_REMOTE_PEER] = msg?.delta?.[myPeerId]?.[GUARANTEED_CONTIGUOUS_SEQUENCE_ID] ?? 0;
+      remotePeerStats[msg.peer] = msg.delta;
+      if (RELAY) {
+        _learnIndirectPeerStats(msg);
+      }
+    }
+    // Keep track of the last message timestamp to detect peer liveness (non-persistent ping message)
+    _peerStat[LAST_MESSAGE_TIMESTAMP] = Date.now();
+    const _sequenceGap = msg.seq - _peerStat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID];
+    if (_sequenceGap === 1) {
+      // Contiguous sequence, nothing to do
+      _peerStat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID] = msg.seq;
+      _peerStat[GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP] = msg.at;
+    }
+    else if (_sequenceGap > 1) {
+      // Detected a gap in the sequence. Do not update GUARANTEED_CONTIGUOUS_SEQUENCE_ID until contiguous again (this is managed by heartbeat processing)
+      debug('missing patch for peer %d. Expects seq %d. Received seq %d', msg.peer, _peerStat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID]+1, msg.seq);
+    }
+    if (msg.seq > _peerStat[LAST_SEQUENCE_ID]) {
+      _peerStat[LAST_SEQUENCE_ID] = msg.seq;
+      _peerStat[LAST_PATCH_AT_TIMESTAMP] = msg.at;
+    }
+    // Otherwise, it's an old packet, or a ping (same sequence), if so do nothing.
+    // (Sequences can never go backward. If we receive a packet with a sequence less than the guaranteed one, we can ignore it—a double resend.)
+  }
+
+  /**
+   * Deletes old patches from all patch tables based on the maximum patch retention policy.
+   */
+  function _deleteOldPatches () {
+    const _oldestPatchTimestamp = hlc.from(Date.now() - MAX_PATCH_RETENTION_MS);
+    for (const _table in tableStatements) {
+      tableStatements[_table].deleteOldPatches(_oldestPatchTimestamp);
+    }
+    globalStatements.deleteOldPatchGroups(_oldestPatchTimestamp);
+  }
+
+  /**
+   * Detects missing patches from peers and requests their retransmission if needed.
+   *
+   * This function iterates over all peers to determine if there are any missing patches
+   * based on the difference between the guaranteed contiguous sequence ID and the last known
+   * sequence ID. The function finds the minimum guaranteed contiguous patch timestamp
+   * among all peers that have missing patches. If such missing patches are detected,
+   * it triggers a request to compute all ranges of missing patches in the database.
+   *
+   * For peers that are fully synchronized (their guaranteed contiguous sequence ID matches
+   * their last sequence ID and the last message timestamp is valid), it invokes the `_onSynced` handler.
+   */
+  function _detectAndRequestMissingPatches () {
+    let _highestMissingPatchTimestamp = Number.MAX_SAFE_INTEGER;
+    const _trackedPeerStats = _getTrackedPeerStats();
+    for (const _peerId in _trackedPeerStats) {
+      const _peerStat = _trackedPeerStats[_peerId];
+      // find the minimum global guaranted contiguous timestamp among all peers
+      if (_peerStat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID] < _peerStat[LAST_SEQUENCE_ID] && _peerStat[GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP] < _highestMissingPatchTimestamp) {
+        _highestMissingPatchTimestamp = _peerStat[GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP];
+      }
+      if (peerStats[_peerId] && _peerStat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID] === _peerStat[LAST_SEQUENCE_ID] && _peerStat[LAST_MESSAGE_TIMESTAMP] > 0) {
+        _onSynced(_peerId);
+      }
+    }
+    // if there are some missing patches, ask for them
+    if (_highestMissingPatchTimestamp < Number.MAX_SAFE_INTEGER) {
+      _getMissingPatches(_highestMissingPatchTimestamp);
+    }
+    else {
+      missingSequenceRanges = {};
+    }
+  }
+
+  /**
+   * Periodic maintenance function for cluster health and synchronization.
+   *
+   * This function is called at a regular interval as the cluster heartbeat.
+   * It performs several maintenance tasks:
+   *   - Deletes old patches from all patch tables approximately every hour, with random jitter (±5 minutes).
+   *   - Generates and sends a persistent ping-stats message to all peers every hour
+   *   - Sends a non-persistent ping-stats message to all peers at every heartbeat interval
+   *   - Detects and requests missing patches from peers at every heartbeat interval.
+   *   - Resets the byte budget of retransmissions and resumes the send queues paused by backpressure.
+   *   - Tracks and accumulates maintenance execution time in seconds.
+   *
+   * Timing logic uses random jitter to avoid coordination issues across peers.
+   */
+  function _heartBeat () {
+    let _maintenanceTimeStart = performance.now();
+    const _now = Date.now();
+    const _jitter = Math.random() * HEARTBEAT_INTERVAL_MS;
+
+    _flushSendQueues();
+
+    // Run _deleteOldPatches every hour with random jitter (±5 minutes)
+    if ((_now - lastDeleteOldPatchesTimestamp) >= (3600 * 1000 + (Math.random() * 10 - 5) * 60 * 1000)) {
+      _deleteOldPatches();
+      _generatePingStatMessage(true); // persistent ping stat (fake new patch)
+      lastDeleteOldPatchesTimestamp = _now;
+    }
+    else if ((_now - lastPingStatTimestamp) >= (HEARTBEAT_INTERVAL_MS + _jitter)) {
+      _generatePingStatMessage(false); // non-persistent ping stat
+      lastPingStatTimestamp = _now;
+    }
+
+    // Check for and request missing patches every heartbeat interval with jitter
+    if ((_now - lastDetectMissingPatchesTimestamp) >= (HEARTBEAT_INTERVAL_MS + _jitter)) {
+      _detectAndRequestMissingPatches();
+      lastDetectMissingPatchesTimestamp = _now;
+    }
+
+    const _elapsedMaintenanceTime = (performance.now() - _maintenanceTimeStart) / 1000;
+    nbMaintenanceTimeSeconds = nbMaintenanceTimeSeconds < Number.MAX_SAFE_INTEGER ? nbMaintenanceTimeSeconds + _elapsedMaintenanceTime : 0;
+  }
+
+
+  /**
+   * Handles a request from a remote peer for missing patches.
+   * This function is called when another peer has detected a gap in its patch history
+   * and is asking us to resend the missing patches for a given range.
+   *
+   * @param {Object} msg - The request message from the peer
+   * @param {number} msg.peer - The peer ID requesting the patch
+   * @param {number} msg.minSeq - The minimum sequence ID requested (inclusive)
+   * @param {number} msg.maxSeq - The maximum sequence ID requested (inclusive)
+   * @param {number} msg.forPeer - The peer ID to which the missing patches should be sent
+   *
+   * If the beginning of the range has been deleted by the retention policy (see _getDeletedSequenceIds),
+   * a PATCH_TOO_OLD message is sent for this part, and the patches which are still stored are retransmitted.
+   */
+  function _onRequestForMissingPatchFromPeers (msg) {
+    let _missingPatch;
+    let _deletedMaxSequenceId;
+    try {
+      _missingPatch = peersUsingMyCodec.has(msg.forPeer)
+        ? globalStatements.getPatchObjectsFromColumns(msg.peer, msg.minSeq, msg.maxSeq)
+        : globalStatements.getPatchFromColumn(msg.peer, msg.minSeq, msg.maxSeq);
+      const _firstSequenceId = Array.isArray(_missingPatch) ? _missingPatch[0]?._sequenceId : _missingPatch?._sequenceId;
+      if (_firstSequenceId !== msg.minSeq) {
+        _deletedMaxSequenceId = _getDeletedSequenceIds(msg.peer, msg.minSeq, msg.maxSeq);
+      }
+    }
+    catch (e) {
+      console.error('Error processing request for missing patch %o ', msg, e.message);
+      return;
+    }
+    if (peerSockets[msg.forPeer]) {
+      if (_deletedMaxSequenceId >= msg.minSeq) {
+        const _replyMessage = {
+          type    : MESSAGE_TYPES.PATCH_TOO_OLD,
+          peer    : msg.peer,
+          minSeq  : msg.minSeq,
+          maxSeq  : _deletedMaxSequenceId,
+          forPeer : msg.forPeer
+        };
+        debugRetry('--> %d %o', msg.forPeer, _replyMessage);
+        _sendMessageToPeer(msg.forPeer, JSON.stringify(_signMessage(_replyMessage)), undefined, SEND_PRIORITIES.CONTROL);
+      }
+      const _groups = globalStatements.listPatchGroups(msg.peer, msg.minSeq, msg.maxSeq);
+      if (Array.isArray(_missingPatch)) {
+        for (const _patch of _missingPatch) {
+          _retransmitPatch(msg.forPeer, msg.peer, _patch, _groups);
+        }
+        return;
+      }
+      if (_missingPatch) {
+        _retransmitPatch(msg.forPeer, msg.peer, _missingPatch, _groups);
+      }
+    }
+  }
+
+  /**
+   * Returns the last sequence id of a requested range which has been deleted by the retention policy (_deleteOldPatches).
+   *
+   * The sequence ids before the oldest stored patch of the origin peer are deleted only if I have received all of them
+   * (my own patches, or the guaranteed contiguous sequence id of the origin peer). Otherwise, I may just miss them too.
+   *
+   * @param {number} peerId - The origin peer of the requested patches
+   * @param {number} minSequenceId - First requested sequence id (inclusive)
+   * @param {number} maxSequenceId - Last requested sequence id (inclusive)
+   * @returns {number} The last deleted sequence id of the range, or -1 if the beginning of the range is not deleted
+   */
+  function _getDeletedSequenceIds (peerId, minSequenceId, maxSequenceId) {
+    const _oldestSequenceId = globalStatements.getOldestSequenceId(peerId);
+    if (_oldestSequenceId === null || minSequenceId >= _oldestSequenceId) {
+      return -1;
+    }
+    const _guaranteedSequenceId = peerId === myPeerId ? lastSequenceId : (_getTrackedPeerStats()[peerId]?.[GUARANTEED_CONTIGUOUS_SEQUENCE_ID] ?? 0);
+    if (_guaranteedSequenceId < _oldestSequenceId) {
+      return -1;
+    }
+    return Math.min(maxSequenceId, _oldestSequenceId - 1);
+  }
+
+  /**
+   * Handles a PATCH_TOO_OLD reply: the patches I have requested have been deleted by the retention policy of the remote peer.
+   *
+   * They will never be received, so this peer has diverged and must be rebuilt (e.g. with requestSnapshot).
+   * status().isResyncRequired is set, and 'resync:required' is emitted once per missing range.
+   * The range is not requested anymore (see _getMissingPatches).
+   *
+   * @param {Object} msg - The reply { type, peer, minSeq, maxSeq, forPeer }
+   * @param {number} fromPeerId - The connected peer which sent the reply
+   */
+  function _onPatchTooOldFromPeer (msg, fromPeerId) {
+    if (msg.forPeer !== myPeerId || !Number.isSafeInteger(msg.minSeq) || !Number.isSafeInteger(msg.maxSeq) || msg.maxSeq < msg.minSeq) {
+      return;
+    }
+    isResyncRequired = true;
+    const _rangeKey = `${msg.peer}:${msg.minSeq}`;
+    if (tooOldSequenceRanges.has(_rangeKey)) {
+      return;
+    }
+    tooOldSequenceRanges.set(_rangeKey, msg.maxSeq);
+    debug('patches %d to %d of peer %d have been deleted by peer %d. A resync is required', msg.minSeq, msg.maxSeq, msg.peer, fromPeerId);
+    eventEmitter.emit('resync:required', msg.peer, msg.minSeq, msg.maxSeq, fromPeerId);
+  }
+
+  /**
+   * Sends a retransmitted patch to a peer.
+   *
+   * The patch is a JSON string generated in SQL for peers which use JSON, or an object read as columns for peers which use
+   * my codec (see getPatchObjectsFromColumns), so it is encoded directly without being stringified and parsed again.
+   *
+   * The patch is not queued again if it is still waiting in the send queue of this peer (the peer requests missing patches
+   * at each heartbeat, while the queue may be limited by maxRetransmissionBytesPerHeartbeat or paused by backpressure).
+   *
+   * The JSON string is parsed only if the peer has a sendTables or rowFilter policy, to replace the patches which are not sent
+   * to this peer by skipped patches.
+   *
+   * @param {number} peerId
+   * @param {number} originPeerId - The peer which has generated the patch
+   * @param {Object} patchRow - { _sequenceId, patch } (see getPatchFromColumn and getPatchObjectsFromColumns)
+   * @param {Array<Object>} groups - Patch groups of the requested range (see _findPatchGroup)
+   */
+  function _retransmitPatch (peerId, originPeerId, patchRow, groups) {
+    const _bulkKey = `${originPeerId}:${patchRow._sequenceId}`;
+    if (sendQueues[peerId]?.bulkKeys.has(_bulkKey)) {
+      debugRetry('patch %s is already queued for peer %d', _bulkKey, peerId);
+      return;
+    }
+    if (typeof patchRow.patch === 'object') {
+      const _group = _findPatchGroup(patchRow._sequenceId, groups);
+      let _patch = patchRow.patch;
+      if (_group) {
+        _patch.grp = [_group.minSequenceId, _group.maxSequenceId];
+      }
+      if (!_isPatchSentToPeer(peerId, _patch)) {
+        _patch = _toSkippedPatch(_patch);
+      }
+      debugRetry('--> %d %o', peerId, _patch);
+      return _sendMessageObjectToPeer(peerId, _signMessage(_patch), {}, SEND_PRIORITIES.BULK, _bulkKey);
+    }
+    let _patchString = _addGroupToPatchString(patchRow, groups);
+    if (peerPolicies[peerId]?.sendTables || peerPolicies[peerId]?.rowFilter) {
+      const _patch = JSON.parse(_patchString);
+      if (!_isPatchSentToPeer(peerId, _patch)) {
+        _patchString = JSON.stringify(_toSkippedPatch(_patch));
+      }
+    }
+    _patchString = _signMessageString(_patchString);
+    debugRetry('--> %d %s', peerId, _patchString);
+    _sendMessageToPeer(peerId, _patchString, undefined, SEND_PRIORITIES.BULK, _bulkKey);
+  }
+
+  /**
+   * Returns the tables of a replication policy as a Set, or null if all tables are replicated
+   *
+   * @param {Array<string>|undefined} tables
+   * @returns {Set<string>|null}
+   */
+  function _getPolicyTables (tables) {
+    if (tables === undefined || tables === null) {
+      return null;
+    }
+    if (!Array.isArray(tables) || tables.some((tableName) => typeof tableName !== 'string')) {
+      throw new Error('Replication policy tables must be an array of table names');
+    }
+    return new Set(tables);
+  }
+
+  /**
+   * Returns the row filter of a replication policy as a list of [column, Set of values], or null if all rows are replicated
+   *
+   * @param {Object<string, Array<*>>|undefined} rowFilter
+   * @returns {Array<[string, Set<*>]>|null}
+   */
+  function _getPolicyRowFilter (rowFilter) {
+    if (rowFilter === undefined || rowFilter === null) {
+      return null;
+    }
+    if (typeof rowFilter !== 'object' || Array.isArray(rowFilter) || Object.values(rowFilter).some((values) => !Array.isArray(values))) {
+      throw new Error('Replication policy row filter must be an object of column names and arrays of values');
+    }
+    return Object.entries(rowFilter).map(([column, values]) => [column, new Set(values)]);
+  }
+
+  /**
+   * Throws if a column of a row filter is not part of the primary key of a replicated table which has this column.
+   *
+   * Patches contain only the primary key and the written columns (remove, increment and partial upserts),
+   * so a row filter on another column would never send these patches.
+   *
+   * @param {Array<[string, Set<*>]>} rowFilter - see _getPolicyRowFilter
+   */
+  function _checkRowFilterColumns (rowFilter) {
+    const _tableNames = db.prepare("SELECT substr(name, 1, length(name) - 8) FROM main.sqlite_master WHERE type = 'table' AND name LIKE '%\\_patches' ESCAPE '\\' AND name != 'pending_patches'").pluck().all();
+    for (const _tableName of _tableNames) {
+      const _tableInfo = db.pragma(`table_info('${_tableName}')`);
+      for (const [_column] of rowFilter) {
+        if (_tableInfo.some((col) => col.name === _column && col.pk === 0)) {
+          throw new Error(`Replication policy row filter column ${_column} must be part of the primary key of table ${_tableName}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns true if a patch is sent to a peer, according to the sendTables and rowFilter policy of this peer.
+   *
+   * The row filter applies only to tables which have the filtered column. If the column is missing in the patch, the patch is not sent.
+   * Values are compared with the strict equality (1 and '1' are different values).
+   *
+   * @param {number|string} peerId
+   * @param {Object} patch
+   * @returns {boolean}
+   */
+  function _isPatchSentToPeer (peerId, patch) {
+    const _policy = peerPolicies[peerId];
+    if (!_policy || patch.tab === PENDING_PATCHES_TABLE_NAME) {
+      return true;
+    }
+    if (!_isTableReplicated(_policy.sendTables, patch.tab)) {
+      return false;
+    }
+    if (_policy.rowFilter) {
+      const _knownColumns = tableStatements[patch.tab]?.knownColumns ?? [];
+      for (const [_column, _values] of _policy.rowFilter) {
+        if (_knownColumns.includes(_column) && !_values.has(patch.delta?.[_column])) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Returns true if a peer does not receive or does not accept all patches (sendTables, acceptTables or rowFilter policy)
+   *
+   * @param {number} peerId
+   * @returns {boolean}
+   */
+  function _hasPartialReplication (peerId) {
+    const _policy = peerPolicies[peerId];
+    return !!(_policy?.sendTables || _policy?.acceptTables || _policy?.rowFilter);
+  }
+
+  /**
+   * Returns true if a table is replicated by a policy. The reserved table '_' (ping stats and skipped patches) is always replicated.
+   *
+   * @param {Set<string>|null|undefined} tables - sendTables or acceptTables of a peer policy
+   * @param {string} tableName
+   * @returns {boolean}
+   */
+  function _isTableReplicated (tables, tableName) {
+    return !tables || tableName === PENDING_PATCHES_TABLE_NAME || tables.has(tableName);
+  }
+
+  /**
+   * Generates the skipped patch of a patch which is not replicated with a peer.
+   *
+   * A skipped patch is an empty patch of the reserved table '_' with the same timestamp, peer and sequence id (and group).
+   * It is stored in pending_patches like persistent ping stats, and never applied. So the sequence ids of the
+   * origin peer stay contiguous for peers which do not receive all tables, and missing patches are not requested forever.
+   *
+   * @param {Object} patch
+   * @returns {Object} skipped patch
+   */
+  function _toSkippedPatch (patch) {
+    const _skippedPatch = {
+      type  : MESSAGE_TYPES.PATCH,
+      at    : patch.at,
+      peer  : patch.peer,
+      seq   : patch.seq,
+      ver   : patch.ver,
+      tab   : PENDING_PATCHES_TABLE_NAME,
+      delta : {}
+    };
+    if (patch.grp) {
+      _skippedPatch.grp = patch.grp;
+    }
+    return _skippedPatch;
+  }
+
+  /**
+   * Adds the group range (grp) to a patch generated in SQL, if the patch belongs to a group patch.
+   *
+   * The JSON string is not parsed: the attribute is appended before the last closing bracket.
+   *
+   * @param {Object} patchRow - Row returned by getPatchFromColumn { _sequenceId, patch }
+   * @param {Array<{minSequenceId: number, maxSequenceId: number}>} groups - Groups overlapping the requested range
+   * @returns {string} The patch as a JSON string
+   */
+  function _addGroupToPatchString (patchRow, groups) {
+    const _group = _findPatchGroup(patchRow._sequenceId, groups);
+    if (_group) {
+      return `${patchRow.patch.slice(0, -1)},"grp":[${_group.minSequenceId},${_group.maxSequenceId}]}`;
+    }
+    return patchRow.patch;
+  }
+
+  /**
+   * Returns the group of a patch, if the patch belongs to a group patch
+   *
+   * @param {number} sequenceId
+   * @param {Array<{minSequenceId: number, maxSequenceId: number}>} groups - Groups overlapping the requested range
+   * @returns {Object|undefined}
+   */
+  function _findPatchGroup (sequenceId, groups) {
+    return groups.find((group) => sequenceId >= group.minSequenceId && sequenceId <= group.maxSequenceId);
+  }
+
+  /**
+   * Sends a message to a specific peer, through its send queue.
+   * Logs a debug message if the peer's socket cannot be found.
+   *
+   * Messages are sent immediately, unless the socket reports backpressure or older messages are waiting in the queue.
+   * Queued messages are sent by priority (see SEND_PRIORITIES), then in order.
+   * If the queue is full (maxSendQueueSize), the peer is closed with closeRemotePeer, and socket.close() is called if it exists.
+   *
+   * @param {number} peerId - The peer ID to send the message to
+   * @param {string|undefined} msgString - The message as a string (stringified JSON if not in string mode). Undefined if encodedMsg is a Buffer
+   * @param {Buffer|null} [encodedMsg] - The message already encoded by the codec, or null if the codec cannot encode it (see _sendMessageObjectToPeer)
+   * @param {number} [priority=SEND_PRIORITIES.NORMAL]
+   * @param {string} [bulkKey] - "peer:seq" of a retransmitted patch, kept in queue.bulkKeys while the patch is queued
+   */
+  function _sendMessageToPeer (peerId, msgString, encodedMsg, priority = SEND_PRIORITIES.NORMAL, bulkKey) {
+    const _queue = sendQueues[peerId];
+    if (!peerSockets[peerId] || !_queue) {
+      debug('cannot send message to peer %d (peer socket not found)', peerId);
+      return;
+    }
+    if (_queue.messages[0].length + _queue.messages[1].length + _queue.messages[2].length >= MAX_SEND_QUEUE_SIZE) {
+      // The peer does not read its socket anymore. Lost messages are requested again when it reconnects.
+      console.warn(`Warning: The send queue of peer ${peerId} is full (${MAX_SEND_QUEUE_SIZE} messages). Close this peer.`);
+      const _socket = peerSockets[peerId];
+      closeRemotePeer(peerId);
+      _socket.close?.();
+      return;
+    }
+    _queue.messages[priority].push([msgString, encodedMsg, bulkKey]);
+    if (bulkKey !== undefined) {
+      _queue.bulkKeys.add(bulkKey);
+    }
+    _flushSendQueue(peerId);
+  }
+
+  /**
+   * Sends the queued messages of a peer until the queue is empty, the socket reports backpressure,
+   * or the byte budget of retransmissions is spent for this heartbeat (maxRetransmissionBytesPerHeartbeat).
+   *
+   * The socket reports backpressure when socket.send returns false. The queue is resumed when the socket emits 'drain',
+   * or at the next heartbeat if the socket accepts one message (see _flushSendQueues).
+   *
+   * If the peer uses the same codec as me, the message is sent as a binary message encoded by the codec.
+   * It falls back to JSON if the codec cannot encode this type of message.
+   *
+   * @param {number|string} peerId
+   * @param {number} [maxMessages=Infinity] - Maximum number of messages sent
+   */
+  function _flushSendQueue (peerId, maxMessages = Infinity) {
+    const _queue = sendQueues[peerId];
+    const _socket = peerSockets[peerId];
+    let _nbMessages = 0;
+    while (_queue && _socket && !_queue.isPaused && _nbMessages++ < maxMessages) {
+      const _priority = _queue.messages.findIndex((messages) => messages.length > 0);
+      if (_priority === -1) {
+        return;
+      }
+      const [_queuedMsgString, _encodedMsg, _bulkKey] = _queue.messages[_priority][0];
+      let _msgString = _queuedMsgString;
+      let _payload = null;
+      if (peersUsingMyCodec.has(parseInt(peerId, 10))) {
+        _payload = _encodedMsg === undefined ? CODEC.encode(JSON.parse(_msgString)) : _encodedMsg;
+      }
+      else if (_msgString === undefined) {
+        // The peer has stopped using my codec (PING without the same codec) while the encoded message was queued
+        _msgString = JSON.stringify(CODEC.decode(_encodedMsg));
+      }
+      const _nbBytes = _payload ? _payload.length : Buffer.byteLength(_msgString);
+      if (_priority === SEND_PRIORITIES.BULK) {
+        // At least one message per heartbeat, even if it is bigger than the budget
+        if (_queue.nbBulkBytes > 0 && _queue.nbBulkBytes + _nbBytes > MAX_RETRANSMISSION_BYTES_PER_HEARTBEAT) {
+          return;
+        }
+        _queue.nbBulkBytes += _nbBytes;
+      }
+      _queue.messages[_priority].shift();
+      _queue.bulkKeys.delete(_bulkKey);
+      nbMessagesSent = nbMessagesSent < Number.MAX_SAFE_INTEGER ? nbMessagesSent + 1 : 0;
+      if (!_payload) {
+        _payload = SOCKET_STRING_MODE ? _msgString : JSON.parse(_msgString);
+      }
+      if (_socket.send(_payload) === false) {
+        debug('backpressure of peer %d. Pause its send queue', peerId);
+        _queue.isPaused = true;
+      }
+    }
+  }
+
+  /**
+   * Resets the byte budget of retransmissions of all peers, and flushes all send queues. Called at each heartbeat.
+   *
+   * Some sockets never emit 'drain'. So a paused queue sends one message per heartbeat as a probe,
+   * and it is resumed only if the socket accepts this message without backpressure.
+   */
+  function _flushSendQueues () {
+    for (const _peerId in sendQueues) {
+      const _queue = sendQueues[_peerId];
+      _queue.nbBulkBytes = 0;
+      if (_queue.isPaused) {
+        _queue.isPaused = false;
+        _flushSendQueue(_peerId, 1);
+      }
+      _flushSendQueue(_peerId);
+      _callDrainCallbacks(_queue);
+    }
+  }
+
+  /**
+   * Calls callback when the send queue of a peer is not paused by backpressure (on the next event loop iteration at the earliest).
+   * Used by producers of many messages (snapshot stream) to stop reading while the socket of the peer is full.
+   *
+   * @param {number} peerId
+   * @param {Function} callback - callback() is also called if the peer is disconnected
+   */
+  function _waitForSendQueue (peerId, callback) {
+    const _queue = sendQueues[peerId];
+    if (!_queue || !_queue.isPaused) {
+      return setImmediate(callback);
+    }
+    _queue.drainCallbacks.push(callback);
+  }
+
+  /**
+   * Calls the callbacks of _waitForSendQueue if the send queue is not paused anymore
+   *
+   * @param {Object} queue - sendQueues[peerId]
+   */
+  function _callDrainCallbacks (queue) {
+    if (queue.isPaused) {
+      return;
+    }
+    for (const _callback of queue.drainCallbacks.splice(0)) {
+      _callback();
+    }
+  }
+
+  /**
+   * Handles incoming messages from connected peers.
+   *
+   * Parses and dispatches incoming network messages according to their type.
+   * Handles PATCH (received patch from another peer), PING (peer connectivity and sequence checks), MISSING_PATCH
+   * (request from a remote peer for retransmission of a missing patch), and SNAPSHOT_* (see requestSnapshot).
+   *
+   * Binary messages are decoded by the codec. If the codec cannot decode them, they are forwarded to `onUnknownMessage`.
+   * If `clusterSecrets` is set, replication messages without a valid signature are rejected (and counted in metrics).
+   * Patches of tables which are not in the acceptTables policy of the sender peer are stored as skipped patches.
+   * If an unknown message type is received, and an `onUnknownMessage` callback is specified in options, it is called.
+   *
+   * The function also counts the number of received messages, and for retransmission requests,
+   * the number of such requests received.
+   *
+   * TODO: Special case not developed yet:
+   *   If a retransmission request is received for a patch not concerning us, and we are the peer with the lowest id,
+   *   and the patch cannot be found, then we create a patch to stop the leak
+   *   (stopping an infinite retransmission loop, for example when a peer wakes up after previously producing this patch).
+   *
+   * @param {Object|string} msg - The incoming message, either as an Object or as a JSON string (if SOCKET_STRING_MODE).
+   * @param {boolean} [isBinary=false] - True if the message is a binary message (encoded by the codec)
+   * @param {number} [fromPeerId] - The connected peer which has sent the message
+   */
+  function _onMessage (msg, isBinary = false, fromPeerId) {
+    if (isBinary === true) {
+      let _decodedMsg;
+      try {
+        _decodedMsg = CODEC.decode(msg);
+      }
+      catch (e) {
+        console.warn('Error decoding binary message', e);
+        return;
+      }
+      if (!_decodedMsg) {
+        return options?.onUnknownMessage?.(msg, true);
+      }
+      msg = _decodedMsg;
+    }
+    else if (SOCKET_STRING_MODE) {
+      try {
+        msg = JSON.parse(msg);
+      }
+      catch (e) {
+        console.warn('Error parsing message', e);
+        return;
+      }
+    }
+    nbMessagesReceived = nbMessagesReceived < Number.MAX_SAFE_INTEGER ? nbMessagesReceived + 1 : 0;
+    if (CLUSTER_SECRETS.length > 0 && KNOWN_MESSAGE_TYPES.has(msg?.type) && !signature.verify(msg, CLUSTER_SECRETS)) {
+      nbRejectedMessages = nbRejectedMessages < Number.MAX_SAFE_INTEGER ? nbRejectedMessages + 1 : 0;
+      debug('reject message with an invalid signature %o', msg);
+      return;
+    }
+    switch (msg.type) {
+      case MESSAGE_TYPES.PATCH:
+        debugWrite('<-- %o', msg);
+        if (!_isTableReplicated(peerPolicies[fromPeerId]?.acceptTables, msg.tab)) {
+          // A skipped patch keeps the sequence of the origin peer contiguous. It is never relayed, and it is replaced
+          // by the real patch if another peer sends it (see _isPatchAlreadyStored). If the real patch is already stored, it is a duplicate.
+          _onPatchReceivedFromPeers(tableStatements[msg.tab]?.hasPatch?.(msg) === true ? msg : _toSkippedPatch(msg));
+        }
+        else if (_onPatchReceivedFromPeers(msg) === true && RELAY) {
+          _relayPatch(msg, fromPeerId);
+        }
+        break;
+      case MESSAGE_TYPES.PING:
+        debugPing('<-- %o', msg);
+        _negotiateCodec(msg);
+        _discoverPeers(msg);
+        _detectMissingSequenceIds(msg);
+        _onLeaderInfo(msg);
+        break;
+      case MESSAGE_TYPES.MISSING_PATCH:
+        debugRetry('<-- %o', msg);
+        nbRetransmissionRequestsReceived = nbRetransmissionRequestsReceived < Number.MAX_SAFE_INTEGER ? nbRetransmissionRequestsReceived + 1 : 0;
+        _onRequestForMissingPatchFromPeers(msg);
+        break;
+      case MESSAGE_TYPES.PATCH_TOO_OLD:
+        debugRetry('<-- %o', msg);
+        _onPatchTooOldFromPeer(msg, fromPeerId);
+        break;
+      case MESSAGE_TYPES.SNAPSHOT_REQUEST:
+        debug('<-- snapshot request from peer %d', msg.peer);
+        _onSnapshotRequestFromPeer(msg);
+        break;
+      case MESSAGE_TYPES.SNAPSHOT_CHUNK:
+        _onSnapshotChunkFromPeer(msg);
+        break;
+      case MESSAGE_TYPES.SNAPSHOT_END:
+        debug('<-- snapshot end from peer %d %o', msg.peer, msg);
+        _onSnapshotEndFromPeer(msg);
+        break;
+      default:
+        options?.onUnknownMessage?.(msg, false);
+        break;
+    }
+  }
+
+  /**
+   * Returns the codec selected with the `codec` option
+   *
+   * @param {string|Object} codec - 'json', 'binary' or a custom codec { name, encode(msg), decode(buffer) } (see lib/codec.js)
+   * @returns {Object} codec
+   */
+  function _getCodec (codec) {
+    if (typeof codec === 'string') {
+      if (!Object.hasOwn(codecs, codec)) {
+        throw new Error(`Unknown codec ${codec}. Available codecs: ${Object.keys(codecs).join(', ')}`);
+      }
+      return codecs[codec];
+    }
+    if (typeof codec?.name !== 'string' || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+      throw new Error('A custom codec must have a name, an encode function and a decode function');
+    }
+    return codec;
+  }
+
+  /**
+   * Returns a copy of the message with its HMAC signature (sig), or the message itself if clusterSecrets is not set
+   *
+   * @param {Object} msg
+   * @returns {Object}
+   */
+  function _signMessage (msg) {
+    if (CLUSTER_SECRETS.length === 0) {
+      return msg;
+    }
+    return { ...msg, sig : signature.sign(msg, CLUSTER_SECRETS[0]) };
   }
 
   /**
-   * Closes the connection to a remote peer.
+   * Signs a message already stringified (retransmitted patches are generated in JSON by SQLite)
    *
-   * @param {number} remotePeerId
-   * @returns {void}
+   * @param {string} msgString
+   * @returns {string}
    */
-  function closeRemotePeer (remotePeerId) {
-    remotePeerId = parseInt(remotePeerId, 10);
-    if (isNaN(remotePeerId)) {
-      return;
-    }
-    if (peerSockets[remotePeerId]) {
-      nbConnectedPeers--;
-      debug('close remote peer %d', remotePeerId);
-      peerSockets[remotePeerId]?.off?.('message', _onMessage); // if it is an existing connection, we need to remove the old listener
-      delete peerSockets[remotePeerId];
-      Object.defineProperty(peerStats[remotePeerId], '_debounceCleanup', {
-        value        : setTimeout(cleanDeadPeer, MAX_PEER_DISCONNECTION_TOLERANCE_MS, remotePeerId),
-        writable     : true,
-        configurable : true,
-        enumerable   : false
-      });
+  function _signMessageString (msgString) {
+    if (CLUSTER_SECRETS.length === 0) {
+      return msgString;
     }
+    return JSON.stringify(_signMessage(JSON.parse(msgString)));
   }
 
   /**
-   * Cleans the stats of a remote peer. It is called after a timeout of MAX_PEER_DISCONNECTION_TOLERANCE_MS.
+   * Uses my codec with a remote peer as soon as it advertises the same codec in its PING messages.
+   * JSON is used with all other peers.
    *
-   * @param {number} remotePeerId
-   * @returns {void}
+   * @param {Object} msg - PING message
    */
-  function cleanDeadPeer (remotePeerId) {
-    delete peerStats[remotePeerId];
-    _computeWhoIsTheLeader();
+  function _negotiateCodec (msg) {
+    const _peerId = parseInt(msg.peer, 10);
+    if (CODEC !== codecs.json && msg.cod === CODEC.name && peerSockets[_peerId]) {
+      if (!peersUsingMyCodec.has(_peerId)) {
+        debug('use codec %s with peer %d', CODEC.name, _peerId);
+        peersUsingMyCodec.add(_peerId);
+      }
+    }
+    else {
+      peersUsingMyCodec.delete(_peerId);
+    }
   }
 
   /**
-   * Computes who is the leader among the connected peers.
+   * Returns the addresses advertised in my PING messages: my address and the addresses of my connected peers
    *
-   * @returns {void}
-   * @private
+   * @returns {Object} { peerId : address }
    */
-  function _computeWhoIsTheLeader () {
-    let _amITheLeader = true;
-    for (const _peerIdStr in peerStats) {
-      const _peerId = parseInt(_peerIdStr, 10);
-      if (_peerId < myPeerId) {
-        _amITheLeader = false;
-        break;
+  function _getAdvertisedAddresses () {
+    const _addresses = {};
+    for (const _peerId in peerSockets) {
+      if (peerAddresses[_peerId] !== undefined) {
+        _addresses[_peerId] = peerAddresses[_peerId];
       }
     }
-    if (amITheLeaderCached !== _amITheLeader) {
-      if (_amITheLeader === true) {
-        debug('became leader');
-        backupTask?.resume(); // manage backup cron
-      }
-      else {
-        debug('lost leader role');
-        backupTask?.pause();
-      }
+    if (ADVERTISED_ADDRESS !== null) {
+      _addresses[myPeerId] = ADVERTISED_ADDRESS;
     }
-    amITheLeaderCached = _amITheLeader;
+    return _addresses;
   }
 
   /**
-   * Checks if this peer is the leader (smallest peerId among connected peers)
+   * Learns the addresses advertised in a PING message (gossip), and emits 'peer:discovered' for each new or changed address
+   * of a peer which is not connected, so a new peer can find the rest of the cluster from one seed peer.
    *
-   * @returns {boolean} True if this peer is the leader
+   * @param {Object} msg - PING message
    */
-  function amITheLeader () {
-    if (amITheLeaderCached === null) {
-      _computeWhoIsTheLeader();
+  function _discoverPeers (msg) {
+    if (!DISCOVERY || msg.adr === null || typeof msg.adr !== 'object') {
+      return;
+    }
+    for (const _peerIdStr in msg.adr) {
+      const _peerId = parseInt(_peerIdStr, 10);
+      const _address = msg.adr[_peerIdStr];
+      if (isNaN(_peerId) || _peerId === myPeerId || _address === null || _address === undefined) {
+        continue;
+      }
+      if (JSON.stringify(peerAddresses[_peerId]) === JSON.stringify(_address)) {
+        continue;
+      }
+      peerAddresses[_peerId] = _address;
+      if (!peerSockets[_peerId]) {
+        debug('discover peer %d at %o', _peerId, _address);
+        eventEmitter.emit('peer:discovered', _peerId, _address);
+      }
     }
-    return amITheLeaderCached;
   }
 
   /**
-   * Detects and handles missing sequence IDs for a given incoming message from a peer (it must be fast)
+   * Requests a full database snapshot from a remote peer, and installs it locally.
    *
-   * This function receives a message from a peer and checks whether there are any gaps
-   * in the received sequence IDs for that peer. It updates internal statistics for the peer
-   * and determines if there are contiguous or missing patches.
+   * Used to bootstrap a new peer, or a peer which has been offline longer than maxPatchRetentionMs.
+   * The snapshot is streamed in chunks (SNAPSHOT_CHUNK messages) over the socket of the remote peer, followed by
+   * a SNAPSHOT_END message with the size and the sha256 hash of the snapshot.
+   * Once installed, all tables (including patch tables) are replaced by the tables of the remote peer,
+   * and missing patches produced since the snapshot are detected and requested like any other missing patch.
    *
-   * TODO:
-   *   - What to do if the missing packet is never received: the requesting peer should measure
-   *     how long it remains stuck at the same sequence number. If the timeout is exceeded after querying
-   *     all peers, it should skip and write in the pending packet the missing one, with a special tag.
-   *   - At startup, peerStats should be left at zero to check if any patch is missing. All patches must be checked.
-   *     Alternatively, just check the last hour; if a patch was missing, we would have already retrieved it.
+   * It should be called before migrate(). Call migrate() in the callback to upgrade the snapshot to the version of the application.
    *
-   * @param {Object} msg - The incoming network message containing sequence and peer information.
+   * Callback is called with (err, remotePeerId) if provided
+   * if the callback is not provided, it emits the 'snapshot:installed' and 'snapshot:failed' events
+   *
+   * @param {number} remotePeerId - The connected peer which sends the snapshot
+   * @param {Function} [callback]
    */
-  function _detectMissingSequenceIds (msg) {
-    hlc.receive(msg.at);
-    const _peerStat = peerStats[msg.peer];
-    if (!_peerStat) {
-      debug('receiving patch from unknown peer %d', msg.peer);
-      return;
-    }
-    if (msg.type === MESSAGE_TYPES.PING) {
-      _peerStat[MY_GUARANTEED_CONTIGUOUS_SEQUENCE_ID_STORED_IN_REMOTE_PEER] = msg?.delta?.[myPeerId]?.[GUARANTEED_CONTIGUOUS_SEQUENCE_ID] ?? 0;
-    }
-    // Keep track of the last message timestamp to detect peer liveness (non-persistent ping message)
-    _peerStat[LAST_MESSAGE_TIMESTAMP] = Date.now();
-    const _sequenceGap = msg.seq - _peerStat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID];
-    if (_sequenceGap === 1) {
-      // Contiguous sequence, nothing to do
-      _peerStat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID] = msg.seq;
-      _peerStat[GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP] = msg.at;
-    }
-    else if (_sequenceGap > 1) {
-      // Detected a gap in the sequence. Do not update GUARANTEED_CONTIGUOUS_SEQUENCE_ID until contiguous again (this is managed by heartbeat processing)
-      debug('missing patch for peer %d. Expects seq %d. Received seq %d', msg.peer, _peerStat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID]+1, msg.seq);
+  function requestSnapshot (remotePeerId, callback) {
+    remotePeerId = parseInt(remotePeerId, 10);
+    if (!peerSockets[remotePeerId]) {
+      return _onSnapshotDone(new Error(`Peer ${remotePeerId} is not connected`), remotePeerId, callback);
     }
-    if (msg.seq > _peerStat[LAST_SEQUENCE_ID]) {
-      _peerStat[LAST_SEQUENCE_ID] = msg.seq;
-      _peerStat[LAST_PATCH_AT_TIMESTAMP] = msg.at;
+    if (snapshotInProgress) {
+      return _onSnapshotDone(new Error('A snapshot is already in progress'), remotePeerId, callback);
     }
-    // Otherwise, it's an old packet, or a ping (same sequence), if so do nothing.
-    // (Sequences can never go backward. If we receive a packet with a sequence less than the guaranteed one, we can ignore it—a double resend.)
+    const _snapshotPath = path.join(os.tmpdir(), `replic-sqlite-snapshot-${myPeerId}-${crypto.randomUUID()}.sqlite`);
+    const _snapshot = {
+      peerId        : remotePeerId,
+      id            : null,
+      path          : _snapshotPath,
+      stream        : fs.createWriteStream(_snapshotPath), // chunks are written asynchronously, in the order of offsets
+      hash          : crypto.createHash('sha256'), // computed while chunks are received, so the file is never read again
+      nbChunks      : 0,
+      receivedBytes : 0,
+      end           : null,
+      timeout       : null,
+      callback
+    };
+    _snapshot.stream.on('error', (err) => {
+      if (snapshotInProgress === _snapshot) {
+        _finishSnapshot(err);
+      }
+    });
+    snapshotInProgress = _snapshot;
+    _resetSnapshotTimeout();
+    debug('--> snapshot request to peer %d', remotePeerId);
+    _sendMessageToPeer(remotePeerId, JSON.stringify(_signMessage({ type : MESSAGE_TYPES.SNAPSHOT_REQUEST, peer : myPeerId })), undefined, SEND_PRIORITIES.CONTROL);
   }
 
   /**
-   * Deletes old patches from all patch tables based on the maximum patch retention policy.
+   * Restarts the inactivity timeout of the snapshot in progress
    */
-  function _deleteOldPatches () {
-    const _oldestPatchTimestamp = hlc.from(Date.now() - MAX_PATCH_RETENTION_MS);
-    for (const _table in tableStatements) {
-      tableStatements[_table].deleteOldPatches(_oldestPatchTimestamp);
-    }
+  function _resetSnapshotTimeout () {
+    clearTimeout(snapshotInProgress.timeout);
+    snapshotInProgress.timeout = setTimeout(() => {
+      _finishSnapshot(new Error(`Snapshot timeout. No message received from peer ${snapshotInProgress.peerId} for ${SNAPSHOT_TIMEOUT_MS} ms`));
+    }, SNAPSHOT_TIMEOUT_MS);
   }
 
   /**
-   * Detects missing patches from peers and requests their retransmission if needed.
+   * Handles a snapshot request from a remote peer.
    *
-   * This function iterates over all peers to determine if there are any missing patches
-   * based on the difference between the guaranteed contiguous sequence ID and the last known
-   * sequence ID. The function finds the minimum guaranteed contiguous patch timestamp
-   * among all peers that have missing patches. If such missing patches are detected,
-   * it triggers a request to compute all ranges of missing patches in the database.
+   * A consistent copy of the database is generated with db.backup in a temporary file, then the file
+   * is streamed to the remote peer in chunks of snapshotChunkSize bytes (base64 encoded).
+   * A chunk is sent per event loop iteration, and the stream stops if the remote peer is disconnected.
+   * The stream is paused while the send queue of the remote peer is paused by backpressure (see _waitForSendQueue).
+   * A snapshot contains all tables and all rows, so it is refused to peers with a partial replication policy
+   * (sendTables, acceptTables or rowFilter): a SNAPSHOT_END message with an error is sent instead.
    *
-   * For peers that are fully synchronized (their guaranteed contiguous sequence ID matches
-   * their last sequence ID and the last message timestamp is valid), it invokes the `_onSynced` handler.
+   * @param {Object} msg - { type : SNAPSHOT_REQUEST, peer : requesting peer }
    */
-  function _detectAndRequestMissingPatches () {
-    let _highestMissingPatchTimestamp = Number.MAX_SAFE_INTEGER;
-    for (const _peerId in peerStats) {
-      const _peerStat = peerStats[_peerId];
-      // find the minimum global guaranted contiguous timestamp among all peers
-      if (_peerStat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID] < _peerStat[LAST_SEQUENCE_ID] && _peerStat[GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP] < _highestMissingPatchTimestamp) {
-        _highestMissingPatchTimestamp = _peerStat[GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP];
-      }
-      if (_peerStat[GUARANTEED_CONTIGUOUS_SEQUENCE_ID] === _peerStat[LAST_SEQUENCE_ID] && _peerStat[LAST_MESSAGE_TIMESTAMP] > 0) {
-        _onSynced(_peerId);
-      }
+  function _onSnapshotRequestFromPeer (msg) {
+    const _forPeer = parseInt(msg.peer, 10);
+    if (!peerSockets[_forPeer]) {
+      return;
     }
-    // if there are some missing patches, ask for them
-    if (_highestMissingPatchTimestamp < Number.MAX_SAFE_INTEGER) {
-      _getMissingPatches(_highestMissingPatchTimestamp);
+    const _snapshotId = crypto.randomUUID();
+    const _snapshotPath = path.join(os.tmpdir(), `replic-sqlite-snapshot-${myPeerId}-${_snapshotId}.sqlite`);
+    const _sendEnd = (end) => {
+      fs.rm(_snapshotPath, { force : true }, () => {});
+      debug('--> snapshot end to peer %d %o', _forPeer, end);
+      _sendMessageToPeer(_forPeer, JSON.stringify(_signMessage({ type : MESSAGE_TYPES.SNAPSHOT_END, peer : myPeerId, id : _snapshotId, ...end })));
+    };
+    if (_hasPartialReplication(_forPeer)) {
+      return _sendEnd({ error : 'Snapshots are not sent to peers with a partial replication policy' });
     }
+    db.backup(_snapshotPath).then(() => {
+      const _hash = crypto.createHash('sha256');
+      const _stream = fs.createReadStream(_snapshotPath, { highWaterMark : SNAPSHOT_CHUNK_SIZE });
+      let _offset = 0;
+      let _nbChunks = 0;
+      _stream.on('data', (chunk) => {
+        if (!peerSockets[_forPeer]) {
+          debug('snapshot stream stopped, peer %d disconnected', _forPeer);
+          _stream.destroy();
+          fs.rm(_snapshotPath, { force : true }, () => {});
+          return;
+        }
+        _hash.update(chunk);
+        _sendMessageToPeer(_forPeer, JSON.stringify(_signMessage({ type : MESSAGE_TYPES.SNAPSHOT_CHUNK, peer : myPeerId, id : _snapshotId, offset : _offset, data : chunk.toString('base64') })));
+        _offset += chunk.length;
+        _nbChunks++;
+        _stream.pause();
+        _waitForSendQueue(_forPeer, () => _stream.resume());
+      });
+      _stream.on('end', () => _sendEnd({ size : _offset, nbChunks : _nbChunks, hash : _hash.digest('hex') }));
+      _stream.on('error', (err) => _sendEnd({ error : err.message }));
+    }).catch((err) => {
+      debug('snapshot generation failed: %s', err);
+      _sendEnd({ error : err.message });
+    });
   }
 
   /**
-   * Periodic maintenance function for cluster health and synchronization.
-   *
-   * This function is called at a regular interval as the cluster heartbeat.
-   * It performs several maintenance tasks:
-   *   - Deletes old patches from all patch tables approximately every hour, with random jitter (±5 minutes).
-   *   - Generates and sends a persistent ping-stats message to all peers every hour
-   *   - Sends a non-persistent ping-stats message to all peers at every heartbeat interval
-   *   - Detects and requests missing patches from peers at every heartbeat interval.
-   *   - Tracks and accumulates maintenance execution time in seconds.
+   * Handles a chunk of the snapshot in progress. Chunks are appended to the temporary snapshot file, and added to its hash.
+   * The remote peer sends them in order, so a chunk which does not start at the end of the received bytes stops the snapshot.
    *
-   * Timing logic uses random jitter to avoid coordination issues across peers.
+   * @param {Object} msg - { type : SNAPSHOT_CHUNK, peer, id, offset, data }
    */
-  function _heartBeat () {
-    let _maintenanceTimeStart = performance.now();
-    const _now = Date.now();
-    const _jitter = Math.random() * HEARTBEAT_INTERVAL_MS;
-
-    // Run _deleteOldPatches every hour with random jitter (±5 minutes)
-    if ((_now - lastDeleteOldPatchesTimestamp) >= (3600 * 1000 + (Math.random() * 10 - 5) * 60 * 1000)) {
-      _deleteOldPatches();
-      _generatePingStatMessage(true); // persistent ping stat (fake new patch)
-      lastDeleteOldPatchesTimestamp = _now;
+  function _onSnapshotChunkFromPeer (msg) {
+    const _snapshot = snapshotInProgress;
+    if (!_snapshot || msg.peer !== _snapshot.peerId || (_snapshot.id !== null && msg.id !== _snapshot.id)) {
+      return;
     }
-    else if ((_now - lastPingStatTimestamp) >= (HEARTBEAT_INTERVAL_MS + _jitter)) {
-      _generatePingStatMessage(false); // non-persistent ping stat
-      lastPingStatTimestamp = _now;
+    if (msg.offset !== _snapshot.receivedBytes) {
+      return _finishSnapshot(new Error(`Snapshot chunk at offset ${msg.offset} received from peer ${_snapshot.peerId} instead of offset ${_snapshot.receivedBytes}`));
     }
-
-    // Check for and request missing patches every heartbeat interval with jitter
-    if ((_now - lastDetectMissingPatchesTimestamp) >= (HEARTBEAT_INTERVAL_MS + _jitter)) {
-      _detectAndRequestMissingPatches();
-      lastDetectMissingPatchesTimestamp = _now;
+    _snapshot.id = msg.id;
+    const _data = Buffer.from(msg.data, 'base64');
+    _snapshot.hash.update(_data);
+    _snapshot.stream.write(_data);
+    _snapshot.nbChunks++;
+    _snapshot.receivedBytes += _data.length;
+    eventEmitter.emit('snapshot:progress', _snapshot.peerId, _snapshot.receivedBytes);
+    _resetSnapshotTimeout();
+    if (_snapshot.end && _snapshot.nbChunks === _snapshot.end.nbChunks) {
+      _finishSnapshot();
     }
-
-    const _elapsedMaintenanceTime = (performance.now() - _maintenanceTimeStart) / 1000;
-    nbMaintenanceTimeSeconds = nbMaintenanceTimeSeconds < Number.MAX_SAFE_INTEGER ? nbMaintenanceTimeSeconds + _elapsedMaintenanceTime : 0;
   }
 
-
   /**
-   * Handles a request from a remote peer for missing patches.
-   * This function is called when another peer has detected a gap in its patch history
-   * and is asking us to resend the missing patches for a given range.
+   * Handles the end of the snapshot in progress.
    *
-   * @param {Object} msg - The request message from the peer
-   * @param {number} msg.peer - The peer ID requesting the patch
-   * @param {number} msg.minSeq - The minimum sequence ID requested (inclusive)
-   * @param {number} msg.maxSeq - The maximum sequence ID requested (inclusive)
-   * @param {number} msg.forPeer - The peer ID to which the missing patches should be sent
-   *
-   * TODO: Return an error if the request is too old (patch table has been cleaned up)?
+   * @param {Object} msg - { type : SNAPSHOT_END, peer, id, size, nbChunks, hash } or { type : SNAPSHOT_END, peer, id, error }
    */
-  function _onRequestForMissingPatchFromPeers (msg) {
-    let _missingPatch;
-    try {
-      _missingPatch = globalStatements.getPatchFromColumn(msg.peer, msg.minSeq, msg.maxSeq);
-    }
-    catch (e) {
-      console.error('Error processing request for missing patch %o ', msg, e.message);
+  function _onSnapshotEndFromPeer (msg) {
+    const _snapshot = snapshotInProgress;
+    if (!_snapshot || msg.peer !== _snapshot.peerId || (_snapshot.id !== null && msg.id !== _snapshot.id)) {
       return;
     }
-    if (peerSockets[msg.forPeer]) {
-      if (Array.isArray(_missingPatch)) {
-        for (const _patch of _missingPatch) {
-          debugRetry('--> %d %s', msg.forPeer, _patch.patch);
-          _sendMessageToPeer(msg.forPeer, _patch.patch);
+    if (msg.error) {
+      return _finishSnapshot(new Error(`Snapshot failed on peer ${msg.peer}: ${msg.error}`));
+    }
+    _snapshot.id = msg.id;
+    _snapshot.end = msg;
+    if (_snapshot.nbChunks === msg.nbChunks) {
+      _finishSnapshot();
+    }
+  }
+
+  /**
+   * Waits until all chunks are written, verifies and installs the snapshot in progress, then removes the temporary file.
+   *
+   * @param {Error} [err] - Error which stopped the snapshot
+   */
+  function _finishSnapshot (err) {
+    const _snapshot = snapshotInProgress;
+    snapshotInProgress = null;
+    clearTimeout(_snapshot.timeout);
+    _snapshot.stream.end();
+    finished(_snapshot.stream, (streamErr) => {
+      try {
+        if (err || streamErr) {
+          throw err ?? streamErr;
         }
-        return;
+        if (_snapshot.receivedBytes !== _snapshot.end.size || _snapshot.hash.digest('hex') !== _snapshot.end.hash) {
+          throw new Error(`Corrupted snapshot received from peer ${_snapshot.peerId}`);
+        }
+        _installSnapshot(_snapshot.path);
       }
-      if (_missingPatch) {
-        debugRetry('--> %d %s', msg.forPeer, _missingPatch.patch);
-        _sendMessageToPeer(msg.forPeer, _missingPatch.patch);
+      catch (e) {
+        err = e;
       }
-    }
+      fs.rm(_snapshot.path, { force : true }, () => {
+        _onSnapshotDone(err, _snapshot.peerId, _snapshot.callback);
+      });
+    });
   }
 
   /**
-   * Sends a message to a specific peer.
-   * Handles incrementing the sent message counter, JSON parsing if needed,
-   * and logs a debug message if the peer's socket cannot be found.
+   * Calls the snapshot callback, or emits 'snapshot:installed' / 'snapshot:failed' if there is no callback
    *
-   * @param {number} peerId - The peer ID to send the message to
-   * @param {string} msgString - The message as a string (stringified JSON if not in string mode)
+   * @param {Error|null} err
+   * @param {number} remotePeerId
+   * @param {Function} [callback]
    */
-  function _sendMessageToPeer (peerId, msgString) {
-    nbMessagesSent = nbMessagesSent < Number.MAX_SAFE_INTEGER ? nbMessagesSent + 1 : 0;
-    if (peerSockets[peerId]) {
-      peerSockets[peerId].send(SOCKET_STRING_MODE ? msgString : JSON.parse(msgString));
+  function _onSnapshotDone (err, remotePeerId, callback) {
+    if (err) {
+      debug('snapshot failed: %s', err.message);
     }
     else {
-      debug('cannot send message to peer %d (peer socket not found)', peerId);
+      debug('snapshot of peer %d installed', remotePeerId);
+      isResyncRequired = false;
+      tooOldSequenceRanges.clear();
+    }
+    if (callback) {
+      return callback(err ?? null, remotePeerId);
     }
+    eventEmitter.emit(err ? 'snapshot:failed' : 'snapshot:installed', remotePeerId, err);
   }
 
   /**
-   * Handles incoming messages from connected peers.
-   *
-   * Parses and dispatches incoming network messages according to their type.
-   * Handles PATCH (received patch from another peer), PING (peer connectivity and sequence checks), and MISSING_PATCH
-   * (request from a remote peer for retransmission of a missing patch).
-   *
-   * If an unknown message type is received, and an `onUnknownMessage` callback is specified in options, it is called.
-   *
-   * The function also counts the number of received messages, and for retransmission requests,
-   * the number of such requests received.
+   * Replaces all tables, indexes, views and triggers of the database by those of a snapshot file.
    *
-   * TODO: Special case not developed yet:
-   *   If a retransmission request is received for a patch not concerning us, and we are the peer with the lowest id,
-   *   and the patch cannot be found, then we create a patch to stop the leak
-   *   (stopping an infinite retransmission loop, for example when a peer wakes up after previously producing this patch).
+   * The snapshot is attached to the current connection, and everything is copied in one transaction.
+   * If the database was already migrated, all statements are prepared again for the version of the snapshot,
+   * and the guaranteed contiguous sequences of peers are reset to detect patches missing since the snapshot.
    *
-   * @param {Object|string} msg - The incoming message, either as an Object or as a JSON string (if SOCKET_STRING_MODE).
+   * @param {string} snapshotPath - Absolute path of the snapshot file
    */
-  function _onMessage (msg, isBinary = false) {
-    if (isBinary === true) {
-      return options?.onUnknownMessage?.(msg, true);
+  function _installSnapshot (snapshotPath) {
+    db.prepare('ATTACH DATABASE ? AS snapshot').run([snapshotPath]);
+    try {
+      const _snapshotObjects = db.prepare("SELECT type, name, sql FROM snapshot.sqlite_master WHERE sql IS NOT NULL AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\'").all();
+      const _existingObjects = db.prepare("SELECT type, name FROM main.sqlite_master WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\'").all();
+      const _hasSequenceTable = db.prepare("SELECT 1 FROM snapshot.sqlite_master WHERE name = 'sqlite_sequence'").get();
+      _dropAliveViews();
+      db.transaction(() => {
+        for (const _object of _existingObjects) {
+          db.exec(`DROP ${_object.type.toUpperCase()} IF EXISTS main."${_object.name}"`);
+        }
+        for (const _object of _snapshotObjects.filter(o => o.type === 'table')) {
+          db.exec(_object.sql);
+          db.exec(`INSERT INTO main."${_object.name}" SELECT * FROM snapshot."${_object.name}"`);
+        }
+        if (_hasSequenceTable) {
+          db.exec('DELETE FROM main.sqlite_sequence; INSERT INTO main.sqlite_sequence SELECT * FROM snapshot.sqlite_sequence;');
+        }
+        for (const _object of _snapshotObjects.filter(o => o.type !== 'table')) {
+          db.exec(_object.sql);
+        }
+      })();
     }
-    if (SOCKET_STRING_MODE) {
-      try {
-        msg = JSON.parse(msg);
-      }
-      catch (e) {
-        console.warn('Error parsing message', e);
-        return;
-      }
+    finally {
+      db.exec('DETACH DATABASE snapshot');
     }
-    nbMessagesReceived = nbMessagesReceived < Number.MAX_SAFE_INTEGER ? nbMessagesReceived + 1 : 0;
-    switch (msg.type) {
-      case MESSAGE_TYPES.PATCH:
-        debugWrite('<-- %o', msg);
-        _onPatchReceivedFromPeers(msg);
-        break;
-      case MESSAGE_TYPES.PING:
-        debugPing('<-- %o', msg);
-        _detectMissingSequenceIds(msg);
-        break;
-      case MESSAGE_TYPES.MISSING_PATCH:
-        debugRetry('<-- %o', msg);
-        nbRetransmissionRequestsReceived = nbRetransmissionRequestsReceived < Number.MAX_SAFE_INTEGER ? nbRetransmissionRequestsReceived + 1 : 0;
-        _onRequestForMissingPatchFromPeers(msg);
-        break;
-      default:
-        options?.onUnknownMessage?.(msg, false);
-        break;
+    if (lastSequenceId !== -1) {
+      dbVersion = db.prepare('SELECT COUNT(*) FROM migrations').pluck().get();
+      _prepareAllStatements();
+      _initPeerSequence();
+      for (const _peerId in peerStats) {
+        peerStats[_peerId][GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP] = 0;
+        peerStats[_peerId][GUARANTEED_CONTIGUOUS_SEQUENCE_ID] = 0;
+      }
     }
   }
 
@@ -1056,7 +3589,10 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
     return {
       lastSequenceId,
       lastPatchAtTimestamp,
-      peerStats
+      peerStats,
+      isResyncRequired,
+      leader : leaderPeerId,
+      leaderTerm
     };
   }
 
@@ -1208,10 +3744,22 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
     _replicationLagMetrics.push(`${METRICS_PREFIX}_replication_retransmission_requests_total{peer="${myPeerId}", direction="received"} ${nbRetransmissionRequestsReceived}`);
     _replicationLagMetrics.push(`${METRICS_PREFIX}_replication_messages_total{peer="${myPeerId}", direction="sent"} ${nbMessagesSent}`);
     _replicationLagMetrics.push(`${METRICS_PREFIX}_replication_messages_total{peer="${myPeerId}", direction="received"} ${nbMessagesReceived}`);
+    _replicationLagMetrics.push(`${METRICS_PREFIX}_replication_duplicated_patches_total{peer="${myPeerId}"} ${nbDuplicatedPatchesReceived}`);
+    _replicationLagMetrics.push(`${METRICS_PREFIX}_replication_rejected_messages_total{peer="${myPeerId}"} ${nbRejectedMessages}`);
+    _replicationLagMetrics.push(`${METRICS_PREFIX}_replication_relayed_patches_total{peer="${myPeerId}"} ${nbRelayedPatches}`);
+    _replicationLagMetrics.push(`${METRICS_PREFIX}_replication_lost_patches_total{peer="${myPeerId}"} ${nbLostPatches}`);
+    for (const _remotePeerId in sendQueues) {
+      const _nbQueuedMessages = sendQueues[_remotePeerId].messages.reduce((sum, messages) => sum + messages.length, 0);
+      _replicationLagMetrics.push(`${METRICS_PREFIX}_replication_send_queue_messages{peer="${myPeerId}", remote_peer="${_remotePeerId}"} ${_nbQueuedMessages}`);
+    }
     _replicationLagMetrics.push(`${METRICS_PREFIX}_maintenance_time_seconds_total{peer="${myPeerId}"} ${nbMaintenanceTimeSeconds}`);
     _replicationLagMetrics.push(`${METRICS_PREFIX}_logical_clock_drift_max_seconds{peer="${myPeerId}"} ${_clockDrift / 1000.0}`);
     _replicationLagMetrics.push(`${METRICS_PREFIX}_read_your_write_timeouts_total{peer="${myPeerId}"} ${nbReadYourWriteTimeouts}`);
     _replicationLagMetrics.push(`${METRICS_PREFIX}_last_successful_backup_timestamp{peer="${myPeerId}"} ${lastSuccessfulBackupTimestamp}`);
+    for (const _name in leaderJobs) {
+      _replicationLagMetrics.push(`${METRICS_PREFIX}_leader_job_last_run_timestamp{peer="${myPeerId}", job="${_name}"} ${leaderJobs[_name].lastRunTimestamp}`);
+      _replicationLagMetrics.push(`${METRICS_PREFIX}_leader_job_errors_total{peer="${myPeerId}", job="${_name}"} ${leaderJobs[_name].nbErrors}`);
+    }
     return _replicationLagMetrics.join('\n');
   }
 
@@ -1273,6 +3821,10 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
     if (backupTask) {
       backupTask.stop();
     }
+    incrementalBackupTask?.stop();
+    for (const _name in leaderJobs) {
+      leaderJobs[_name].task.stop();
+    }
     if (!callback) {
       // leave immediately without waiting for backup / sync
       return;
@@ -1290,6 +3842,11 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
     exit,
     migrate,
     upsert,
+    transaction,
+    remove,
+    increment,
+    history,
+    readAsOf,
     addRemotePeer,
     closeRemotePeer,
     status,
@@ -1300,7 +3857,10 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
     readYourWrite,
     selfTest,
     amITheLeader,
+    scheduleOnLeader,
     backupDatabase,
+    restore,
+    requestSnapshot,
     _parseSessionToken,
     _generateSessionToken,
     _onPatchReceivedFromPeers,
@@ -1311,10 +3871,12 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
     _generatePingStatMessage,
     _deleteOldPatches,
     _heartBeat,
+    _flushSendQueues,
     _areAllMyPatchesStoredByPeers,
     _onSynced,
 
     backupTask,
+    incrementalBackupTask,
     LAST_PATCH_AT_TIMESTAMP,
     LAST_SEQUENCE_ID,
     GUARANTEED_CONTIGUOUS_PATCH_AT_TIMESTAMP,
@@ -1323,6 +3885,23 @@ const SQLiteOnSteroid = (db, myPeerId = null, options) => {
   };
 };
 
+/**
+ * Default leader election strategy: the candidate with the highest priority, or the smallest peer id if priorities are equal.
+ * A custom strategy can be set with the leaderElection option.
+ *
+ * @param {Array<{peerId: number, priority: number, isConnected: boolean}>} candidates - All known peers, including me
+ * @returns {number} The peer id of the leader
+ */
+function electLeaderByPriority (candidates) {
+  let _leader = candidates[0];
+  for (const _candidate of candidates) {
+    if (_candidate.priority > _leader.priority || (_candidate.priority === _leader.priority && _candidate.peerId < _leader.peerId)) {
+      _leader = _candidate;
+    }
+  }
+  return _leader.peerId;
+}
+
 function findPreBuiltExtensionPath () {
   if (process.platform === 'win32') {
     throw new Error('Windows is not supported for database replication');
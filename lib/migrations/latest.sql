@@ -15,4 +15,15 @@ CREATE TABLE IF NOT EXISTS pending_patches (
   delta         BLOB     NOT NULL  /* json patch */
 ) STRICT;
 
-CREATE INDEX IF NOT EXISTS pending_patches_at_idx ON pending_patches (_patchedAt);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS pending_patches_at_idx ON pending_patches (_patchedAt);
+
+CREATE TABLE IF NOT EXISTS patch_groups (
+  _patchedAt     INTEGER  NOT NULL, /* 53bits number (HLC timestamp  + counter) of all patches of the group */
+  _peerId        INTEGER  NOT NULL, /* 53bits globally unique, Source of change */
+  minSequenceId  INTEGER  NOT NULL, /* first sequence id of the group (inclusive) */
+  maxSequenceId  INTEGER  NOT NULL, /* last sequence id of the group (inclusive) */
+  isApplied      INTEGER  NOT NULL DEFAULT 0, /* 1 when all patches of the group have been applied atomically */
+  PRIMARY KEY (_peerId, minSequenceId)
+) STRICT;
+
+CREATE INDEX IF NOT EXISTS patch_groups_at_idx ON patch_groups (_patchedAt);
@@ -0,0 +1,95 @@
+/**
+ * HMAC signatures of replication messages
+ *
+ * The signature is the HMAC-SHA256 (base64url) of the canonical JSON of the message without its `sig` field.
+ * The canonical JSON sorts object keys, so the signature does not depend on the serialization of the message
+ * (JSON.stringify, json_object in SQLite, or binary codec).
+ *
+ * Several secrets can be used for key rotation: messages are signed with the first secret,
+ * and a message is accepted if its signature matches one of the secrets.
+ */
+const crypto = require('crypto');
+
+/**
+ * Returns a copy of value with sorted object keys (JSON.stringify replacer)
+ */
+function _sortKeys (key, value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+  const _sorted = {};
+  for (const _key of Object.keys(value).sort()) {
+    _sorted[_key] = value[_key];
+  }
+  return _sorted;
+}
+
+/**
+ * Generates the canonical JSON of a message, without its signature
+ *
+ * @param {Object} msg
+ * @returns {string}
+ */
+function canonicalize (msg) {
+  const _msg = { ...msg };
+  delete _msg.sig;
+  return JSON.stringify(_msg, _sortKeys);
+}
+
+/**
+ * Signs a message
+ *
+ * @param {Object} msg
+ * @param {string} secret
+ * @returns {string} signature (base64url)
+ */
+function sign (msg, secret) {
+  return crypto.createHmac('sha256', secret).update(canonicalize(msg)).digest('base64url');
+}
+
+/**
+ * Verifies the signature of a message with all secrets, in constant time
+ *
+ * @param {Object} msg
+ * @param {Array<string>} secrets
+ * @returns {boolean} true if the signature matches one of the secrets
+ */
+function verify (msg, secrets) {
+  if (typeof msg?.sig !== 'string') {
+    return false;
+  }
+  const _signature = Buffer.from(msg.sig, 'base64url');
+  const _canonicalMsg = canonicalize(msg);
+  let _isValid = false;
+  for (const _secret of secrets) {
+    const _expected = crypto.createHmac('sha256', _secret).update(_canonicalMsg).digest();
+    if (_expected.length === _signature.length && crypto.timingSafeEqual(_expected, _signature)) {
+      _isValid = true;
+    }
+  }
+  return _isValid;
+}
+
+/**
+ * Returns the list of secrets of the `clusterSecrets` option (used by the app and by the transports)
+ *
+ * @param {string|Array<string>} secrets - One secret, or several secrets for key rotation
+ * @returns {Array<string>}
+ * @throws {Error} if a secret is not a non-empty string
+ */
+function getClusterSecrets (secrets) {
+  const _secrets = Array.isArray(secrets) ? secrets : [secrets];
+  for (const _secret of _secrets) {
+    if (typeof _secret !== 'string' || _secret.length === 0) {
+      throw new Error('Cluster secrets must be non-empty strings');
+    }
+  }
+  return _secrets;
+}
+
+module.exports = {
+  canonicalize,
+  sign,
+  verify,
+  getClusterSecrets
+};
@@ -0,0 +1,346 @@
+/**
+ * In-memory cluster simulator
+ *
+ * Creates N peers on in-memory databases, connected by a simulated network with fault injection
+ * (latency, drop rate, duplication, reordering and partitions). It runs the real merge and replication logic,
+ * so it can be used to test application schemas.
+ *
+ *   const Simulator = require('replic-sqlite/simulator');
+ *   const cluster = Simulator({ nbPeers : 3, migrations : [{ up : 'CREATE TABLE ...', down : '' }], network : { dropRate : 0.2 } });
+ *   cluster.peer(1).app.upsert('myTable', { id : 1 });
+ *   cluster.converge((err) => {
+ *     cluster.assertConverged();
+ *     cluster.stop();
+ *   });
+ *
+ * Heartbeats are not run by timers: converge() runs heartbeat rounds (ping + missing patch detection) until all peers have converged.
+ * Random faults use a seeded pseudo-random generator. The seed is available in cluster.seed to replay a failing run.
+ */
+const assert = require('node:assert');
+const EventEmitter = require('node:events');
+const Database = require('better-sqlite3');
+const SQLiteOnSteroid = require('./index.js');
+
+const DEFAULT_LINK = {
+  latencyMs     : [1, 5],  // [min, max] delivery delay
+  dropRate      : 0,       // probability to lose a message
+  duplicateRate : 0,       // probability to deliver a message twice
+  reorderRate   : 0        // probability to deliver a message after the next ones
+};
+
+/**
+ * Creates a simulated cluster
+ *
+ * @param {Object} options
+ * @param {number} [options.nbPeers=3] - Number of peers. Peer ids are 1, 2, ... nbPeers
+ * @param {Array<{up: string, down: string}>} [options.migrations=[]] - Migrations applied on all peers (see app.migrate)
+ * @param {Object} [options.appOptions] - Options of all apps (heartbeatIntervalMs is forced to 0)
+ * @param {Object} [options.network] - Default link between all peers { latencyMs, dropRate, duplicateRate, reorderRate }
+ * @param {Array<Array<number>>} [options.topology] - Connected pairs of peers, e.g. [[1, 2], [1, 3]] for a hub-and-spoke topology. All peers are connected by default.
+ * @param {number} [options.seed] - Seed of the pseudo-random generator
+ * @returns {Object} cluster
+ */
+const Simulator = (options) => {
+  const NB_PEERS = options?.nbPeers ?? 3;
+  const SEED = options?.seed ?? Math.floor(Math.random() * 0xFFFFFFFF);
+  const random = _createRandomGenerator(SEED);
+
+  const defaultLink = { ...DEFAULT_LINK, ...options?.network };
+  // Link configuration of each pair of peers links[from][to], overriding defaultLink
+  const links = {};
+  // Partition group of each peer. Messages between peers of different groups are dropped.
+  let partitionGroups = null;
+  const inFlightTimers = new Set();
+  const stats = { sent : 0, delivered : 0, dropped : 0, duplicated : 0, reordered : 0 };
+
+  const peers = [];
+  // sockets[from][to] is the socket used by peer "from" to send messages to peer "to"
+  const sockets = {};
+  for (let _peerId = 1; _peerId <= NB_PEERS; _peerId++) {
+    const _db = new Database(':memory:');
+    const _app = SQLiteOnSteroid(_db, _peerId, { ...options?.appOptions, heartbeatIntervalMs : 0 });
+    _app.migrate(options?.migrations ?? []);
+    peers.push({ peerId : _peerId, db : _db, app : _app });
+    sockets[_peerId] = {};
+    links[_peerId] = {};
+  }
+  const topology = options?.topology ?? _fullMesh(NB_PEERS);
+  for (const [_peerIdA, _peerIdB] of topology) {
+    peer(_peerIdA);
+    peer(_peerIdB);
+    for (const [_from, _to] of [[_peerIdA, _peerIdB], [_peerIdB, _peerIdA]]) {
+      const _socket = new EventEmitter();
+      _socket.send = (msg) => _send(_from, _to, msg);
+      sockets[_from][_to] = _socket;
+    }
+  }
+  for (const _from in sockets) {
+    for (const _to in sockets[_from]) {
+      peer(parseInt(_from, 10)).app.addRemotePeer(parseInt(_to, 10), sockets[_from][_to]);
+    }
+  }
+
+  /**
+   * Returns the peer { peerId, db, app }
+   *
+   * @param {number} peerId
+   * @returns {Object}
+   */
+  function peer (peerId) {
+    const _peer = peers[peerId - 1];
+    if (!_peer) {
+      throw new Error(`Unknown peer ${peerId}`);
+    }
+    return _peer;
+  }
+
+  /**
+   * Overrides the link configuration from one peer to another (one direction)
+   *
+   * @param {number} fromPeerId
+   * @param {number} toPeerId
+   * @param {Object} link - { latencyMs, dropRate, duplicateRate, reorderRate }
+   */
+  function setLink (fromPeerId, toPeerId, link) {
+    peer(fromPeerId);
+    peer(toPeerId);
+    links[fromPeerId][toPeerId] = { ...links[fromPeerId][toPeerId], ...link };
+  }
+
+  /**
+   * Splits the network. Messages between peers of different groups are dropped.
+   * Peers which are not in any group are in the same extra group.
+   *
+   * @param {...Array<number>} groups - e.g. partition([1, 2], [3])
+   */
+  function partition (...groups) {
+    partitionGroups = {};
+    groups.forEach((group, index) => {
+      for (const _peerId of group) {
+        peer(_peerId);
+        partitionGroups[_peerId] = index;
+      }
+    });
+  }
+
+  /**
+   * Removes the partition
+   */
+  function heal () {
+    partitionGroups = null;
+  }
+
+  /**
+   * Runs one heartbeat on all peers: send queues, ping and missing patch detection
+   */
+  function heartbeat () {
+    for (const _peer of peers) {
+      _peer.app._flushSendQueues();
+      _peer.app._generatePingStatMessage();
+      _peer.app._detectAndRequestMissingPatches();
+    }
+  }
+
+  /**
+   * Runs heartbeat rounds until all peers have converged
+   *
+   * @param {Function} callback - callback(err, nbRounds). err if the peers have not converged after maxRounds
+   * @param {Object} [convergeOptions]
+   * @param {number} [convergeOptions.maxRounds=30]
+   * @param {number} [convergeOptions.roundMs] - Delay between two rounds. Four times the maximum latency by default.
+   */
+  function converge (callback, convergeOptions) {
+    const _maxRounds = convergeOptions?.maxRounds ?? 30;
+    const _roundMs = convergeOptions?.roundMs ?? 4 * _maxLatencyMs() + 10;
+    let _nbRounds = 0;
+    const _nextRound = () => {
+      if (isConverged()) {
+        return callback(null, _nbRounds);
+      }
+      if (_nbRounds >= _maxRounds) {
+        return callback(new Error(`Peers have not converged after ${_maxRounds} rounds (seed ${SEED})`), _nbRounds);
+      }
+      _nbRounds++;
+      heartbeat();
+      _setTimeout(_nextRound, _roundMs);
+    };
+    _setTimeout(_nextRound, _roundMs);
+  }
+
+  /**
+   * Returns true if all replicated tables contain the same rows on all peers
+   *
+   * @param {Array<string>} [tableNames] - All tables with a _patches table by default
+   * @returns {boolean}
+   */
+  function isConverged (tableNames) {
+    try {
+      assertConverged(tableNames);
+      return true;
+    }
+    catch (e) {
+      if (e instanceof assert.AssertionError) {
+        return false;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Throws an AssertionError if one of the replicated tables does not contain the same rows on all peers
+   *
+   * @param {Array<string>} [tableNames] - All tables with a _patches table by default
+   */
+  function assertConverged (tableNames) {
+    const _tableNames = tableNames ?? _listReplicatedTables(peers[0].db);
+    for (const _tableName of _tableNames) {
+      const _expectedRows = _readTable(peers[0].db, _tableName);
+      for (let i = 1; i < peers.length; i++) {
+        assert.deepStrictEqual(_readTable(peers[i].db, _tableName), _expectedRows,
+          `Table ${_tableName} of peer ${peers[i].peerId} has not converged with peer ${peers[0].peerId} (seed ${SEED})`);
+      }
+    }
+  }
+
+  /**
+   * Stops all apps, drops in-flight messages and closes all databases
+   */
+  function stop () {
+    for (const _timer of inFlightTimers) {
+      clearTimeout(_timer);
+    }
+    inFlightTimers.clear();
+    for (const _peer of peers) {
+      _peer.app.exit();
+      _peer.db.close();
+    }
+  }
+
+  /**
+   * Simulates the network between two peers
+   *
+   * @param {number} from
+   * @param {number} to
+   * @param {Object|string|Buffer} msg
+   */
+  function _send (from, to, msg) {
+    stats.sent++;
+    const _link = { ...defaultLink, ...links[from][to] };
+    if ((partitionGroups && (partitionGroups[from] ?? -1) !== (partitionGroups[to] ?? -1)) || random() < _link.dropRate) {
+      stats.dropped++;
+      return;
+    }
+    const _isBinary = Buffer.isBuffer(msg);
+    // serialize now, like a real socket, because the sender can reuse the object
+    const _data = _isBinary ? Buffer.from(msg) : (typeof msg === 'string' ? msg : JSON.stringify(msg));
+    const _nbCopies = random() < _link.duplicateRate ? 2 : 1;
+    if (_nbCopies === 2) {
+      stats.duplicated++;
+    }
+    for (let i = 0; i < _nbCopies; i++) {
+      const [_minLatencyMs, _maxLatencyMs] = _link.latencyMs;
+      let _delayMs = _minLatencyMs + random() * (_maxLatencyMs - _minLatencyMs);
+      if (random() < _link.reorderRate) {
+        stats.reordered++;
+        _delayMs += _maxLatencyMs + 1; // delivered after the messages sent later
+      }
+      _setTimeout(() => {
+        // The socket of the receiver to the sender
+        const _msg = (_isBinary || typeof msg === 'string') ? _data : JSON.parse(_data);
+        stats.delivered++;
+        sockets[to][from].emit('message', _msg, _isBinary);
+      }, _delayMs);
+    }
+  }
+
+  function _setTimeout (fn, delayMs) {
+    const _timer = setTimeout(() => {
+      inFlightTimers.delete(_timer);
+      fn();
+    }, delayMs);
+    inFlightTimers.add(_timer);
+  }
+
+  function _maxLatencyMs () {
+    let _max = defaultLink.latencyMs[1];
+    for (const _from in links) {
+      for (const _to in links[_from]) {
+        _max = Math.max(_max, links[_from][_to].latencyMs?.[1] ?? 0);
+      }
+    }
+    return _max;
+  }
+
+  return {
+    seed : SEED,
+    peers,
+    stats,
+    peer,
+    setLink,
+    partition,
+    heal,
+    heartbeat,
+    converge,
+    isConverged,
+    assertConverged,
+    stop
+  };
+};
+
+/**
+ * Returns all pairs of peers
+ *
+ * @param {number} nbPeers
+ * @returns {Array<Array<number>>}
+ */
+function _fullMesh (nbPeers) {
+  const _pairs = [];
+  for (let i = 1; i <= nbPeers; i++) {
+    for (let j = i + 1; j <= nbPeers; j++) {
+      _pairs.push([i, j]);
+    }
+  }
+  return _pairs;
+}
+
+/**
+ * Returns the tables which have a _patches table
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @returns {Array<string>}
+ */
+function _listReplicatedTables (db) {
+  return db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name LIKE '%_patches' AND name != 'pending_patches' ORDER BY name").pluck().all()
+    .map((name) => name.slice(0, -8));
+}
+
+/**
+ * Reads all rows of a table in a deterministic order
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} tableName
+ * @returns {Array<Object>}
+ */
+function _readTable (db, tableName) {
+  const _columns = db.prepare(`SELECT name FROM pragma_table_info('${tableName}') ORDER BY cid`).pluck().all();
+  return db.prepare(`SELECT * FROM ${tableName} ORDER BY ${_columns.join(', ')}`).all();
+}
+
+/**
+ * Mulberry32 pseudo-random generator
+ *
+ * @param {number} seed - 32 bits integer
+ * @returns {Function} random() returns a number between 0 (inclusive) and 1 (exclusive)
+ */
+function _createRandomGenerator (seed) {
+  let _state = seed >>> 0;
+  return () => {
+    _state = (_state + 0x6D2B79F5) >>> 0;
+    let _t = _state;
+    _t = Math.imul(_t ^ (_t >>> 15), _t | 1);
+    _t ^= _t + Math.imul(_t ^ (_t >>> 7), _t | 61);
+    return ((_t ^ (_t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = Simulator;
@@ -0,0 +1,575 @@
+/**
+ * TCP transport
+ *
+ * Connects the peers of a cluster over TCP, and calls app.addRemotePeer / app.closeRemotePeer automatically.
+ *
+ *   const TcpTransport = require('replic-sqlite/transport/tcp');
+ *   const transport = TcpTransport(app, { port : 9000, seeds : ['10.0.0.1:9000', '10.0.0.2:9000'] });
+ *   transport.start(callback);
+ *
+ * Frame format: [length (uint32 BE) of kind + payload] [kind (uint8)] [payload]
+ * Frames are limited to maxFrameSize bytes, and to 4KB until the handshake is complete.
+ * - HANDSHAKE       : JSON { peer, nonce } sent by both sides when the connection is opened. No other frame is accepted before it.
+ * - JSON            : replication message as a JSON string
+ * - BINARY          : replication message encoded by the codec of the app (see lib/codec.js)
+ * - HANDSHAKE_PROOF : JSON { peer, nonce, sig } sent by both sides after the HANDSHAKE if clusterSecrets is set.
+ *                     The nonce is the random nonce of the remote HANDSHAKE, and sig its HMAC signature (see lib/signature.js),
+ *                     so a recorded proof cannot be replayed. The remote peer is registered only once its proof is verified.
+ *
+ * Each seed is dialed, and dialed again with an exponential backoff (with jitter) when the connection is lost.
+ * The same seed list can be used on all peers: the seed of the peer itself is ignored after the handshake,
+ * and when two peers dial each other, only the connection opened by the peer with the lowest id is kept.
+ *
+ * With the discovery option, the addresses of the peers discovered by the app (app option discovery, event 'peer:discovered')
+ * are added to the seeds, so a new peer can join the whole cluster with only one seed. A discovered peer has only one address
+ * (the last advertised one), and it is forgotten if it is not connected during maxPeerDisconnectionToleranceMs.
+ */
+const net = require('net');
+const crypto = require('crypto');
+const Debugger = require('debug');
+const EventEmitter = require('node:events');
+const signature = require('../signature.js');
+
+const FRAME_HEADER_SIZE = 5;
+// Maximum size of a frame before the handshake is complete (HANDSHAKE and HANDSHAKE_PROOF are small JSON objects),
+// so an unauthenticated connection cannot make the peer buffer up to maxFrameSize bytes
+const MAX_HANDSHAKE_FRAME_SIZE = 4 * 1024;
+const FRAME_KINDS = {
+  HANDSHAKE       : 0,
+  JSON            : 1,
+  BINARY          : 2,
+  HANDSHAKE_PROOF : 3
+};
+
+/**
+ * Creates a TCP transport for an app
+ *
+ * @param {Object} app - The app returned by SQLiteOnSteroid
+ * @param {Object} options
+ * @param {number} [options.port] - Listening port. If not set, the transport only dials the seeds.
+ * @param {string} [options.host='0.0.0.0'] - Listening address
+ * @param {Array<string|{host: string, port: number}>} [options.seeds=[]] - Peers to dial: 'host:port' or { host, port }
+ * @param {Function} [options.policy] - (remotePeerId) => replication policy passed to app.addRemotePeer
+ * @param {boolean} [options.discovery=false] - Dial the peers discovered by the app
+ * @param {number} [options.maxPeerDisconnectionToleranceMs=300000] - A discovered peer is not dialed anymore if it is not connected during this period
+ * @param {string|Array<string>} [options.clusterSecrets] - Secrets which sign the handshake (the same as the clusterSecrets option of the app)
+ * @returns {Object} { start, stop, address, connectedPeers, event }
+ */
+const TcpTransport = (app, options) => {
+  const debug = Debugger(`${options?.debugPrefix ?? 'replic-sqlite'}:${app.myPeerId}:tcp`);
+
+  // Options
+  const PORT = options?.port ?? null;
+  const HOST = options?.host ?? '0.0.0.0';
+  const SOCKET_STRING_MODE = options?.socketStringMode ?? false;
+  const RECONNECT_MIN_DELAY_MS = options?.reconnectMinDelayMs ?? 100;
+  const RECONNECT_MAX_DELAY_MS = options?.reconnectMaxDelayMs ?? 30000;
+  const HANDSHAKE_TIMEOUT_MS = options?.handshakeTimeoutMs ?? 5000;
+  const KEEP_ALIVE_DELAY_MS = options?.keepAliveDelayMs ?? 10000;
+  const MAX_FRAME_SIZE = options?.maxFrameSize ?? 64 * 1024 * 1024;
+  const POLICY_FN = options?.policy ?? (() => undefined);
+  const DISCOVERY = options?.discovery ?? false;
+  const MAX_PEER_DISCONNECTION_TOLERANCE_MS = options?.maxPeerDisconnectionToleranceMs ?? 1000 * 60 * 5;
+  const CLUSTER_SECRETS = signature.getClusterSecrets(options?.clusterSecrets ?? []); // the first secret signs the handshake, all secrets are accepted
+
+  const eventEmitter = new EventEmitter();
+  // Seeds given in options
+  const seeds = (options?.seeds ?? []).map(_parseSeed);
+  // Seeds of the peers discovered by the app (discovery option), by peer id
+  const discoveredSeeds = new Map();
+  // Connection used for each remote peer id, after the handshake
+  const peerConnections = {};
+  // All open connections (with or without handshake), closed by stop()
+  const openConnections = new Set();
+  let server = null;
+  let isStarted = false;
+
+  /**
+   * Starts the server (if a port is set) and dials all seeds
+   *
+   * @param {Function} [callback] - callback(err) called when the server is listening
+   */
+  function start (callback) {
+    if (isStarted) {
+      return callback?.(new Error('The TCP transport is already started'));
+    }
+    isStarted = true;
+    if (DISCOVERY) {
+      app.event.on('peer:discovered', _onPeerDiscovered);
+    }
+    for (const _seed of seeds) {
+      _dial(_seed);
+    }
+    if (PORT === null) {
+      return callback?.(null);
+    }
+    const _onListenError = (err) => {
+      debug('cannot listen on %s:%d %s', HOST, PORT, err.message);
+      callback?.(err);
+    };
+    server = net.createServer((socket) => _openConnection(socket, null));
+    server.once('error', _onListenError);
+    server.listen(PORT, HOST, () => {
+      server.off('error', _onListenError);
+      server.on('error', (err) => debug('server error %s', err.message));
+      debug('listening on %s:%d', HOST, server.address().port);
+      callback?.(null);
+    });
+  }
+
+  /**
+   * Stops the server, the reconnection timers, and closes all connections (app.closeRemotePeer is called for each peer)
+   *
+   * @param {Function} [callback] - callback() called when the server is closed
+   */
+  function stop (callback) {
+    isStarted = false;
+    if (DISCOVERY) {
+      app.event.off('peer:discovered', _onPeerDiscovered);
+    }
+    for (const _seed of _getAllSeeds()) {
+      clearTimeout(_seed.timer);
+      _seed.timer = null;
+    }
+    for (const _connection of openConnections) {
+      _connection.socket.destroy();
+    }
+    if (!server) {
+      return callback?.();
+    }
+    server.close(() => callback?.());
+    server = null;
+  }
+
+  /**
+   * Returns the address of the server { address, family, port }, or null if it is not listening
+   */
+  function address () {
+    return server?.address() ?? null;
+  }
+
+  /**
+   * Returns the ids of the peers connected with this transport
+   *
+   * @returns {Array<number>}
+   */
+  function connectedPeers () {
+    return Object.keys(peerConnections).map((peerId) => parseInt(peerId, 10));
+  }
+
+  /**
+   * Dials a seed
+   *
+   * @param {Object} seed
+   */
+  function _dial (seed) {
+    if (!isStarted || seed.connection || seed.isMyself || seed.isRemoved) {
+      return;
+    }
+    debug('dial %s:%d', seed.host, seed.port);
+    seed.connection = _openConnection(net.connect({ host : seed.host, port : seed.port }), seed);
+  }
+
+  /**
+   * Returns the seeds given in options and the discovered seeds
+   *
+   * @returns {Array<Object>}
+   */
+  function _getAllSeeds () {
+    return [...seeds, ...discoveredSeeds.values()];
+  }
+
+  /**
+   * Adds the address of a peer discovered by the app to the seeds, and dials it if it is not connected.
+   * The previous address of this peer is replaced.
+   *
+   * @param {number} remotePeerId
+   * @param {string|Object} remoteAddress - 'host:port', '[ipv6]:port' or { host, port }
+   */
+  function _onPeerDiscovered (remotePeerId, remoteAddress) {
+    let _newSeed = null;
+    try {
+      _newSeed = _parseSeed(remoteAddress);
+    }
+    catch (e) {
+      debug('ignore discovered peer %d: %s', remotePeerId, e.message);
+      return;
+    }
+    if (seeds.some((seed) => seed.host === _newSeed.host && seed.port === _newSeed.port)) {
+      return;
+    }
+    const _previousSeed = discoveredSeeds.get(remotePeerId);
+    if (_previousSeed?.host === _newSeed.host && _previousSeed.port === _newSeed.port) {
+      return;
+    }
+    if (_previousSeed) {
+      debug('replace the address %s:%d of discovered peer %d', _previousSeed.host, _previousSeed.port, remotePeerId);
+      _removeDiscoveredSeed(_previousSeed);
+    }
+    debug('add discovered peer %d %s:%d', remotePeerId, _newSeed.host, _newSeed.port);
+    _newSeed.peerId = remotePeerId;
+    _newSeed.isDiscovered = true;
+    _newSeed.lastSeenAt = Date.now();
+    discoveredSeeds.set(remotePeerId, _newSeed);
+    if (!peerConnections[remotePeerId]) {
+      _dial(_newSeed);
+    }
+  }
+
+  /**
+   * Stops dialing a discovered seed. Its current connection, if any, is not closed.
+   *
+   * @param {Object} seed
+   */
+  function _removeDiscoveredSeed (seed) {
+    clearTimeout(seed.timer);
+    seed.timer = null;
+    seed.isRemoved = true;
+    for (const [_peerId, _seed] of discoveredSeeds) {
+      if (_seed === seed) {
+        discoveredSeeds.delete(_peerId);
+      }
+    }
+  }
+
+  /**
+   * Sets the last time a discovered peer was connected (see maxPeerDisconnectionToleranceMs)
+   *
+   * @param {number} peerId
+   */
+  function _touchDiscoveredSeed (peerId) {
+    const _seed = discoveredSeeds.get(peerId);
+    if (_seed) {
+      _seed.lastSeenAt = Date.now();
+    }
+  }
+
+  /**
+   * Dials a seed again after a delay which grows exponentially with the number of failed attempts
+   *
+   * @param {Object} seed
+   */
+  function _scheduleReconnect (seed) {
+    if (!isStarted || seed.timer || seed.connection || seed.isMyself || seed.isRemoved) {
+      return;
+    }
+    if (seed.isDiscovered && Date.now() - seed.lastSeenAt >= MAX_PEER_DISCONNECTION_TOLERANCE_MS) {
+      debug('forget discovered peer %d %s:%d (not connected for %d ms)', seed.peerId, seed.host, seed.port, Date.now() - seed.lastSeenAt);
+      _removeDiscoveredSeed(seed);
+      return;
+    }
+    const _delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_MIN_DELAY_MS * 2 ** seed.attempts);
+    const _jitteredDelay = Math.round(_delay / 2 + Math.random() * _delay / 2);
+    seed.attempts = Math.min(seed.attempts + 1, 30);
+    debug('reconnect %s:%d in %d ms', seed.host, seed.port, _jitteredDelay);
+    seed.timer = setTimeout(() => {
+      seed.timer = null;
+      _dial(seed);
+    }, _jitteredDelay);
+  }
+
+  /**
+   * Initializes a connection (inbound if seed is null, outbound otherwise), and sends the handshake
+   *
+   * @param {net.Socket} socket
+   * @param {Object|null} seed
+   * @returns {Object} connection
+   */
+  function _openConnection (socket, seed) {
+    const _connection = {
+      socket,
+      seed,
+      peerId         : null,
+      dialerPeerId   : seed ? app.myPeerId : null,
+      peerSocket     : new EventEmitter(), // socket given to app.addRemotePeer
+      nonce          : crypto.randomBytes(16).toString('base64url'), // signed by the remote peer in its handshake proof
+      remotePeerId   : null, // peer id of the received handshake, not verified yet
+      handshakeTimer : null,
+      receivedBuffer : null
+    };
+    _connection.peerSocket.send = (msg) => _sendMessage(_connection, msg);
+    _connection.peerSocket.close = () => socket.destroy(); // called by the app if the send queue of the peer is full
+    _connection.handshakeTimer = setTimeout(() => {
+      debug('handshake timeout');
+      socket.destroy();
+    }, HANDSHAKE_TIMEOUT_MS);
+    openConnections.add(_connection);
+    socket.setNoDelay(true);
+    socket.setKeepAlive(true, KEEP_ALIVE_DELAY_MS);
+    socket.on('data', (chunk) => _onData(_connection, chunk));
+    socket.on('error', (err) => debug('socket error %s', err.message));
+    socket.on('close', () => _onClose(_connection));
+    socket.on('drain', () => _connection.peerSocket.emit('drain')); // resume the send queue of the app after backpressure
+    _writeFrame(socket, FRAME_KINDS.HANDSHAKE, JSON.stringify({ peer : app.myPeerId, nonce : _connection.nonce }));
+    return _connection;
+  }
+
+  /**
+   * Splits received data in frames. A frame can be received in several chunks, and a chunk can contain several frames.
+   * The connection is closed if a frame is bigger than MAX_HANDSHAKE_FRAME_SIZE before the handshake, or than maxFrameSize after.
+   *
+   * @param {Object} connection
+   * @param {Buffer} chunk
+   */
+  function _onData (connection, chunk) {
+    let _buffer = connection.receivedBuffer ? Buffer.concat([connection.receivedBuffer, chunk]) : chunk;
+    while (_buffer.length >= FRAME_HEADER_SIZE) {
+      const _length = _buffer.readUInt32BE(0);
+      const _maxFrameSize = connection.peerId === null ? MAX_HANDSHAKE_FRAME_SIZE : MAX_FRAME_SIZE;
+      if (_length < 1 || _length > _maxFrameSize) {
+        debug('invalid frame length %d', _length);
+        connection.socket.destroy();
+        return;
+      }
+      if (_buffer.length < _length + 4) {
+        break;
+      }
+      _onFrame(connection, _buffer[4], _buffer.subarray(FRAME_HEADER_SIZE, _length + 4));
+      if (connection.socket.destroyed) {
+        return;
+      }
+      _buffer = _buffer.subarray(_length + 4);
+    }
+    connection.receivedBuffer = _buffer.length > 0 ? _buffer : null;
+  }
+
+  /**
+   * Handles a received frame
+   *
+   * @param {Object} connection
+   * @param {number} kind - FRAME_KINDS
+   * @param {Buffer} payload
+   */
+  function _onFrame (connection, kind, payload) {
+    if (connection.peerId === null) {
+      _onHandshakeFrame(connection, kind, payload);
+      return;
+    }
+    switch (kind) {
+      case FRAME_KINDS.JSON: {
+        const _msgString = payload.toString('utf8');
+        if (SOCKET_STRING_MODE) {
+          connection.peerSocket.emit('message', _msgString, false);
+          return;
+        }
+        let _msg;
+        try {
+          _msg = JSON.parse(_msgString);
+        }
+        catch (e) {
+          debug('invalid JSON message %s', e.message);
+          return;
+        }
+        connection.peerSocket.emit('message', _msg, false);
+        return;
+      }
+      case FRAME_KINDS.BINARY:
+        connection.peerSocket.emit('message', payload, true);
+        return;
+      default:
+        debug('ignore frame of kind %d', kind);
+    }
+  }
+
+  /**
+   * Handles a frame received before the handshake is complete.
+   *
+   * Without clusterSecrets, the HANDSHAKE frame is enough. Otherwise, the remote peer must send the HANDSHAKE_PROOF of its peer id,
+   * signed with one of the secrets. The connection is closed if a frame is unexpected or invalid.
+   *
+   * @param {Object} connection
+   * @param {number} kind - FRAME_KINDS
+   * @param {Buffer} payload
+   */
+  function _onHandshakeFrame (connection, kind, payload) {
+    const _expectedKind = connection.remotePeerId === null ? FRAME_KINDS.HANDSHAKE : FRAME_KINDS.HANDSHAKE_PROOF;
+    if (kind !== _expectedKind) {
+      debug('message received before the handshake');
+      connection.socket.destroy();
+      return;
+    }
+    let _msg = null;
+    try {
+      _msg = JSON.parse(payload.toString('utf8'));
+    }
+    catch (e) {
+      debug('invalid handshake %s', e.message);
+    }
+    const _remotePeerId = parseInt(_msg?.peer, 10);
+    if (isNaN(_remotePeerId)) {
+      connection.socket.destroy();
+      return;
+    }
+    if (kind === FRAME_KINDS.HANDSHAKE) {
+      if (CLUSTER_SECRETS.length === 0) {
+        return _onHandshake(connection, _remotePeerId);
+      }
+      if (typeof _msg.nonce !== 'string' || _msg.nonce.length === 0) {
+        debug('handshake without nonce');
+        connection.socket.destroy();
+        return;
+      }
+      connection.remotePeerId = _remotePeerId;
+      const _proof = { peer : app.myPeerId, nonce : _msg.nonce };
+      _writeFrame(connection.socket, FRAME_KINDS.HANDSHAKE_PROOF, JSON.stringify({ ..._proof, sig : signature.sign(_proof, CLUSTER_SECRETS[0]) }));
+      return;
+    }
+    if (_remotePeerId !== connection.remotePeerId || _msg.nonce !== connection.nonce || !signature.verify(_msg, CLUSTER_SECRETS)) {
+      debug('invalid handshake signature of peer %d', connection.remotePeerId);
+      connection.socket.destroy();
+      return;
+    }
+    _onHandshake(connection, _remotePeerId);
+  }
+
+  /**
+   * Registers the remote peer in the app once the handshake is received (and verified if clusterSecrets is set).
+   *
+   * If there is already a connection with this peer (both peers have dialed each other, or the remote peer has reconnected),
+   * the connection opened by the peer with the lowest id is kept. Both peers apply the same rule, so they keep the same connection.
+   *
+   * @param {Object} connection
+   * @param {number} remotePeerId
+   */
+  function _onHandshake (connection, remotePeerId) {
+    clearTimeout(connection.handshakeTimer);
+    if (remotePeerId === app.myPeerId) {
+      debug('connected to myself. Ignore this seed.');
+      if (connection.seed) {
+        connection.seed.isMyself = true;
+      }
+      connection.socket.destroy();
+      return;
+    }
+    connection.peerId = remotePeerId;
+    if (connection.seed) {
+      connection.seed.peerId = remotePeerId;
+      connection.seed.attempts = 0;
+    }
+    else {
+      connection.dialerPeerId = remotePeerId;
+    }
+    const _existingConnection = peerConnections[remotePeerId];
+    if (_existingConnection) {
+      const _keptDialerPeerId = Math.min(app.myPeerId, remotePeerId);
+      if (connection.dialerPeerId !== _keptDialerPeerId && _existingConnection.dialerPeerId === _keptDialerPeerId) {
+        debug('duplicated connection with peer %d', remotePeerId);
+        connection.socket.destroy();
+        return;
+      }
+      debug('replace the connection with peer %d', remotePeerId);
+      peerConnections[remotePeerId] = connection; // set before destroy, so the old connection does not close the remote peer in the app
+      _existingConnection.socket.destroy();
+    }
+    peerConnections[remotePeerId] = connection;
+    _touchDiscoveredSeed(remotePeerId);
+    debug('connected to peer %d', remotePeerId);
+    app.addRemotePeer(remotePeerId, connection.peerSocket, POLICY_FN(remotePeerId));
+    eventEmitter.emit('peer:connected', remotePeerId);
+  }
+
+  /**
+   * Closes the remote peer in the app if it was its connection, and dials the seed again if needed
+   *
+   * @param {Object} connection
+   */
+  function _onClose (connection) {
+    clearTimeout(connection.handshakeTimer);
+    openConnections.delete(connection);
+    const _peerId = connection.peerId;
+    if (_peerId !== null && peerConnections[_peerId] === connection) {
+      delete peerConnections[_peerId];
+      _touchDiscoveredSeed(_peerId);
+      debug('disconnected from peer %d', _peerId);
+      app.closeRemotePeer(_peerId);
+      eventEmitter.emit('peer:disconnected', _peerId);
+      // Seeds of this peer which were not dialed because this connection was kept
+      for (const _seed of _getAllSeeds()) {
+        if (_seed.peerId === _peerId && _seed !== connection.seed) {
+          _scheduleReconnect(_seed);
+        }
+      }
+    }
+    if (connection.seed) {
+      connection.seed.connection = null;
+      // Do not dial the seed while another connection with the same peer is used
+      if (connection.seed.peerId === null || !peerConnections[connection.seed.peerId]) {
+        _scheduleReconnect(connection.seed);
+      }
+    }
+  }
+
+  /**
+   * Sends a message given by the app to socket.send
+   *
+   * @param {Object} connection
+   * @param {Object|string|Buffer} msg - Object, JSON string (socketStringMode) or binary message encoded by the codec
+   * @returns {boolean} false if the socket buffer is full (backpressure). The peer socket emits 'drain' when it is empty again.
+   */
+  function _sendMessage (connection, msg) {
+    if (connection.socket.destroyed) {
+      return true;
+    }
+    if (Buffer.isBuffer(msg)) {
+      return _writeFrame(connection.socket, FRAME_KINDS.BINARY, msg);
+    }
+    return _writeFrame(connection.socket, FRAME_KINDS.JSON, typeof msg === 'string' ? msg : JSON.stringify(msg));
+  }
+
+  /**
+   * Writes a frame in one write call
+   *
+   * @param {net.Socket} socket
+   * @param {number} kind - FRAME_KINDS
+   * @param {string|Buffer} payload
+   * @returns {boolean} result of socket.write
+   */
+  function _writeFrame (socket, kind, payload) {
+    const _payload = typeof payload === 'string' ? Buffer.from(payload, 'utf8') : payload;
+    const _header = Buffer.allocUnsafe(FRAME_HEADER_SIZE);
+    _header.writeUInt32BE(_payload.length + 1, 0);
+    _header[4] = kind;
+    return socket.write(Buffer.concat([_header, _payload]));
+  }
+
+  return {
+    start,
+    stop,
+    address,
+    connectedPeers,
+    event : eventEmitter
+  };
+};
+
+/**
+ * Parses a seed 'host:port', '[ipv6]:port' or { host, port }
+ *
+ * @param {string|Object} seed
+ * @returns {Object} seed state { host, port, peerId, connection, timer, attempts, isMyself, isDiscovered, lastSeenAt, isRemoved }
+ */
+function _parseSeed (seed) {
+  let _host = seed?.host;
+  let _port = seed?.port;
+  if (typeof seed === 'string') {
+    const _separatorIndex = seed.lastIndexOf(':');
+    _host = seed.slice(0, _separatorIndex).replace(/^\[(.*)\]$/, '$1');
+    _port = parseInt(seed.slice(_separatorIndex + 1), 10);
+  }
+  if (typeof _host !== 'string' || _host.length === 0 || !Number.isInteger(_port) || _port <= 0 || _port > 65535) {
+    throw new Error(`Invalid seed ${JSON.stringify(seed)}. Expected "host:port" or { host, port }`);
+  }
+  return {
+    host         : _host,
+    port         : _port,
+    peerId       : null,
+    connection   : null,
+    timer        : null,
+    attempts     : 0,
+    isMyself     : false,
+    isDiscovered : false, // discovered by the app (discovery option)
+    lastSeenAt   : null, // last connection or disconnection of a discovered peer
+    isRemoved    : false // discovered seed replaced by another address, or forgotten
+  };
+}
+
+module.exports = TcpTransport;
@@ -1,5 +1,6 @@
 #include <sqlite3ext.h>
 #include <stddef.h>  // <-- Add this line for NULL
+#include <limits.h>  // LLONG_MAX, LLONG_MIN
 SQLITE_EXTENSION_INIT1
 
 typedef struct {
@@ -67,6 +68,57 @@ static void keep_last_finalize(sqlite3_context *ctx) {
     }
 }
 
+typedef struct {
+    char hasValue;    /* True if at least one non-NULL value was summed */
+    char isReal;      /* True if the sum must be returned as a REAL (REAL value or integer overflow) */
+    sqlite3_int64 int_sum;
+    double real_sum;
+} KeepSumCtx;
+
+/*
+ * keep_sum(value): sum of increments of counter columns.
+ * Unlike sum(), it never fails: an integer overflow switches to a REAL sum like total(),
+ * because an error would block the merge of all patches of the table forever.
+ * NULL values are ignored. Returns NULL if there is no value.
+ */
+static void keep_sum_step(sqlite3_context *ctx, int argc, sqlite3_value **argv) {
+    KeepSumCtx *p = (KeepSumCtx *)sqlite3_aggregate_context(ctx, sizeof(*p));
+    if( p==0 ) return;  // Handle allocation failure
+
+    int type = sqlite3_value_numeric_type(argv[0]);
+    if (type == SQLITE_NULL) {
+        return;
+    }
+    p->hasValue = 1;
+    if (type == SQLITE_INTEGER && !p->isReal) {
+        sqlite3_int64 value = sqlite3_value_int64(argv[0]);
+        if ((value > 0 && p->int_sum > LLONG_MAX - value) || (value < 0 && p->int_sum < LLONG_MIN - value)) {
+            p->isReal = 1;
+            p->real_sum = (double)p->int_sum + (double)value;
+        }
+        else {
+            p->int_sum += value;
+        }
+        return;
+    }
+    if (!p->isReal) {
+        p->isReal = 1;
+        p->real_sum = (double)p->int_sum;
+    }
+    p->real_sum += sqlite3_value_double(argv[0]);
+}
+
+static void keep_sum_finalize(sqlite3_context *ctx) {
+    KeepSumCtx *p = (KeepSumCtx *)sqlite3_aggregate_context(ctx, 0);
+    if (p == 0 || !p->hasValue) {
+        sqlite3_result_null(ctx);
+    } else if (p->isReal) {
+        sqlite3_result_double(ctx, p->real_sum);
+    } else {
+        sqlite3_result_int64(ctx, p->int_sum);
+    }
+}
+
 #ifdef _WIN32
 __declspec(dllexport)
 #endif
@@ -101,6 +153,20 @@ int sqlite3_keeplast_init(sqlite3 *db, char **pzErrMsg, const sqlite3_api_routin
             keep_last_finalize
         );
     }
+
+    if (rc == SQLITE_OK) {
+        // Register the aggregate function of counter columns
+        rc = sqlite3_create_function(
+            db,
+            "keep_sum",
+            1,
+            SQLITE_UTF8|SQLITE_INNOCUOUS|SQLITE_DETERMINISTIC,
+            0,
+            0,
+            keep_sum_step,
+            keep_sum_finalize
+        );
+    }
         
     return rc;
 }
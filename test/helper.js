@@ -1,5 +1,9 @@
 
 
+const EventEmitter = require('events');
+const Database = require('better-sqlite3');
+const SQLiteOnSteroid = require('../lib/index.js');
+
 function removeLastTimestampInStats (stat) {
   const _newStat = {};
   for (const key in stat) {
@@ -22,8 +26,50 @@ function simplifyStats (patches) {
   return patches;
 }
 
+/**
+ * Starts the peer 1 on an in-memory database migrated with schema, and connects remote peers with EventEmitter sockets.
+ * Remote peers are simulated by the test: messages are emitted on their socket, and sent messages are given to onSend.
+ *
+ * @param {string} schema - SQL of the first migration
+ * @param {Object} [appOptions]
+ * @param {Array<number>} remotePeerIds
+ * @param {Function} onSend - onSend(remotePeerId, message) with a JSON copy of the message. Its return value is returned by socket.send (backpressure).
+ * @returns {Object} { db, app, sockets : { remotePeerId : socket } }
+ */
+function startPeer (schema, appOptions, remotePeerIds, onSend) {
+  const db = new Database(':memory:');
+  const app = SQLiteOnSteroid(db, 1, appOptions);
+  app.migrate([{ up : schema, down : ''}]);
+  const sockets = {};
+  for (const _peerId of remotePeerIds) {
+    sockets[_peerId] = new EventEmitter();
+    sockets[_peerId].send = (message) => onSend(_peerId, JSON.parse(JSON.stringify(message)));
+    app.addRemotePeer(_peerId, sockets[_peerId]);
+  }
+  return { db, app, sockets };
+}
+
+/**
+ * Upserts the rows 1 to nbRows of the table testA
+ *
+ * @param {Object} app
+ * @param {number} nbRows
+ * @param {Function} callback
+ */
+function upsertRows (app, nbRows, callback) {
+  let _nbUpserted = 0;
+  for (let i = 1; i <= nbRows; i++) {
+    app.upsert('testA', { id : i, tenantId : 1, name : 'row ' + i }, () => {
+      if (++_nbUpserted === nbRows) {
+        callback();
+      }
+    });
+  }
+}
 
 module.exports = {
   removeLastTimestampInStats,
-  simplifyStats
+  simplifyStats,
+  startPeer,
+  upsertRows
 };
\ No newline at end of file
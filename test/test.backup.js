@@ -0,0 +1,619 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const EventEmitter = require('events');
+const Database = require('better-sqlite3');
+const SQLiteOnSteroid = require('../lib/index.js');
+const LocalStorage = require('../backup/local.js');
+const ObjectStorage = require('../backup/object.js');
+const { generateBackupName, parseBackupName, selectBackupsToRestore, selectBackupsToDelete } = require('../lib/backup/retention.js');
+const hlc = require('../lib/hlc.js');
+
+describe('backup', function () {
+
+  const _testSchema = `
+    CREATE TABLE testA (
+      id            INTEGER NOT NULL,
+      tenantId      INTEGER NOT NULL,
+      name          TEXT,
+      PRIMARY KEY (id, tenantId)
+    ) STRICT;
+
+    CREATE TABLE testA_patches (
+      _patchedAt    INTEGER  NOT NULL,
+      _sequenceId   INTEGER  NOT NULL,
+      _peerId       INTEGER  NOT NULL,
+
+      id            INTEGER NOT NULL,
+      tenantId      INTEGER NOT NULL,
+      name          TEXT
+    ) STRICT;
+
+    CREATE INDEX testA_patches_at_idx ON testA_patches (_patchedAt);
+  `;
+
+  let testDir = null;
+
+  beforeEach (function () {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replic-sqlite-test-backup-'));
+  });
+
+  afterEach (function () {
+    fs.rmSync(testDir, { recursive : true, force : true });
+    hlc._reset();
+  });
+
+  // Stand-in of a Swift object storage container, which stores objects in memory
+  function createObjectStorageServer (callback) {
+    const _objects = {};
+    const _requests = [];
+    const _server = http.createServer((req, res) => {
+      const _url = new URL(req.url, 'http://localhost');
+      _requests.push(`${req.method} ${req.url} ${req.headers['x-auth-token']}`);
+      const _name = decodeURIComponent(_url.pathname.slice('/v1/AUTH_test/backups/'.length));
+      if (_url.pathname === '/v1/AUTH_test/backups' && req.method === 'GET') {
+        const _limit = parseInt(_url.searchParams.get('limit'), 10);
+        const _names = Object.keys(_objects).sort()
+          .filter((name) => name.startsWith(_url.searchParams.get('prefix')) && name > _url.searchParams.get('marker'))
+          .slice(0, _limit);
+        res.setHeader('Content-Type', 'application/json');
+        return res.end(JSON.stringify(_names.map((name) => ({ name, bytes : _objects[name].length, last_modified : '2026-10-18T02:00:00.123456' }))));
+      }
+      if (req.method === 'PUT') {
+        const _chunks = [];
+        req.on('data', (chunk) => _chunks.push(chunk));
+        req.on('end', () => {
+          _objects[_name] = Buffer.concat(_chunks);
+          res.statusCode = 201;
+          res.end();
+        });
+        return;
+      }
+      if (_objects[_name] === undefined) {
+        res.statusCode = 404;
+        return res.end();
+      }
+      if (req.method === 'GET') {
+        return res.end(_objects[_name]);
+      }
+      if (req.method === 'DELETE') {
+        delete _objects[_name];
+        res.statusCode = 204;
+        return res.end();
+      }
+      res.statusCode = 405;
+      res.end();
+    });
+    _server.listen(0, '127.0.0.1', () => callback(_server, _objects, _requests));
+  }
+
+  // Runs the put, list, get and delete functions of a storage
+  function testStorage (storage, callback) {
+    const _sourcePath = path.join(testDir, 'source.sqlite');
+    const _restoredPath = path.join(testDir, 'restored.sqlite');
+    fs.writeFileSync(_sourcePath, 'backup content');
+    storage.list((err, backups) => {
+      assert.strictEqual(err, null);
+      assert.deepStrictEqual(backups, []);
+      storage.put('2026-10-18T02-00-00-000Z.scheduled.sqlite', _sourcePath, (err) => {
+        assert.strictEqual(err, null);
+        storage.put('2026-10-17T02-00-00-000Z.scheduled.sqlite', _sourcePath, (err) => {
+          assert.strictEqual(err, null);
+          storage.list((err, backups) => {
+            assert.strictEqual(err, null);
+            assert.deepStrictEqual(backups.map((backup) => [backup.name, backup.size]), [
+              ['2026-10-17T02-00-00-000Z.scheduled.sqlite', 14],
+              ['2026-10-18T02-00-00-000Z.scheduled.sqlite', 14]
+            ]);
+            assert.strictEqual(backups[0].createdAt > 0, true);
+            storage.get('2026-10-18T02-00-00-000Z.scheduled.sqlite', _restoredPath, (err) => {
+              assert.strictEqual(err, null);
+              assert.strictEqual(fs.readFileSync(_restoredPath, 'utf8'), 'backup content');
+              storage.get('unknown.sqlite', _restoredPath, (err) => {
+                assert.notStrictEqual(err, null);
+                storage.delete('2026-10-17T02-00-00-000Z.scheduled.sqlite', (err) => {
+                  assert.strictEqual(err, null);
+                  storage.delete('2026-10-17T02-00-00-000Z.scheduled.sqlite', (err) => {
+                    assert.strictEqual(err, null, 'deleting a backup which does not exist is not an error');
+                    storage.list((err, backups) => {
+                      assert.deepStrictEqual(backups.map((backup) => backup.name), ['2026-10-18T02-00-00-000Z.scheduled.sqlite']);
+                      callback();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+
+  describe('retention', function () {
+
+    it('should generate backup names sorted in chronological order, and parse them', function () {
+      const _name = generateBackupName('scheduled', Date.UTC(2026, 9, 18, 2, 0, 0, 12));
+      assert.strictEqual(_name, '2026-10-18T02-00-00-012Z.scheduled.sqlite');
+      assert.deepStrictEqual(parseBackupName(_name), { createdAt : Date.UTC(2026, 9, 18, 2, 0, 0, 12), trigger : 'scheduled', watermark : null });
+      const _nameWithWatermark = generateBackupName('incremental', Date.UTC(2026, 9, 18, 2, 0, 0, 12), 123456789);
+      assert.strictEqual(_nameWithWatermark, '2026-10-18T02-00-00-012Z.incremental.123456789.sqlite');
+      assert.deepStrictEqual(parseBackupName(_nameWithWatermark), { createdAt : Date.UTC(2026, 9, 18, 2, 0, 0, 12), trigger : 'incremental', watermark : 123456789 });
+      assert.strictEqual(generateBackupName('../other', 0), '1970-01-01T00-00-00-000Z.___other.sqlite');
+      assert.strictEqual(parseBackupName('other.sqlite'), null);
+      assert.strictEqual(generateBackupName('scheduled', Date.UTC(2026, 9, 9)) < generateBackupName('scheduled', Date.UTC(2026, 9, 10)), true);
+    });
+
+    it('should keep the most recent backup of the last N days and weeks', function () {
+      const _names = [];
+      // 30 days (from Monday 2026-09-21 to Tuesday 2026-10-20), with two backups per day
+      for (let _day = 0; _day < 30; _day++) {
+        _names.push(generateBackupName('scheduled', Date.UTC(2026, 8, 21 + _day, 2)));
+        _names.push(generateBackupName('scheduled', Date.UTC(2026, 8, 21 + _day, 14)));
+      }
+      _names.push('manual-copy.sqlite');
+      assert.deepStrictEqual(selectBackupsToDelete(_names, {}), []);
+      assert.deepStrictEqual(selectBackupsToDelete(_names, null), []);
+      const _keptNames = (retention) => {
+        const _toDelete = selectBackupsToDelete(_names, retention);
+        return _names.filter((name) => _toDelete.includes(name) === false);
+      };
+      assert.deepStrictEqual(_keptNames({ daily : 2 }), [
+        '2026-10-19T14-00-00-000Z.scheduled.sqlite',
+        '2026-10-20T14-00-00-000Z.scheduled.sqlite',
+        'manual-copy.sqlite'
+      ]);
+      // weeks start on Monday
+      assert.deepStrictEqual(_keptNames({ weekly : 3 }), [
+        '2026-10-11T14-00-00-000Z.scheduled.sqlite',
+        '2026-10-18T14-00-00-000Z.scheduled.sqlite',
+        '2026-10-20T14-00-00-000Z.scheduled.sqlite',
+        'manual-copy.sqlite'
+      ]);
+      assert.deepStrictEqual(_keptNames({ daily : 3, weekly : 2 }), [
+        '2026-10-18T14-00-00-000Z.scheduled.sqlite',
+        '2026-10-19T14-00-00-000Z.scheduled.sqlite',
+        '2026-10-20T14-00-00-000Z.scheduled.sqlite',
+        'manual-copy.sqlite'
+      ]);
+      // backups to delete are sorted from the oldest
+      assert.strictEqual(selectBackupsToDelete(_names, { daily : 1 })[0], '2026-09-21T02-00-00-000Z.scheduled.sqlite');
+    });
+
+    it('should select the latest full backup and the incremental backups made after it', function () {
+      const _names = [
+        '2026-10-17T01-00-00-000Z.scheduled.100.sqlite',
+        '2026-10-17T13-00-00-000Z.incremental.200.sqlite',
+        '2026-10-18T01-00-00-000Z.scheduled.300.sqlite',
+        '2026-10-18T13-00-00-000Z.incremental.400.sqlite',
+        '2026-10-18T07-00-00-000Z.incremental.350.sqlite',
+        'readme.txt'
+      ];
+      assert.deepStrictEqual(selectBackupsToRestore(_names), {
+        fullBackupName         : '2026-10-18T01-00-00-000Z.scheduled.300.sqlite',
+        incrementalBackupNames : ['2026-10-18T07-00-00-000Z.incremental.350.sqlite', '2026-10-18T13-00-00-000Z.incremental.400.sqlite']
+      });
+      assert.deepStrictEqual(selectBackupsToRestore(['2026-10-18T13-00-00-000Z.incremental.400.sqlite']), { fullBackupName : null, incrementalBackupNames : [] });
+      // incremental backups of older full backups are deleted, and they are not counted as daily backups
+      assert.deepStrictEqual(selectBackupsToDelete(_names, { daily : 2 }), ['2026-10-17T13-00-00-000Z.incremental.200.sqlite']);
+      assert.deepStrictEqual(selectBackupsToDelete(_names, { daily : 1 }), ['2026-10-17T01-00-00-000Z.scheduled.100.sqlite', '2026-10-17T13-00-00-000Z.incremental.200.sqlite']);
+    });
+  });
+
+  describe('storage', function () {
+
+    it('should put, list, get and delete backups in a local directory', function (done) {
+      const _storage = LocalStorage({ directory : path.join(testDir, 'backups') });
+      testStorage(_storage, () => {
+        // files being written are not listed
+        fs.writeFileSync(path.join(testDir, 'backups', 'partial.sqlite.tmp'), '');
+        _storage.list((err, backups) => {
+          assert.strictEqual(backups.length, 1);
+          _storage.put('../escape.sqlite', path.join(testDir, 'source.sqlite'), (err) => {
+            assert.match(err.message, /Invalid backup name "..\/escape.sqlite"/);
+            assert.throws(() => LocalStorage({ directory : 'relative' }), /must be an absolute path/);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should put, list, get and delete backups in an object storage', function (done) {
+      createObjectStorageServer((server, objects, requests) => {
+        const _url = `http://127.0.0.1:${server.address().port}/v1/AUTH_test/backups`;
+        let _token = 'token1';
+        const _storage = ObjectStorage({ url : _url, headers : () => ({ 'X-Auth-Token' : _token }), prefix : 'db 1/' });
+        testStorage(_storage, () => {
+          assert.deepStrictEqual(Object.keys(objects), ['db 1/2026-10-18T02-00-00-000Z.scheduled.sqlite']);
+          assert.strictEqual(requests[1], 'PUT /v1/AUTH_test/backups/db%201/2026-10-18T02-00-00-000Z.scheduled.sqlite token1');
+          _token = 'token2';
+          _storage.list((err, backups) => {
+            assert.strictEqual(err, null);
+            assert.deepStrictEqual(backups, [{ name : '2026-10-18T02-00-00-000Z.scheduled.sqlite', size : 14, createdAt : Date.UTC(2026, 9, 18, 2, 0, 0, 123) }]);
+            assert.strictEqual(requests[requests.length - 1], 'GET /v1/AUTH_test/backups?format=json&prefix=db+1%2F&limit=10000&marker= token2');
+            server.close(done);
+          });
+        });
+      });
+    });
+
+    it('should return an error if the object storage is not reachable', function (done) {
+      createObjectStorageServer((server) => {
+        const _url = `http://127.0.0.1:${server.address().port}/v1/AUTH_test/backups`;
+        server.close(() => {
+          ObjectStorage({ url : _url }).list((err) => {
+            assert.strictEqual(err.code, 'ECONNREFUSED');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('app', function () {
+
+    function createApp (options) {
+      const _db = new Database(':memory:');
+      const _app = SQLiteOnSteroid(_db, 1, { heartbeatIntervalMs : 0, ...options });
+      _app.migrate([{ up : _testSchema, down : '' }]);
+      return { db : _db, app : _app };
+    }
+
+    it('should store the backup in the backup storage and apply the retention policy', function (done) {
+      const _storage = LocalStorage({ directory : path.join(testDir, 'backups') });
+      const _source = path.join(testDir, 'source.sqlite');
+      fs.writeFileSync(_source, '');
+      // backups of previous days
+      const _oldNames = [1, 2, 3].map((day) => generateBackupName('scheduled', Date.now() - day * 24 * 60 * 60 * 1000));
+      fs.mkdirSync(path.join(testDir, 'backups'));
+      for (const _name of _oldNames) {
+        fs.copyFileSync(_source, path.join(testDir, 'backups', _name));
+      }
+      const { db, app } = createApp({ backupStorage : _storage, backupRetention : { daily : 2 } });
+      app.upsert('testA', { id : 1, tenantId : 1, name : 'backup' }, () => {
+        app.backupDatabase('manual', (err, trigger, backupName) => {
+          assert.strictEqual(err, null);
+          assert.strictEqual(trigger, 'manual');
+          assert.deepStrictEqual(parseBackupName(backupName).trigger, 'manual');
+          _storage.list((err, backups) => {
+            assert.deepStrictEqual(backups.map((backup) => backup.name), [_oldNames[0], backupName]);
+            _storage.get(backupName, path.join(testDir, 'restored.sqlite'), (err) => {
+              assert.strictEqual(err, null);
+              const _restoredDb = new Database(path.join(testDir, 'restored.sqlite'));
+              assert.deepStrictEqual(_restoredDb.prepare('SELECT name FROM testA').pluck().all(), ['backup']);
+              _restoredDb.close();
+              assert.deepStrictEqual(fs.readdirSync(os.tmpdir()).filter((file) => file.startsWith('replic-sqlite-backup-1-')), []);
+              app.exit();
+              db.close();
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should emit backup:failed if the backup storage fails', function (done) {
+      const _storage = LocalStorage({ directory : path.join(testDir, 'backups') });
+      _storage.put = (name, filePath, callback) => callback(new Error('storage is full'));
+      const { db, app } = createApp({ backupStorage : _storage });
+      app.event.once('backup:failed', (trigger, backupName) => {
+        assert.strictEqual(trigger, 'scheduled');
+        assert.strictEqual(parseBackupName(backupName).trigger, 'scheduled');
+        assert.strictEqual(app.metrics().includes('_last_successful_backup_timestamp{peer="1"} 0'), true);
+        app.exit();
+        db.close();
+        done();
+      });
+      app.backupDatabase({});
+    });
+
+    it('should throw if the backup storage does not implement the storage interface', function () {
+      assert.throws(() => SQLiteOnSteroid(new Database(':memory:'), 1, { heartbeatIntervalMs : 0, backupStorage : { put () {} } }), /The backup storage must implement put, list, get and delete/);
+    });
+  });
+
+  describe('restore', function () {
+
+    let peers = [];
+
+    afterEach (function () {
+      for (const _peer of peers) {
+        _peer.app.exit();
+        _peer.db.close();
+      }
+      peers = [];
+    });
+
+    function createPeer (peerId, options) {
+      const _db = new Database(':memory:');
+      const _peer = { peerId, db : _db, app : SQLiteOnSteroid(_db, peerId, { heartbeatIntervalMs : 0, ...options }) };
+      peers.push(_peer);
+      return _peer;
+    }
+
+    // Connects two peers with in-memory sockets
+    function connectPeers (peerA, peerB) {
+      const _socketAtoB = new EventEmitter();
+      const _socketBtoA = new EventEmitter();
+      _socketAtoB.send = (msg) => setImmediate(() => _socketBtoA.emit('message', msg, Buffer.isBuffer(msg)));
+      _socketBtoA.send = (msg) => setImmediate(() => _socketAtoB.emit('message', msg, Buffer.isBuffer(msg)));
+      peerA.app.addRemotePeer(peerB.peerId, _socketAtoB);
+      peerB.app.addRemotePeer(peerA.peerId, _socketBtoA);
+    }
+
+    // Runs heartbeats on all peers until fn() returns true
+    function heartbeatUntil (fn, callback) {
+      if (fn()) {
+        return callback();
+      }
+      for (const _peer of peers) {
+        _peer.app._flushSendQueues();
+        _peer.app._generatePingStatMessage();
+        _peer.app._detectAndRequestMissingPatches();
+      }
+      setTimeout(heartbeatUntil, 10, fn, callback);
+    }
+
+    it('should restore the latest backup in an empty database, then request the patches produced since the backup', function (done) {
+      const _storage = LocalStorage({ directory : path.join(testDir, 'backups') });
+      const _peer1 = createPeer(1, { backupStorage : _storage });
+      _peer1.app.migrate([{ up : _testSchema, down : '' }]);
+      _peer1.app.upsert('testA', { id : 1, tenantId : 1, name : 'before backup' }, () => {
+        _peer1.app.backupDatabase('scheduled', (err, trigger, backupName) => {
+          assert.strictEqual(err, null);
+          // older backups and other files are ignored
+          fs.writeFileSync(path.join(testDir, 'backups', generateBackupName('scheduled', Date.now() - 1000)), 'old backup');
+          fs.writeFileSync(path.join(testDir, 'backups', 'readme.txt'), 'not a backup');
+          _peer1.app.upsert('testA', { id : 2, tenantId : 1, name : 'after backup' }, () => {
+            const _peer2 = createPeer(2, { backupStorage : _storage });
+            _peer2.app.restore((err, restoredBackupName) => {
+              assert.strictEqual(err, null);
+              assert.strictEqual(restoredBackupName, backupName);
+              _peer2.app.migrate([{ up : _testSchema, down : '' }]);
+              assert.deepStrictEqual(_peer2.db.prepare('SELECT name FROM testA ORDER BY id').pluck().all(), ['before backup']);
+              connectPeers(_peer1, _peer2);
+              heartbeatUntil(() => _peer2.db.prepare('SELECT COUNT(*) FROM testA').pluck().get() === 2, () => {
+                assert.deepStrictEqual(_peer2.db.prepare('SELECT name FROM testA ORDER BY id').pluck().all(), ['before backup', 'after backup']);
+                assert.deepStrictEqual(fs.readdirSync(os.tmpdir()).filter((file) => file.startsWith('replic-sqlite-restore-2-')), []);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should not restore anything if the database is not empty or if there is no backup', function (done) {
+      const _storage = LocalStorage({ directory : path.join(testDir, 'backups') });
+      const _peer1 = createPeer(1, { backupStorage : _storage });
+      _peer1.app.restore((err, backupName) => {
+        assert.strictEqual(err, null);
+        assert.strictEqual(backupName, null);
+        _peer1.app.migrate([{ up : _testSchema, down : '' }]);
+        _peer1.app.backupDatabase('scheduled', (err) => {
+          assert.strictEqual(err, null);
+          _peer1.app.restore((err, backupName) => {
+            assert.strictEqual(err, null);
+            assert.strictEqual(backupName, null);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should make incremental backups with the patches received since the previous backup, and restore them after the full backup', function (done) {
+      const _storage = LocalStorage({ directory : path.join(testDir, 'backups') });
+      const _peer1 = createPeer(1, { backupStorage : _storage });
+      _peer1.app.migrate([{ up : _testSchema, down : '' }]);
+      _peer1.app.upsert('testA', { id : 1, tenantId : 1, name : 'full' }, () => {
+        // without full backup, a full backup is made
+        _peer1.app.backupDatabase('incremental', (err, trigger, fullBackupName) => {
+          assert.strictEqual(err, null);
+          assert.strictEqual(trigger, 'full');
+          assert.strictEqual(parseBackupName(fullBackupName).watermark > 0, true);
+          _peer1.app.upsert('testA', { id : 2, tenantId : 1, name : 'incremental 1' }, () => {
+            _peer1.app.backupDatabase('incremental', (err, trigger, incrementalBackupName1) => {
+              assert.strictEqual(err, null);
+              assert.strictEqual(trigger, 'incremental');
+              _storage.get(incrementalBackupName1, path.join(testDir, 'incremental.sqlite'), () => {
+                const _incrementalDb = new Database(path.join(testDir, 'incremental.sqlite'));
+                assert.deepStrictEqual(_incrementalDb.prepare('SELECT name FROM testA_patches').pluck().all(), ['incremental 1']);
+                assert.deepStrictEqual(_incrementalDb.prepare('SELECT previousBackupName, fromPatchedAt, toPatchedAt FROM backup_info').get(), {
+                  previousBackupName : fullBackupName,
+                  fromPatchedAt      : parseBackupName(fullBackupName).watermark,
+                  toPatchedAt        : parseBackupName(incrementalBackupName1).watermark
+                });
+                assert.strictEqual(_incrementalDb.prepare("SELECT COUNT(*) FROM sqlite_master WHERE name = 'testA'").pluck().get(), 0);
+                _incrementalDb.close();
+                _peer1.app.upsert('testA', { id : 1, tenantId : 1, name : 'incremental 2' }, () => {
+                  _peer1.app.backupDatabase('incremental', (err, trigger, incrementalBackupName2) => {
+                    assert.strictEqual(err, null);
+                    const _peer2 = createPeer(2, { backupStorage : _storage });
+                    _peer2.app.restore((err, backupName, incrementalBackupNames) => {
+                      assert.strictEqual(err, null);
+                      assert.strictEqual(backupName, fullBackupName);
+                      assert.deepStrictEqual(incrementalBackupNames, [incrementalBackupName1, incrementalBackupName2]);
+                      _peer2.app.migrate([{ up : _testSchema, down : '' }]);
+                      assert.deepStrictEqual(_peer2.db.prepare('SELECT id, name FROM testA ORDER BY id').all(), [{ id : 1, name : 'incremental 2' }, { id : 2, name : 'incremental 1' }]);
+                      assert.strictEqual(_peer2.db.prepare('SELECT COUNT(*) FROM testA_patches').pluck().get(), 3);
+                      // a missing incremental backup stops the chain
+                      fs.rmSync(path.join(testDir, 'backups', incrementalBackupName1));
+                      const _peer3 = createPeer(3, { backupStorage : _storage });
+                      _peer3.app.restore((err, backupName, incrementalBackupNames) => {
+                        assert.strictEqual(err, null);
+                        assert.deepStrictEqual(incrementalBackupNames, []);
+                        _peer3.app.migrate([{ up : _testSchema, down : '' }]);
+                        assert.deepStrictEqual(_peer3.db.prepare('SELECT name FROM testA ORDER BY id').pluck().all(), ['full']);
+                        done();
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should export the patches received since the previous backup even if they are older than its watermark', function (done) {
+      const _storage = LocalStorage({ directory : path.join(testDir, 'backups') });
+      const _peer1 = createPeer(1, { backupStorage : _storage });
+      _peer1.app.migrate([{ up : _testSchema, down : '' }]);
+      _peer1.app.backupDatabase('full', (err, trigger, fullBackupName) => {
+        assert.strictEqual(err, null);
+        const _socket = new EventEmitter();
+        _socket.send = () => {};
+        _peer1.app.addRemotePeer(2, _socket);
+        _socket.emit('message', { type : 10, at : hlc.create(), peer : 2, seq : 1, ver : 1, tab : 'testA', delta : { id : 2, tenantId : 1, name : 'peer 2' } });
+        // patch of peer 3 (not connected) generated before the full backup, and relayed by peer 2 after the backup
+        const _at = hlc.from(Date.now() - 60000);
+        assert.strictEqual(_at < parseBackupName(fullBackupName).watermark, true);
+        _socket.emit('message', { type : 10, at : _at, peer : 3, seq : 1, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 1, name : 'late' } });
+        setTimeout(() => {
+          assert.deepStrictEqual(_peer1.db.prepare('SELECT name FROM testA ORDER BY id').pluck().all(), ['late', 'peer 2']);
+          _peer1.app.backupDatabase('incremental', (err, trigger, incrementalBackupName) => {
+            assert.strictEqual(err, null);
+            assert.strictEqual(trigger, 'incremental');
+            // the watermark does not move past the patches of peer 3 which are not received yet
+            assert.strictEqual(parseBackupName(incrementalBackupName).watermark <= _at, true);
+            const _peer4 = createPeer(4, { backupStorage : _storage });
+            _peer4.app.restore((err, backupName, incrementalBackupNames) => {
+              assert.strictEqual(err, null);
+              assert.deepStrictEqual(incrementalBackupNames, [incrementalBackupName]);
+              _peer4.app.migrate([{ up : _testSchema, down : '' }]);
+              assert.deepStrictEqual(_peer4.db.prepare('SELECT name FROM testA ORDER BY id').pluck().all(), ['late', 'peer 2']);
+              // the previous backup was not stored by peer 4
+              _peer4.app.backupDatabase('incremental', (err, trigger) => {
+                assert.strictEqual(err, null);
+                assert.strictEqual(trigger, 'full');
+                done();
+              });
+            });
+          });
+        }, 20);
+      });
+    });
+
+    it('should export the patches stored since the previous backup even if their rowid is reused after a delete', function (done) {
+      const _storage = LocalStorage({ directory : path.join(testDir, 'backups') });
+      const _peer1 = createPeer(1, { backupStorage : _storage });
+      _peer1.app.migrate([{ up : _testSchema, down : '' }]);
+      const _socket = new EventEmitter();
+      _socket.send = () => {};
+      _peer1.app.addRemotePeer(2, _socket);
+      const _at = hlc.create();
+      // the first patch of the group is kept in pending_patches until the group is complete
+      _socket.emit('message', { type : 10, at : _at, peer : 2, seq : 1, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 1, name : 'group 1' }, grp : [1, 2] });
+      setTimeout(() => {
+        _peer1.app.backupDatabase('full', (err, trigger, fullBackupName) => {
+          assert.strictEqual(err, null);
+          const _pendingRowId = _peer1.db.prepare('SELECT rowid FROM pending_patches WHERE _sequenceId = 1').pluck().get();
+          _socket.emit('message', { type : 10, at : _at, peer : 2, seq : 2, ver : 1, tab : 'testA', delta : { id : 2, tenantId : 1, name : 'group 2' }, grp : [1, 2] });
+          // patch of a newer schema version, stored in pending_patches after the group is applied and deleted from pending_patches
+          _socket.emit('message', { type : 10, at : hlc.create(), peer : 2, seq : 3, ver : 2, tab : 'testA', delta : { id : 3, tenantId : 1, name : 'version 2' } });
+          setTimeout(() => {
+            assert.deepStrictEqual(_peer1.db.prepare('SELECT name FROM testA ORDER BY id').pluck().all(), ['group 1', 'group 2']);
+            assert.strictEqual(_peer1.db.prepare('SELECT rowid FROM pending_patches WHERE _sequenceId = 3').pluck().get(), _pendingRowId);
+            _peer1.app.backupDatabase('incremental', (err, trigger, incrementalBackupName) => {
+              assert.strictEqual(err, null);
+              assert.strictEqual(trigger, 'incremental');
+              const _peer4 = createPeer(4, { backupStorage : _storage });
+              _peer4.app.restore((err, backupName, incrementalBackupNames) => {
+                assert.strictEqual(err, null);
+                assert.strictEqual(backupName, fullBackupName);
+                assert.deepStrictEqual(incrementalBackupNames, [incrementalBackupName]);
+                assert.deepStrictEqual(_peer4.db.prepare('SELECT _sequenceId FROM pending_patches ORDER BY _sequenceId').pluck().all(), [1, 3]);
+                _peer4.app.migrate([{ up : _testSchema, down : '' }]);
+                assert.deepStrictEqual(_peer4.db.prepare('SELECT name FROM testA ORDER BY id').pluck().all(), ['group 1', 'group 2']);
+                assert.deepStrictEqual(_peer4.db.prepare('SELECT _sequenceId FROM pending_patches ORDER BY _sequenceId').pluck().all(), [3]);
+                done();
+              });
+            });
+          }, 20);
+        });
+      }, 20);
+    });
+
+    it('should refuse to restore a backup which knows my peer id, so my sequence ids are never reused', function (done) {
+      const _storage = LocalStorage({ directory : path.join(testDir, 'backups') });
+      const _peer1 = createPeer(1, { backupStorage : _storage });
+      _peer1.app.migrate([{ up : _testSchema, down : '' }]);
+      _peer1.app.upsert('testA', { id : 1, tenantId : 1, name : 'before backup' }, () => {
+        _peer1.app.backupDatabase('full', (err, trigger, fullBackupName) => {
+          assert.strictEqual(err, null);
+          // peer 1 loses its database and restarts with the same peer id
+          const _restoredPeer1 = createPeer(1, { backupStorage : _storage });
+          _restoredPeer1.app.restore((err, backupName) => {
+            assert.match(err.message, new RegExp(`Backup ${fullBackupName} already knows peer 1. Restore it with a new peer id`));
+            assert.strictEqual(backupName, fullBackupName);
+            assert.strictEqual(_restoredPeer1.db.prepare('SELECT COUNT(*) FROM sqlite_master').pluck().get(), 0);
+            // with a new peer id
+            const _peer3 = createPeer(3, { backupStorage : _storage });
+            _peer3.app.restore((err, backupName) => {
+              assert.strictEqual(err, null);
+              assert.strictEqual(backupName, fullBackupName);
+              _peer3.app.migrate([{ up : _testSchema, down : '' }]);
+              assert.deepStrictEqual(_peer3.db.prepare('SELECT name FROM testA').pluck().all(), ['before backup']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should refuse to restore an incremental backup which knows my peer id', function (done) {
+      const _storage = LocalStorage({ directory : path.join(testDir, 'backups') });
+      const _peer1 = createPeer(1, { backupStorage : _storage });
+      _peer1.app.migrate([{ up : _testSchema, down : '' }]);
+      _peer1.app.backupDatabase('full', (err, trigger, fullBackupName) => {
+        assert.strictEqual(err, null);
+        _peer1.app.upsert('testA', { id : 1, tenantId : 1, name : 'after full backup' }, () => {
+          _peer1.app.backupDatabase('incremental', (err, trigger, incrementalBackupName) => {
+            assert.strictEqual(err, null);
+            assert.strictEqual(trigger, 'incremental');
+            const _restoredPeer1 = createPeer(1, { backupStorage : _storage });
+            _restoredPeer1.app.restore((err, backupName, incrementalBackupNames) => {
+              assert.match(err.message, new RegExp(`Backup ${incrementalBackupName} already knows peer 1`));
+              assert.strictEqual(backupName, fullBackupName);
+              assert.deepStrictEqual(incrementalBackupNames, []);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should fail to make an incremental backup without backup storage', function (done) {
+      const _peer1 = createPeer(1);
+      _peer1.app.migrate([{ up : _testSchema, down : '' }]);
+      _peer1.app.backupDatabase('incremental', (err, trigger, backupName) => {
+        assert.match(err.message, /Incremental backups require a backup storage/);
+        assert.strictEqual(trigger, 'incremental');
+        assert.strictEqual(backupName, null);
+        done();
+      });
+    });
+
+    it('should fail if the latest backup is corrupted or if there is no backup storage', function (done) {
+      const _storage = LocalStorage({ directory : path.join(testDir, 'backups') });
+      fs.mkdirSync(path.join(testDir, 'backups'));
+      const _backupName = generateBackupName('scheduled');
+      fs.writeFileSync(path.join(testDir, 'backups', _backupName), 'not a database');
+      const _peer1 = createPeer(1, { backupStorage : _storage });
+      _peer1.app.restore((err, backupName) => {
+        assert.match(err.message, new RegExp(`Corrupted backup ${_backupName}: file is not a database`));
+        assert.strictEqual(backupName, _backupName);
+        assert.strictEqual(_peer1.db.prepare('SELECT COUNT(*) FROM sqlite_master').pluck().get(), 0);
+        const _peer2 = createPeer(2);
+        _peer2.app.event.once('restore:failed', (backupName, err) => {
+          assert.strictEqual(backupName, null);
+          assert.match(err.message, /Cannot restore without backup storage \(backupStorage option\)/);
+          done();
+        });
+        _peer2.app.restore();
+      });
+    });
+  });
+});
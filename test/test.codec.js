@@ -0,0 +1,96 @@
+const assert = require('assert');
+const codecs = require('../lib/codec.js');
+const hlc = require('../lib/hlc.js');
+
+describe('codec', function () {
+
+  describe('json', function () {
+    it('should not encode or decode any message (messages are sent in JSON by index.js)', function () {
+      assert.strictEqual(codecs.json.name, 'json');
+      assert.strictEqual(codecs.json.encode({ type : 10, at : 1, peer : 1, seq : 1, ver : 1, tab : 'a', delta : {} }), null);
+      assert.strictEqual(codecs.json.decode(Buffer.from('hello')), null);
+    });
+  });
+
+  describe('binary', function () {
+    const binary = codecs.binary;
+
+    it('should encode and decode a PATCH message', function () {
+      const _patch = { type : 10, at : hlc.from(Date.now()), peer : 4294967295, seq : 123456, ver : 3, tab : 'testA', delta : { id : 1, tenantId : -20, name : 'été 🌞', price : 12.5, isActive : true, deletedAt : null, tags : ['a', 1, false, null], json : { a : { b : [] } } } };
+      const _encoded = binary.encode(_patch);
+      assert.strictEqual(Buffer.isBuffer(_encoded), true);
+      assert.deepStrictEqual(binary.decode(_encoded), _patch);
+    });
+
+    it('should encode and decode a group PATCH message', function () {
+      const _patch = { type : 10, at : Number.MAX_SAFE_INTEGER, peer : 1, seq : 11, ver : 1, tab : 'testA', delta : { id : 1 }, grp : [10, 12] };
+      assert.deepStrictEqual(binary.decode(binary.encode(_patch)), _patch);
+    });
+
+    it('should encode and decode a PING message with the advertised codec', function () {
+      const _ping = { type : 20, at : hlc.from(Date.now()), peer : 1, seq : 0, ver : 1, tab : '_', delta : { 2 : [1, 2, 3, 4, 5, 6], 3 : [0, 0, 0, 0, 0, 0] }, cod : 'binary' };
+      assert.deepStrictEqual(binary.decode(binary.encode(_ping)), _ping);
+    });
+
+    it('should encode and decode a PING message with the advertised addresses of peers', function () {
+      const _ping = { type : 20, at : hlc.from(Date.now()), peer : 1, seq : 0, ver : 1, tab : '_', delta : { 2 : [1, 2, 3, 4, 5, 6] }, cod : 'binary', adr : { 1 : '10.0.0.1:9000', 2 : { host : '10.0.0.2', port : 9000 } }, ldr : [3, 10] };
+      assert.deepStrictEqual(binary.decode(binary.encode(_ping)), _ping);
+    });
+
+    it('should encode and decode a MISSING_PATCH message', function () {
+      const _missing = { type : 30, peer : 2, minSeq : 10, maxSeq : 300, forPeer : 1 };
+      assert.deepStrictEqual(binary.decode(binary.encode(_missing)), _missing);
+    });
+
+    it('should encode and decode the signature of messages', function () {
+      const _sig = 'q5Fy1HqzYf3Yp3Vx0l8hGk7nX2d0b7Wkq9r1s2t3u4v';
+      const _patch = { type : 10, at : 1, peer : 1, seq : 1, ver : 1, tab : 'testA', delta : { id : 1 }, grp : [1, 2], sig : _sig };
+      const _missing = { type : 30, peer : 2, minSeq : 10, maxSeq : 300, forPeer : 1, sig : _sig };
+      assert.deepStrictEqual(binary.decode(binary.encode(_patch)), _patch);
+      assert.deepStrictEqual(binary.decode(binary.encode(_missing)), _missing);
+    });
+
+    it('should be smaller than JSON', function () {
+      const _patch = { type : 10, at : hlc.from(Date.now()), peer : 1234567, seq : 123456, ver : 3, tab : 'testA', delta : { id : 1, tenantId : 20, name : 'name' } };
+      assert.strictEqual(binary.encode(_patch).length < JSON.stringify(_patch).length / 2, true);
+    });
+
+    it('should follow JSON.stringify semantics for values', function () {
+      const _date = new Date();
+      const _patch = { type : 10, at : 1, peer : 1, seq : 1, ver : 1, tab : 'a', delta : { a : undefined, b : NaN, c : _date, d : [undefined], e : () => {} } };
+      assert.deepStrictEqual(binary.decode(binary.encode(_patch)).delta, JSON.parse(JSON.stringify(_patch.delta)));
+      assert.throws(() => binary.encode({ ..._patch, delta : { a : 1n } }), /BigInt/);
+    });
+
+    it('should not change the prototype of decoded objects with a __proto__ key', function () {
+      const _delta = JSON.parse('{"__proto__":{"polluted":true}}');
+      const _decoded = binary.decode(binary.encode({ type : 10, at : 1, peer : 1, seq : 1, ver : 1, tab : 'a', delta : _delta }));
+      assert.strictEqual(_decoded.delta.polluted, undefined);
+      assert.deepStrictEqual(Object.keys(_decoded.delta), ['__proto__']);
+    });
+
+    it('should return null for messages which must be sent in JSON', function () {
+      assert.strictEqual(binary.encode({ type : 40, peer : 1 }), null);
+      assert.strictEqual(binary.encode({ type : 10, at : -1, peer : 1, seq : 1, ver : 1, tab : 'a', delta : {} }), null);
+      assert.strictEqual(binary.encode({ type : 10, at : 1, peer : 1, seq : 1, ver : undefined, tab : 'a', delta : {} }), null);
+      assert.strictEqual(binary.encode({ type : 30, peer : 1, minSeq : 1, maxSeq : 1.5, forPeer : 2 }), null);
+    });
+
+    it('should return null for binary messages which were not encoded by the codec', function () {
+      assert.strictEqual(binary.decode(Buffer.from('hello')), null);
+      assert.strictEqual(binary.decode(Buffer.from([0xB5])), null);
+      assert.strictEqual(binary.decode(Buffer.from([0xB5, 1, 99, 0])), null);
+    });
+
+    it('should throw if the binary message is truncated', function () {
+      const _encoded = binary.encode({ type : 10, at : 1, peer : 1, seq : 1, ver : 1, tab : 'testA', delta : { name : 'name' } });
+      assert.throws(() => binary.decode(_encoded.subarray(0, _encoded.length - 2)), /Truncated binary message/);
+    });
+
+    it('should accept Uint8Array and encode large messages', function () {
+      const _patch = { type : 10, at : 1, peer : 1, seq : 1, ver : 1, tab : 'a', delta : { text : 'x'.repeat(200000) } };
+      const _encoded = binary.encode(_patch);
+      assert.deepStrictEqual(binary.decode(new Uint8Array(_encoded)), _patch);
+    });
+  });
+});
@@ -2,12 +2,17 @@ const assert = require('assert');
 const SQLiteOnSteroid = require('../lib/index.js');
 const Database  = require('better-sqlite3');
 const EventEmitter = require('events');
-const { simplifyStats } = require('./helper.js');
+const { simplifyStats, startPeer, upsertRows } = require('./helper.js');
 const hlc = require('../lib/hlc.js');
+const Simulator = require('../simulator.js');
 
 const PING = 20;
 const PATCH = 10;
 const MISSING_PATCH = 30;
+const PATCH_TOO_OLD = 31;
+const SNAPSHOT_REQUEST = 40;
+const SNAPSHOT_CHUNK = 41;
+const SNAPSHOT_END = 42;
 
 describe('main', function () {
   const _testSchema = `
@@ -141,7 +146,7 @@ describe('main', function () {
           assert.deepStrictEqual(_tableARows, [{ id : 1, tenantId : 1, name : '1c' }, { id : 5, tenantId : 1, name : '5a' }]);
 
           assert.strictEqual(messageSentToPeer100.length, 4, 'Should have sent four messages to peer 100 for missing patch');
-          assert.deepStrictEqual(simplifyStats(messageSentToPeer100)[2], { type : PING, at : _persistentPingPatchAt, peer : 1, seq : 1, ver : 1, tab : '_', delta : { '100' : [hlc.from(_now), 5, hlc.from(_now - 1), 3], '200' : [hlc.from(_now-1), 1, hlc.from(_now-1), 1] } });
+          assert.deepStrictEqual(simplifyStats(messageSentToPeer100)[2], { type : PING, at : _persistentPingPatchAt, peer : 1, seq : 1, ver : 1, tab : '_', delta : { '100' : [hlc.from(_now), 5, hlc.from(_now - 1), 3], '200' : [hlc.from(_now-1), 1, hlc.from(_now-1), 1] }, ldr : [1, 0, 1] });
           assert.deepStrictEqual(messageSentToPeer100[3], { type : MISSING_PATCH, peer : 100, minSeq : 4, maxSeq : 4, forPeer : 1 });
 
           _eventEmitter100.emit('message', { type : PATCH, at : hlc.from(_now), peer : 100, seq : 4, ver : 1, tab : 'testA', delta : { id : 5, tenantId : 1, name : '5z' } });
@@ -153,7 +158,7 @@ describe('main', function () {
             assert.deepStrictEqual(_tableARows, [{ id : 1, tenantId : 1, name : '1c' }, { id : 5, tenantId : 1, name : '5a' }]);
 
             assert.strictEqual(messageSentToPeer100.length, 5, 'Should have sent five messages to peer 100 for missing patch');
-            assert.deepStrictEqual(simplifyStats(messageSentToPeer100)[4], { type : PING, at : _persistentPingPatchAt, peer : 1, seq : 1, ver : 1, tab : '_', delta : { '100' : [hlc.from(_now), 5, hlc.from(_now), 4], '200' : [hlc.from(_now-1), 1, hlc.from(_now-1), 1] } });
+            assert.deepStrictEqual(simplifyStats(messageSentToPeer100)[4], { type : PING, at : _persistentPingPatchAt, peer : 1, seq : 1, ver : 1, tab : '_', delta : { '100' : [hlc.from(_now), 5, hlc.from(_now), 4], '200' : [hlc.from(_now-1), 1, hlc.from(_now-1), 1] }, ldr : [1, 0, 1] });
 
             // Verify that _areAllMyPatchesStoredByPeers is updated correctly when receiving a ping with the statistics about me
             assert.strictEqual(app._areAllMyPatchesStoredByPeers(), false);
@@ -308,6 +313,1033 @@ describe('main', function () {
     });
   });
 
+  describe('snapshot bootstrap', function () {
+    let db1, db2, app1, app2;
+    let _socket1, _socket2;
+
+    // _socketX is the socket used by appX to send messages to the other app
+    function linkPeers (policy1) {
+      _socket1 = new EventEmitter();
+      _socket2 = new EventEmitter();
+      _socket1.send = (message) => setImmediate(() => _socket2.emit('message', JSON.parse(JSON.stringify(message))));
+      _socket2.send = (message) => setImmediate(() => _socket1.emit('message', JSON.parse(JSON.stringify(message))));
+      app1.addRemotePeer(2, _socket1, policy1);
+      app2.addRemotePeer(1, _socket2);
+    }
+
+    beforeEach (function (done) {
+      db1 = connect();
+      db2 = connect();
+      app1 = SQLiteOnSteroid(db1, 1, { snapshotChunkSize : 1024 });
+      app2 = SQLiteOnSteroid(db2, 2, { snapshotChunkSize : 1024 });
+      app1.migrate([{ up : _testSchema, down : ''}]);
+      let _nbUpserts = 0;
+      for (let i = 1; i <= 200; i++) {
+        app1.upsert('testA', { id : i, tenantId : 1, name : 'name' + i }, () => {
+          if (++_nbUpserts === 200) {
+            done();
+          }
+        });
+      }
+    });
+
+    afterEach (function (done) {
+      setTimeout(() => {
+        close(db1);
+        close(db2);
+        done();
+      }, 20);
+    });
+
+    it('should download and install the snapshot of a remote peer before migrate', function (done) {
+      linkPeers();
+      const _progress = [];
+      app2.event.on('snapshot:progress', (peerId, receivedBytes) => _progress.push(receivedBytes));
+      app2.requestSnapshot(1, (err, peerId) => {
+        assert.strictEqual(err, null);
+        assert.strictEqual(peerId, 1);
+        assert.strictEqual(_progress.length > 1, true);
+        const _migration = app2.migrate([{ up : _testSchema, down : ''}]);
+        assert.deepStrictEqual(_migration, { currentVersion : 1, previousVersion : 1 });
+        assert.strictEqual(db2.prepare('SELECT COUNT(*) FROM testA').pluck().get(), 200);
+        assert.strictEqual(db2.prepare('SELECT COUNT(*) FROM testA_patches WHERE _peerId = 1').pluck().get(), 200);
+        assert.deepStrictEqual(db2.prepare('SELECT name FROM testA WHERE id = 150').get(), { name : 'name150' });
+        assert.strictEqual(app2.status().lastSequenceId, 0);
+        done();
+      });
+    });
+
+    it('should replace existing tables and prepare statements again if the database was already migrated', function (done) {
+      app2.migrate([{ up : _testSchema, down : ''}]);
+      app2.upsert('testA', { id : 1000, tenantId : 1, name : 'local' }, () => {
+        linkPeers();
+        app2.event.on('snapshot:installed', (peerId) => {
+          assert.strictEqual(peerId, 1);
+          assert.strictEqual(db2.prepare('SELECT COUNT(*) FROM testA').pluck().get(), 200);
+          assert.strictEqual(db2.prepare('SELECT COUNT(*) FROM testA WHERE id = 1000').pluck().get(), 0);
+          assert.strictEqual(app2.status().lastSequenceId, 0);
+          app2.upsert('testA', { id : 1, tenantId : 1, name : 'updated' }, (err) => {
+            assert.strictEqual(err, null);
+            assert.deepStrictEqual(db2.prepare('SELECT name FROM testA WHERE id = 1').get(), { name : 'updated' });
+            done();
+          });
+        });
+        app2.requestSnapshot(1);
+      });
+    });
+
+    it('should fail if the peer is not connected or if a snapshot is already in progress', function (done) {
+      app2.requestSnapshot(1, (err) => {
+        assert.strictEqual(err.message, 'Peer 1 is not connected');
+        linkPeers();
+        app2.requestSnapshot(1, () => done());
+        app2.requestSnapshot(1, (err) => {
+          assert.strictEqual(err.message, 'A snapshot is already in progress');
+        });
+      });
+    });
+
+    it('should refuse to send a snapshot to a peer with a row filter or a table allow-list', function (done) {
+      linkPeers({ rowFilter : { tenantId : [2] } });
+      app2.requestSnapshot(1, (err) => {
+        assert.strictEqual(err.message, 'Snapshot failed on peer 1: Snapshots are not sent to peers with a partial replication policy');
+        assert.strictEqual(db2.prepare("SELECT COUNT(*) FROM sqlite_master WHERE name = 'testA'").pluck().get(), 0);
+        app1.addRemotePeer(2, _socket1, { sendTables : ['testA'] });
+        app2.requestSnapshot(1, (err) => {
+          assert.strictEqual(err.message, 'Snapshot failed on peer 1: Snapshots are not sent to peers with a partial replication policy');
+          done();
+        });
+      });
+    });
+
+    it('should reject a corrupted snapshot', function (done) {
+      linkPeers();
+      const _send = _socket1.send;
+      _socket1.send = (message) => {
+        if (message.type === 41 && message.offset === 0) {
+          message.data = Buffer.alloc(Buffer.from(message.data, 'base64').length).toString('base64');
+        }
+        _send(message);
+      };
+      app2.requestSnapshot(1, (err) => {
+        assert.strictEqual(err.message, 'Corrupted snapshot received from peer 1');
+        done();
+      });
+    });
+
+    it('should stop the snapshot if a chunk is not received in order', function (done) {
+      linkPeers();
+      const _send = _socket1.send;
+      _socket1.send = (message) => {
+        if (message.type === 41 && message.offset === 0) {
+          return; // lost chunk
+        }
+        _send(message);
+      };
+      app2.requestSnapshot(1, (err) => {
+        assert.strictEqual(err.message, 'Snapshot chunk at offset 1024 received from peer 1 instead of offset 0');
+        assert.strictEqual(db2.prepare("SELECT COUNT(*) FROM sqlite_master WHERE name = 'testA'").pluck().get(), 0);
+        done();
+      });
+    });
+  });
+
+  describe('binary codec negotiation', function () {
+    let dbs, apps, sockets, sent;
+
+    beforeEach (function () {
+      dbs = {};
+      apps = {};
+      sockets = {}; // sockets[from][to] is the socket used by peer "from" to send messages to peer "to"
+      sent = [];
+      const _codecs = { 1 : 'binary', 2 : 'binary', 3 : 'json' };
+      for (const _peerId in _codecs) {
+        dbs[_peerId] = connect();
+        apps[_peerId] = SQLiteOnSteroid(dbs[_peerId], parseInt(_peerId, 10), { codec : _codecs[_peerId] });
+        apps[_peerId].migrate([{ up : _testSchema, down : ''}]);
+      }
+      // a pair of linked sockets between each peer
+      for (const _from in apps) {
+        for (const _to in apps) {
+          if (_from === _to) {
+            continue;
+          }
+          const _socket = new EventEmitter();
+          _socket.send = (message) => {
+            sent.push({ from : parseInt(_from, 10), to : parseInt(_to, 10), isBinary : Buffer.isBuffer(message), type : Buffer.isBuffer(message) ? message[2] : message.type });
+            setImmediate(() => sockets[_to][_from].emit('message', Buffer.isBuffer(message) ? message : JSON.parse(JSON.stringify(message)), Buffer.isBuffer(message)));
+          };
+          sockets[_from] = sockets[_from] ?? {};
+          sockets[_from][_to] = _socket;
+        }
+      }
+      for (const _from in apps) {
+        for (const _to in sockets[_from]) {
+          apps[_from].addRemotePeer(_to, sockets[_from][_to]);
+        }
+      }
+    });
+
+    afterEach (function (done) {
+      setTimeout(() => {
+        for (const _peerId in dbs) {
+          close(dbs[_peerId]);
+        }
+        done();
+      }, 20);
+    });
+
+    it('should use the binary codec only between peers which advertise it in PING messages', function (done) {
+      for (const _peerId in apps) {
+        apps[_peerId]._generatePingStatMessage(); // persistent ping (stored in pending_patches), sent in JSON
+        apps[_peerId]._generatePingStatMessage(); // ping with the codec
+      }
+      assert.strictEqual(sent.every(m => m.isBinary === false), true);
+      assert.deepStrictEqual(sent.filter(m => m.type === PING).length, 6);
+      setTimeout(() => {
+        sent = [];
+        apps[1].upsert('testA', { id : 1, tenantId : 1, name : 'from 1' }, () => {
+          apps[3].upsert('testA', { id : 2, tenantId : 1, name : 'from 3' }, () => {
+            assert.deepStrictEqual(sent, [
+              { from : 1, to : 2, isBinary : true, type : PATCH },
+              { from : 1, to : 3, isBinary : false, type : PATCH },
+              { from : 3, to : 1, isBinary : false, type : PATCH },
+              { from : 3, to : 2, isBinary : false, type : PATCH }
+            ]);
+            setTimeout(() => {
+              for (const _peerId in dbs) {
+                assert.deepStrictEqual(dbs[_peerId].prepare('SELECT id, name FROM testA ORDER BY id').all(), [{ id : 1, name : 'from 1' }, { id : 2, name : 'from 3' }]);
+              }
+              done();
+            }, 20);
+          });
+        });
+      }, 20);
+    });
+
+    it('should send missing patches with the binary codec', function (done) {
+      for (const _peerId in apps) {
+        apps[_peerId]._generatePingStatMessage();
+        apps[_peerId]._generatePingStatMessage();
+      }
+      setTimeout(() => {
+        // peer 2 does not receive the first patch of peer 1
+        const _send = sockets[1][2].send;
+        sockets[1][2].send = () => {};
+        apps[1].upsert('testA', { id : 1, tenantId : 1, name : 'lost' }, () => {
+          sockets[1][2].send = _send;
+          apps[1].upsert('testA', { id : 2, tenantId : 1, name : 'received' }, () => {
+            setTimeout(() => {
+              sent = [];
+              apps[2]._detectAndRequestMissingPatches();
+              assert.deepStrictEqual(sent, [{ from : 2, to : 1, isBinary : true, type : MISSING_PATCH }]);
+              setTimeout(() => {
+                assert.deepStrictEqual(sent[1], { from : 1, to : 2, isBinary : true, type : PATCH });
+                assert.deepStrictEqual(dbs[2].prepare('SELECT id, name FROM testA ORDER BY id').all(), [{ id : 1, name : 'lost' }, { id : 2, name : 'received' }]);
+                done();
+              }, 20);
+            }, 20);
+          });
+        });
+      }, 20);
+    });
+
+    it('should not stringify messages in JSON if all peers use the binary codec', function (done) {
+      for (const _peerId in apps) {
+        apps[_peerId]._generatePingStatMessage();
+        apps[_peerId]._generatePingStatMessage();
+      }
+      apps[1].closeRemotePeer(3);
+      setTimeout(() => {
+        sent = [];
+        const _stringify = JSON.stringify;
+        let _nbStringifiedPatches = 0;
+        JSON.stringify = (value, ...args) => {
+          _nbStringifiedPatches += (value?.type === PATCH) ? 1 : 0;
+          return _stringify(value, ...args);
+        };
+        apps[1].upsert('testA', { id : 1, tenantId : 1, name : 'binary only' }, () => {
+          JSON.stringify = _stringify;
+          assert.strictEqual(_nbStringifiedPatches, 0);
+          assert.deepStrictEqual(sent, [{ from : 1, to : 2, isBinary : true, type : PATCH }]);
+          done();
+        });
+      }, 20);
+    });
+
+    it('should send a queued binary message in JSON if the peer stops using the codec', function (done) {
+      for (const _peerId in apps) {
+        apps[_peerId]._generatePingStatMessage();
+        apps[_peerId]._generatePingStatMessage();
+      }
+      setTimeout(() => {
+        sent = [];
+        const _send = sockets[1][2].send;
+        sockets[1][2].send = (message) => {
+          _send(message);
+          return false; // backpressure: the next messages are queued
+        };
+        apps[1].upsert('testA', { id : 1, tenantId : 1, name : 'first' }, () => {
+          apps[1].upsert('testA', { id : 2, tenantId : 1, name : 'queued' }, () => {
+            // peer 2 advertises another codec: the queued binary message is decoded and sent in JSON
+            sockets[1][2].emit('message', { type : PING, at : hlc.from(Date.now()), peer : 2, seq : 0, ver : 1, tab : '_', delta : {}, cod : 'json' });
+            sockets[1][2].send = _send;
+            apps[1]._flushSendQueues();
+            assert.deepStrictEqual(sent.filter(m => m.from === 1 && m.to === 2), [
+              { from : 1, to : 2, isBinary : true, type : PATCH },
+              { from : 1, to : 2, isBinary : false, type : PATCH }
+            ]);
+            setTimeout(() => {
+              assert.deepStrictEqual(dbs[2].prepare('SELECT id, name FROM testA ORDER BY id').all(), [{ id : 1, name : 'first' }, { id : 2, name : 'queued' }]);
+              done();
+            }, 20);
+          });
+        });
+      }, 20);
+    });
+
+    it('should throw if the codec is unknown or invalid', function () {
+      assert.throws(() => SQLiteOnSteroid(connect(), 10, { codec : 'protobuf' }), /Unknown codec protobuf. Available codecs: json, binary/);
+      assert.throws(() => SQLiteOnSteroid(connect(), 10, { codec : { name : 'custom' } }), /A custom codec must have a name, an encode function and a decode function/);
+    });
+  });
+
+  describe('authenticated messages (clusterSecrets)', function () {
+    let db1, db2, app1, app2;
+    let _socket1, _socket2, _socketFromIntruder;
+
+    function start (secrets1, secrets2, codec = 'json') {
+      db1 = connect();
+      db2 = connect();
+      app1 = SQLiteOnSteroid(db1, 1, { clusterSecrets : secrets1, codec });
+      app2 = SQLiteOnSteroid(db2, 2, { clusterSecrets : secrets2, codec });
+      app1.migrate([{ up : _testSchema, down : ''}]);
+      app2.migrate([{ up : _testSchema, down : ''}]);
+      _socket1 = new EventEmitter();
+      _socket2 = new EventEmitter();
+      _socketFromIntruder = new EventEmitter();
+      _socket1.send = (message) => setImmediate(() => _socket2.emit('message', Buffer.isBuffer(message) ? message : JSON.parse(JSON.stringify(message)), Buffer.isBuffer(message)));
+      _socket2.send = (message) => setImmediate(() => _socket1.emit('message', Buffer.isBuffer(message) ? message : JSON.parse(JSON.stringify(message)), Buffer.isBuffer(message)));
+      _socketFromIntruder.send = () => {};
+      app1.addRemotePeer(2, _socket1);
+      app2.addRemotePeer(1, _socket2);
+      app2.addRemotePeer(3, _socketFromIntruder);
+    }
+
+    function rejectedMessages (app) {
+      return parseInt(/replication_rejected_messages_total\{peer="\d+"\} (\d+)/.exec(app.metrics())[1], 10);
+    }
+
+    afterEach (function (done) {
+      setTimeout(() => {
+        close(db1);
+        close(db2);
+        done();
+      }, 20);
+    });
+
+    it('should accept signed messages and reject unsigned or modified messages', function (done) {
+      start('secret', ['secret']);
+      app1.upsert('testA', { id : 1, tenantId : 1, name : 'signed' }, () => {
+        const _at = hlc.from(Date.now());
+        _socketFromIntruder.emit('message', { type : PATCH, at : _at, peer : 3, seq : 1, ver : 1, tab : 'testA', delta : { id : 2, tenantId : 1, name : 'injected' } });
+        _socketFromIntruder.emit('message', { type : MISSING_PATCH, peer : 2, minSeq : 1, maxSeq : 1000, forPeer : 3, sig : 'forged' });
+        setTimeout(() => {
+          assert.deepStrictEqual(db2.prepare('SELECT id, name FROM testA').all(), [{ id : 1, name : 'signed' }]);
+          assert.strictEqual(rejectedMessages(app2), 2);
+          assert.strictEqual(rejectedMessages(app1), 0);
+          done();
+        }, 20);
+      });
+    });
+
+    it('should sign retransmitted patches and binary messages', function (done) {
+      start('secret', 'secret', 'binary');
+      app1._generatePingStatMessage();
+      app2._generatePingStatMessage();
+      app1._generatePingStatMessage();
+      app2._generatePingStatMessage();
+      setTimeout(() => {
+        const _send = _socket1.send;
+        _socket1.send = () => {}; // the first patch is lost
+        app1.upsert('testA', { id : 1, tenantId : 1, name : 'lost' }, () => {
+          _socket1.send = _send;
+          app1.upsert('testA', { id : 2, tenantId : 1, name : 'received' }, () => {
+            setTimeout(() => {
+              app2._detectAndRequestMissingPatches();
+              setTimeout(() => {
+                assert.deepStrictEqual(db2.prepare('SELECT id, name FROM testA ORDER BY id').all(), [{ id : 1, name : 'lost' }, { id : 2, name : 'received' }]);
+                assert.strictEqual(rejectedMessages(app1), 0);
+                assert.strictEqual(rejectedMessages(app2), 0);
+                done();
+              }, 20);
+            }, 20);
+          });
+        });
+      }, 20);
+    });
+
+    it('should support key rotation: sign with the first secret and accept all secrets', function (done) {
+      start(['new', 'old'], ['old', 'new']);
+      app1.upsert('testA', { id : 1, tenantId : 1, name : 'signed with new' }, () => {
+        app2.upsert('testA', { id : 2, tenantId : 1, name : 'signed with old' }, () => {
+          setTimeout(() => {
+            assert.deepStrictEqual(db1.prepare('SELECT id FROM testA ORDER BY id').pluck().all(), [1, 2]);
+            assert.deepStrictEqual(db2.prepare('SELECT id FROM testA ORDER BY id').pluck().all(), [1, 2]);
+            assert.throws(() => SQLiteOnSteroid(connect(), 10, { clusterSecrets : ['ok', ''] }), /Cluster secrets must be non-empty strings/);
+            done();
+          }, 20);
+        });
+      });
+    });
+  });
+
+  describe('replication policy (table allow-lists and row filters)', function () {
+    let db1, db2, app1, app2;
+    let _socket1, _socket2, _sentTo2;
+    const _testSchemaWithTestB = _testSchema + _testSchema.replace(/testA/g, 'testB');
+
+    // _socketX is the socket used by appX to send messages to the other app
+    function start (policy1, policy2) {
+      db1 = connect();
+      db2 = connect();
+      app1 = SQLiteOnSteroid(db1, 1);
+      app2 = SQLiteOnSteroid(db2, 2);
+      app1.migrate([{ up : _testSchemaWithTestB, down : ''}]);
+      app2.migrate([{ up : _testSchemaWithTestB, down : ''}]);
+      _sentTo2 = [];
+      _socket1 = new EventEmitter();
+      _socket2 = new EventEmitter();
+      _socket1.send = (message) => {
+        _sentTo2.push(message);
+        setImmediate(() => _socket2.emit('message', JSON.parse(JSON.stringify(message))));
+      };
+      _socket2.send = (message) => setImmediate(() => _socket1.emit('message', JSON.parse(JSON.stringify(message))));
+      app1.addRemotePeer(2, _socket1, policy1);
+      app2.addRemotePeer(1, _socket2, policy2);
+    }
+
+    function missingPatchRequestsSent (app) {
+      return parseInt(/replication_retransmission_requests_total\{peer="\d+", direction="sent"\} (\d+)/.exec(app.metrics())[1], 10);
+    }
+
+    afterEach (function (done) {
+      setTimeout(() => {
+        close(db1);
+        close(db2);
+        done();
+      }, 20);
+    });
+
+    it('should send only the tables of sendTables, and skipped patches for other tables', function (done) {
+      start({ sendTables : ['testA'] });
+      app1.upsert('testB', { id : 1, tenantId : 1, name : 'not sent' }, () => {
+        app1.upsert('testA', { id : 2, tenantId : 1, name : 'sent' }, () => {
+          setTimeout(() => {
+            assert.deepStrictEqual(_sentTo2.filter((msg) => msg.type === PATCH).map((msg) => [msg.seq, msg.tab, msg.delta]), [
+              [1, '_', {}],
+              [2, 'testA', { id : 2, tenantId : 1, name : 'sent' }]
+            ]);
+            assert.deepStrictEqual(db2.prepare('SELECT id, name FROM testA').all(), [{ id : 2, name : 'sent' }]);
+            assert.strictEqual(db2.prepare('SELECT COUNT(*) FROM testB').pluck().get(), 0);
+            app2._detectAndRequestMissingPatches();
+            assert.strictEqual(missingPatchRequestsSent(app2), 0);
+            done();
+          }, 20);
+        });
+      });
+    });
+
+    it('should store patches of tables which are not in acceptTables as skipped patches', function (done) {
+      start(undefined, { acceptTables : ['testB'] });
+      app1.upsert('testA', { id : 1, tenantId : 1, name : 'not accepted' }, () => {
+        app1.upsert('testB', { id : 2, tenantId : 1, name : 'accepted' }, () => {
+          setTimeout(() => {
+            assert.strictEqual(db2.prepare('SELECT COUNT(*) FROM testA').pluck().get(), 0);
+            assert.deepStrictEqual(db2.prepare('SELECT id, name FROM testB').all(), [{ id : 2, name : 'accepted' }]);
+            assert.deepStrictEqual(db2.prepare("SELECT _peerId, _sequenceId FROM pending_patches WHERE tableName = '_' AND json(delta) = '{}'").all(), [{ _peerId : 1, _sequenceId : 1 }]);
+            app2._detectAndRequestMissingPatches();
+            assert.strictEqual(missingPatchRequestsSent(app2), 0);
+            done();
+          }, 20);
+        });
+      });
+    });
+
+    it('should replace a skipped patch by the real patch received from another peer which is accepted for this table', function (done) {
+      start(undefined, { acceptTables : [] });
+      const _socket3 = new EventEmitter();
+      _socket3.send = () => {};
+      app2.addRemotePeer(3, _socket3);
+      const _patch = { type : PATCH, at : hlc.from(Date.now()), peer : 3, seq : 1, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 3, name : 'from peer 3' } };
+      _socket2.emit('message', _patch); // peer 1 retransmits the patch of peer 3, its tables are not accepted
+      _socket3.emit('message', _patch); // peer 3 sends the same patch
+      _socket3.emit('message', _patch);
+      setTimeout(() => {
+        assert.deepStrictEqual(db2.prepare('SELECT id, tenantId, name FROM testA').all(), [{ id : 1, tenantId : 3, name : 'from peer 3' }]);
+        assert.strictEqual(db2.prepare('SELECT COUNT(*) FROM testA_patches').pluck().get(), 1);
+        assert.strictEqual(db2.prepare("SELECT COUNT(*) FROM pending_patches WHERE tableName = '_'").pluck().get(), 0);
+        assert.match(app2.metrics(), /_replication_duplicated_patches_total\{peer="2"\} 1/);
+        // the skipped patch received again is a duplicate
+        _socket2.emit('message', _patch);
+        assert.strictEqual(db2.prepare("SELECT COUNT(*) FROM pending_patches WHERE tableName = '_'").pluck().get(), 0);
+        assert.match(app2.metrics(), /_replication_duplicated_patches_total\{peer="2"\} 2/);
+        done();
+      }, 20);
+    });
+
+    it('should retransmit skipped patches and apply the allowed part of group patches', function (done) {
+      start({ sendTables : ['testA'] });
+      app1._generatePingStatMessage();
+      app2._generatePingStatMessage();
+      setTimeout(() => {
+        const _send = _socket1.send;
+        _socket1.send = () => {}; // the group patch is lost
+        app1.transaction([
+          { table : 'testB', row : { id : 1, tenantId : 1, name : 'not sent' } },
+          { table : 'testA', row : { id : 1, tenantId : 1, name : 'lost' } }
+        ], () => {
+          _socket1.send = _send;
+          app1.upsert('testA', { id : 2, tenantId : 1, name : 'received' }, () => {
+            setTimeout(() => {
+              app2._detectAndRequestMissingPatches();
+              assert.strictEqual(missingPatchRequestsSent(app2), 1);
+              setTimeout(() => {
+                assert.deepStrictEqual(db2.prepare('SELECT id, name FROM testA ORDER BY id').all(), [{ id : 1, name : 'lost' }, { id : 2, name : 'received' }]);
+                assert.strictEqual(db2.prepare('SELECT COUNT(*) FROM testB').pluck().get(), 0);
+                app2._detectAndRequestMissingPatches();
+                assert.strictEqual(missingPatchRequestsSent(app2), 1);
+                done();
+              }, 20);
+            }, 20);
+          });
+        });
+      }, 20);
+    });
+
+    it('should send only the rows of rowFilter, and skipped patches for other rows', function (done) {
+      start({ rowFilter : { tenantId : [1, 3] } });
+      app1._generatePingStatMessage();
+      app2._generatePingStatMessage();
+      setTimeout(() => {
+        const _send = _socket1.send;
+        _socket1.send = () => {}; // the first patch is lost
+        _sentTo2 = [];
+        app1.upsert('testA', { id : 1, tenantId : 1, name : 'lost' }, () => {
+          _socket1.send = _send;
+          app1.upsert('testA', { id : 2, tenantId : 2, name : 'other region' }, () => {
+            app1.upsert('testB', { id : 3, tenantId : 3, name : 'received' }, () => {
+              setTimeout(() => {
+                assert.deepStrictEqual(_sentTo2.filter((msg) => msg.type === PATCH).map((msg) => [msg.tab, msg.delta]), [['_', {}], ['testB', { id : 3, tenantId : 3, name : 'received' }]]);
+                app2._detectAndRequestMissingPatches();
+                assert.strictEqual(missingPatchRequestsSent(app2), 1);
+                setTimeout(() => {
+                  assert.deepStrictEqual(db2.prepare('SELECT id, tenantId FROM testA').all(), [{ id : 1, tenantId : 1 }]);
+                  assert.deepStrictEqual(db2.prepare('SELECT id, tenantId FROM testB').all(), [{ id : 3, tenantId : 3 }]);
+                  app2._detectAndRequestMissingPatches();
+                  assert.strictEqual(missingPatchRequestsSent(app2), 1);
+                  done();
+                }, 20);
+              }, 20);
+            });
+          });
+        });
+      }, 20);
+    });
+
+    it('should throw if the policy is invalid', function () {
+      start();
+      assert.throws(() => app1.addRemotePeer(3, new EventEmitter(), { sendTables : 'testA' }), /Replication policy tables must be an array of table names/);
+      assert.throws(() => app1.addRemotePeer(3, new EventEmitter(), { acceptTables : [1] }), /Replication policy tables must be an array of table names/);
+      assert.throws(() => app1.addRemotePeer(3, new EventEmitter(), { rowFilter : { tenantId : 1 } }), /Replication policy row filter must be an object of column names and arrays of values/);
+    });
+
+    it('should throw if a column of the row filter is not part of the primary key of a table', function () {
+      start();
+      assert.throws(() => app1.addRemotePeer(3, new EventEmitter(), { rowFilter : { name : ['a'] } }), /Replication policy row filter column name must be part of the primary key of table testA/);
+      app1.addRemotePeer(3, new EventEmitter(), { rowFilter : { regionId : [1] } }); // no table has this column
+      const _addRegion = 'ALTER TABLE testB ADD COLUMN regionId INTEGER; ALTER TABLE testB_patches ADD COLUMN regionId INTEGER;';
+      assert.throws(() => app1.migrate([{ up : _testSchemaWithTestB, down : ''}, { up : _addRegion, down : ''}]), /Replication policy row filter column regionId must be part of the primary key of table testB/);
+      assert.strictEqual(db1.pragma('table_info(testB)').some((col) => col.name === 'regionId'), false); // rolled back
+    });
+  });
+
+  describe('peer discovery', function () {
+    let db, app;
+    let _sent;
+
+    afterEach (function (done) {
+      setTimeout(() => {
+        close(db);
+        done();
+      }, 20);
+    });
+
+    function start (appOptions) {
+      _sent = [];
+      let _sockets;
+      ({ db, app, sockets : _sockets } = startPeer(_testSchema, appOptions, [2], (peerId, message) => _sent.push(message)));
+      return _sockets[2];
+    }
+
+    // the first ping after addRemotePeer is a persistent ping (PATCH of table '_') without addresses
+    function sentPings () {
+      return _sent.filter((msg) => msg.type === PING);
+    }
+
+    it('should advertise my address and the addresses of connected peers in PING messages', function () {
+      const _socket = start({ discovery : true, advertisedAddress : '10.0.0.1:9000' });
+      app._generatePingStatMessage();
+      app._generatePingStatMessage();
+      assert.deepStrictEqual(sentPings()[0].adr, { 1 : '10.0.0.1:9000' });
+      _socket.emit('message', { type : PING, at : hlc.create(), peer : 2, seq : 0, ver : 1, tab : '_', delta : {}, adr : { 2 : '10.0.0.2:9000', 3 : '10.0.0.3:9000' } });
+      app._generatePingStatMessage();
+      // peer 3 is not connected, so its address is not advertised again
+      assert.deepStrictEqual(sentPings()[1].adr, { 1 : '10.0.0.1:9000', 2 : '10.0.0.2:9000' });
+    });
+
+    it('should emit peer:discovered once for each new or changed address of a peer which is not connected', function () {
+      const _socket = start({ discovery : true });
+      const _discovered = [];
+      app.event.on('peer:discovered', (peerId, address) => _discovered.push([peerId, address]));
+      const _ping = { type : PING, at : hlc.create(), peer : 2, seq : 0, ver : 1, tab : '_', delta : {}, adr : { 1 : '10.0.0.1:9000', 2 : '10.0.0.2:9000', 3 : { host : '10.0.0.3', port : 9000 } } };
+      _socket.emit('message', _ping);
+      _socket.emit('message', _ping);
+      _socket.emit('message', { ..._ping, adr : { 3 : { host : '10.0.0.3', port : 9001 }, 4 : null } });
+      assert.deepStrictEqual(_discovered, [[3, { host : '10.0.0.3', port : 9000 }], [3, { host : '10.0.0.3', port : 9001 }]]);
+      app._generatePingStatMessage();
+      app._generatePingStatMessage();
+      // the address of peer 1 is not set
+      assert.deepStrictEqual(sentPings()[0].adr, { 2 : '10.0.0.2:9000' });
+    });
+
+    it('should not advertise or discover addresses without the discovery option', function () {
+      const _socket = start({ advertisedAddress : '10.0.0.1:9000' });
+      const _discovered = [];
+      app.event.on('peer:discovered', (peerId, address) => _discovered.push([peerId, address]));
+      _socket.emit('message', { type : PING, at : hlc.create(), peer : 2, seq : 0, ver : 1, tab : '_', delta : {}, adr : { 3 : '10.0.0.3:9000' } });
+      app._generatePingStatMessage();
+      app._generatePingStatMessage();
+      assert.strictEqual(sentPings()[0].adr, undefined);
+      assert.deepStrictEqual(_discovered, []);
+    });
+  });
+
+  describe('relay', function () {
+    let cluster = null;
+
+    afterEach (function () {
+      cluster?.stop();
+      cluster = null;
+    });
+
+    function metric (app, name) {
+      return parseInt(new RegExp(`${name}\\{peer="\\d+"\\} (\\d+)`).exec(app.metrics())[1], 10);
+    }
+
+    it('should not propagate the patches of a spoke to other spokes without the relay option', function (done) {
+      cluster = Simulator({ nbPeers : 3, topology : [[1, 2], [1, 3]], migrations : [{ up : _testSchema, down : '' }], seed : 1 });
+      cluster.peer(2).app.upsert('testA', { id : 1, tenantId : 1, name : 'from spoke 2' }, () => {
+        cluster.converge((err) => {
+          assert.match(err.message, /Peers have not converged/);
+          assert.deepStrictEqual(cluster.peer(1).db.prepare('SELECT name FROM testA').pluck().all(), ['from spoke 2']);
+          assert.deepStrictEqual(cluster.peer(3).db.prepare('SELECT name FROM testA').pluck().all(), []);
+          done();
+        }, { maxRounds : 3 });
+      });
+    });
+
+    it('should relay the patches of a spoke to other spokes through the hub', function (done) {
+      cluster = Simulator({ nbPeers : 4, topology : [[1, 2], [1, 3], [1, 4]], migrations : [{ up : _testSchema, down : '' }], appOptions : { relay : true }, seed : 1 });
+      cluster.peer(2).app.upsert('testA', { id : 1, tenantId : 1, name : 'from spoke 2' }, () => {
+        cluster.peer(3).app.upsert('testA', { id : 2, tenantId : 1, name : 'from spoke 3' }, () => {
+          cluster.converge((err) => {
+            assert.strictEqual(err, null);
+            cluster.assertConverged();
+            assert.deepStrictEqual(cluster.peer(4).db.prepare('SELECT name FROM testA ORDER BY id').pluck().all(), ['from spoke 2', 'from spoke 3']);
+            assert.strictEqual(metric(cluster.peer(1).app, 'replication_relayed_patches_total') >= 2, true);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should store relayed patches only once and stop relaying them in a loop', function (done) {
+      cluster = Simulator({ nbPeers : 3, topology : [[1, 2], [2, 3], [3, 1]], migrations : [{ up : _testSchema, down : '' }], appOptions : { relay : true }, seed : 2 });
+      cluster.peer(1).app.upsert('testA', { id : 1, tenantId : 1, name : 'from peer 1' }, () => {
+        cluster.converge((err) => {
+          assert.strictEqual(err, null);
+          for (const _peer of cluster.peers) {
+            assert.strictEqual(_peer.db.prepare('SELECT COUNT(*) FROM testA_patches WHERE _peerId = 1').pluck().get(), 1);
+          }
+          // peer 2 and peer 3 relay the patch to each other once, the copies are ignored
+          assert.strictEqual(metric(cluster.peer(2).app, 'replication_relayed_patches_total'), 1);
+          assert.strictEqual(metric(cluster.peer(2).app, 'replication_duplicated_patches_total'), 1);
+          cluster.heartbeat(); // first heartbeat: persistent pings (patches of the table '_') are relayed too
+          setTimeout(() => {
+            const _nbRelayedPatches = metric(cluster.peer(2).app, 'replication_relayed_patches_total');
+            const _messagesSent = cluster.stats.sent;
+            cluster.heartbeat();
+            setTimeout(() => {
+              assert.strictEqual(metric(cluster.peer(2).app, 'replication_relayed_patches_total'), _nbRelayedPatches);
+              assert.strictEqual(cluster.stats.sent - _messagesSent, 6); // one PING per link and direction
+              done();
+            }, 20);
+          }, 20);
+        });
+      });
+    });
+
+    it('should request the missing patches of an origin peer which is only reachable through the hub', function (done) {
+      cluster = Simulator({ nbPeers : 4, topology : [[1, 2], [1, 3], [1, 4]], migrations : [{ up : _testSchema, down : '' }], appOptions : { relay : true }, seed : 5 });
+      cluster.setLink(1, 3, { dropRate : 1 }); // spoke 3 does not receive relayed patches
+      let _nbWrites = 0;
+      for (let i = 1; i <= 10; i++) {
+        cluster.peer(2).app.upsert('testA', { id : i, tenantId : 1, name : 'from spoke 2' }, () => {
+          if (++_nbWrites < 10) {
+            return;
+          }
+          setTimeout(() => {
+            assert.deepStrictEqual(cluster.peer(3).db.prepare('SELECT COUNT(*) FROM testA').pluck().get(), 0);
+            cluster.setLink(1, 3, { dropRate : 0 });
+            cluster.converge((err) => {
+              assert.strictEqual(err, null);
+              cluster.assertConverged();
+              assert.strictEqual(cluster.peer(3).db.prepare('SELECT COUNT(*) FROM testA').pluck().get(), 10);
+              done();
+            });
+          }, 20);
+        });
+      }
+    });
+  });
+
+  describe('send queue', function () {
+    let db, app;
+    let _socket, _sent, _isBackpressure;
+
+    function start (appOptions) {
+      _sent = [];
+      _isBackpressure = false;
+      let _sockets;
+      ({ db, app, sockets : _sockets } = startPeer(_testSchema, appOptions, [2], (peerId, message) => {
+        _sent.push(message);
+        return !_isBackpressure;
+      }));
+      _socket = _sockets[2];
+    }
+
+    function nbQueuedMessages () {
+      return parseInt(/replication_send_queue_messages\{peer="1", remote_peer="2"\} (\d+)/.exec(app.metrics())[1], 10);
+    }
+
+    afterEach (function (done) {
+      setTimeout(() => {
+        close(db);
+        done();
+      }, 20);
+    });
+
+    it('should limit the bytes of retransmitted patches per heartbeat', function (done) {
+      start({ maxRetransmissionBytesPerHeartbeat : 300 });
+      upsertRows(app, 10, () => {
+        _sent = [];
+        app._onRequestForMissingPatchFromPeers({ type : MISSING_PATCH, peer : 1, minSeq : 1, maxSeq : 10, forPeer : 2 });
+        const _nbSentInFirstHeartbeat = _sent.length;
+        assert.strictEqual(_nbSentInFirstHeartbeat > 0, true);
+        assert.strictEqual(_nbSentInFirstHeartbeat < 10, true);
+        assert.strictEqual(JSON.stringify(_sent).length <= 300 + 10, true);
+        assert.strictEqual(nbQueuedMessages(), 10 - _nbSentInFirstHeartbeat);
+        // control and new patches are not limited
+        app._generatePingStatMessage();
+        app._generatePingStatMessage();
+        assert.strictEqual(_sent.length, _nbSentInFirstHeartbeat + 2);
+        for (let i = 0; i < 10 && nbQueuedMessages() > 0; i++) {
+          app._flushSendQueues();
+        }
+        assert.strictEqual(nbQueuedMessages(), 0);
+        assert.deepStrictEqual(_sent.filter((msg) => msg.tab === 'testA').map((msg) => msg.seq), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        done();
+      });
+    });
+
+    it('should not queue again the retransmitted patches which are still queued when the same range is requested again', function (done) {
+      start({ maxRetransmissionBytesPerHeartbeat : 300 });
+      upsertRows(app, 10, () => {
+        _sent = [];
+        const _request = { type : MISSING_PATCH, peer : 1, minSeq : 1, maxSeq : 10, forPeer : 2 };
+        app._onRequestForMissingPatchFromPeers(_request);
+        const _nbSentInFirstHeartbeat = _sent.length;
+        assert.strictEqual(nbQueuedMessages(), 10 - _nbSentInFirstHeartbeat);
+        app._onRequestForMissingPatchFromPeers(_request);
+        app._onRequestForMissingPatchFromPeers(_request);
+        // only the patches already sent are queued again
+        assert.strictEqual(nbQueuedMessages(), 10);
+        for (let i = 0; i < 10 && nbQueuedMessages() > 0; i++) {
+          app._flushSendQueues();
+        }
+        const _sentSequenceIds = _sent.filter((msg) => msg.tab === 'testA').map((msg) => msg.seq);
+        assert.deepStrictEqual(_sentSequenceIds.slice(_nbSentInFirstHeartbeat).sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        // once sent, a patch can be retransmitted again
+        app._onRequestForMissingPatchFromPeers({ ..._request, maxSeq : 1 });
+        app._flushSendQueues();
+        assert.strictEqual(_sent.filter((msg) => msg.tab === 'testA').length, _sentSequenceIds.length + 1);
+        done();
+      });
+    });
+
+    it('should pause on backpressure, and send control messages first when the socket is drained', function (done) {
+      start();
+      upsertRows(app, 1, () => {
+        _sent = [];
+        _isBackpressure = true;
+        app._onRequestForMissingPatchFromPeers({ type : MISSING_PATCH, peer : 1, minSeq : 1, maxSeq : 1, forPeer : 2 });
+        upsertRows(app, 2, () => {
+          app._generatePingStatMessage();
+          app._generatePingStatMessage();
+          assert.strictEqual(_sent.length, 1);
+          assert.strictEqual(nbQueuedMessages(), 4);
+          _isBackpressure = false;
+          _socket.emit('drain');
+          // the retransmitted patch was sent before the backpressure, then control messages are sent first
+          assert.deepStrictEqual(_sent.map((msg) => msg.type), [PATCH, PING, PATCH, PATCH, PATCH]);
+          assert.deepStrictEqual(_sent.filter((msg) => msg.tab === 'testA').map((msg) => msg.seq), [1, 2, 3]);
+          assert.strictEqual(nbQueuedMessages(), 0);
+          done();
+        });
+      });
+    });
+    it('should send only one message per heartbeat while the socket does not emit drain', function (done) {
+      start();
+      upsertRows(app, 1, () => {
+        _sent = [];
+        _isBackpressure = true;
+        upsertRows(app, 3, () => {
+          assert.strictEqual(_sent.length, 1);
+          assert.strictEqual(nbQueuedMessages(), 2);
+          app._flushSendQueues();
+          assert.strictEqual(_sent.length, 2);
+          assert.strictEqual(nbQueuedMessages(), 1);
+          // the socket accepts the probe: the queue is resumed
+          _isBackpressure = false;
+          upsertRows(app, 1, () => {
+            assert.strictEqual(_sent.length, 2);
+            app._flushSendQueues();
+            assert.deepStrictEqual(_sent.filter((msg) => msg.tab === 'testA').map((msg) => msg.seq), [2, 3, 4, 5]);
+            assert.strictEqual(nbQueuedMessages(), 0);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should close the peer when its send queue is full', function (done) {
+      start({ maxSendQueueSize : 2 });
+      let _nbClosed = 0;
+      _socket.close = () => _nbClosed++;
+      const _consoleWarn = console.warn;
+      const _warnings = [];
+      console.warn = (message) => _warnings.push(message);
+      _isBackpressure = true;
+      upsertRows(app, 4, () => {
+        console.warn = _consoleWarn;
+        assert.strictEqual(_sent.length, 1);
+        assert.strictEqual(_nbClosed, 1);
+        assert.deepStrictEqual(_warnings, ['Warning: The send queue of peer 2 is full (2 messages). Close this peer.']);
+        assert.strictEqual(/replication_send_queue_messages\{peer="1", remote_peer="2"\}/.test(app.metrics()), false);
+        done();
+      });
+    });
+
+    it('should pause the snapshot stream while the send queue is paused by backpressure', function (done) {
+      start({ snapshotChunkSize : 1024 });
+      upsertRows(app, 50, () => {
+        _sent = [];
+        _isBackpressure = true;
+        _socket.emit('message', { type : SNAPSHOT_REQUEST, peer : 2 });
+        setTimeout(() => {
+          // the first chunk is sent, then the stream waits for the drain event
+          assert.deepStrictEqual(_sent.map((msg) => msg.type), [SNAPSHOT_CHUNK]);
+          assert.strictEqual(nbQueuedMessages(), 0);
+          _isBackpressure = false;
+          _socket.emit('drain');
+          setTimeout(() => {
+            const _end = _sent[_sent.length - 1];
+            assert.strictEqual(_end.type, SNAPSHOT_END);
+            assert.strictEqual(_end.nbChunks > 1, true);
+            assert.strictEqual(_sent.filter((msg) => msg.type === SNAPSHOT_CHUNK).length, _end.nbChunks);
+            done();
+          }, 200);
+        }, 200);
+      });
+    });
+  });
+
+  describe('lost patches', function () {
+    let db, app;
+    let _sockets, _requests;
+
+    function start (appOptions) {
+      _requests = [];
+      ({ db, app, sockets : _sockets } = startPeer(_testSchema, appOptions, [2, 3], (peerId, message) => {
+        if (message.type === MISSING_PATCH) {
+          _requests.push([peerId, message.peer, message.minSeq, message.maxSeq]);
+        }
+      }));
+      // peer 2 crashed before broadcasting its patch 2
+      const _now = Date.now();
+      _sockets[2].emit('message', { type : PATCH, at : hlc.from(_now - 2), peer : 2, seq : 1, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 1, name : 'seq 1' } });
+      _sockets[2].emit('message', { type : PATCH, at : hlc.from(_now - 1), peer : 2, seq : 3, ver : 1, tab : 'testA', delta : { id : 3, tenantId : 1, name : 'seq 3' } });
+    }
+
+    afterEach (function (done) {
+      setTimeout(() => {
+        close(db);
+        done();
+      }, 20);
+    });
+
+    it('should ask all peers, then replace the lost sequence ids by placeholders and emit patch:lost', function (done) {
+      start({ lostPatchTimeoutMs : 0 });
+      const _lostEvents = [];
+      const _syncedEvents = [];
+      app.event.on('patch:lost', (...args) => _lostEvents.push(args));
+      app.event.on('synced', (peerId) => _syncedEvents.push(peerId));
+      app._detectAndRequestMissingPatches();
+      app._detectAndRequestMissingPatches();
+      assert.deepStrictEqual(_requests, [[2, 2, 2, 2], [3, 2, 2, 2]]);
+      assert.deepStrictEqual(_lostEvents, []);
+      app._detectAndRequestMissingPatches();
+      assert.deepStrictEqual(_lostEvents, [[2, 2, 2]]);
+      assert.deepStrictEqual(_syncedEvents, [2]);
+      assert.strictEqual(app.status().peerStats[2][app.GUARANTEED_CONTIGUOUS_SEQUENCE_ID], 3);
+      assert.deepStrictEqual(db.prepare("SELECT _peerId, _sequenceId, tableName, json(delta) AS delta FROM pending_patches WHERE tableName = '_'").all(), [
+        { _peerId : 2, _sequenceId : 2, tableName : '_', delta : '{"lost":1}' }
+      ]);
+      assert.match(app.metrics(), /replication_lost_patches_total\{peer="1"\} 1/);
+      // the gap is closed: no more requests
+      app._detectAndRequestMissingPatches();
+      assert.strictEqual(_requests.length, 2);
+      // the real patch is still applied if it is received later
+      _sockets[3].emit('message', { type : PATCH, at : hlc.create(), peer : 2, seq : 2, ver : 1, tab : 'testA', delta : { id : 2, tenantId : 1, name : 'seq 2' } });
+      setTimeout(() => {
+        assert.deepStrictEqual(db.prepare('SELECT name FROM testA ORDER BY id').pluck().all(), ['seq 1', 'seq 2', 'seq 3']);
+        done();
+      }, 10);
+    });
+
+    it('should not give up while the disconnected origin peer has not been asked, and ask it when it reconnects', function (done) {
+      start({ lostPatchTimeoutMs : 0 });
+      const _lostEvents = [];
+      app.event.on('patch:lost', (...args) => _lostEvents.push(args));
+      app.closeRemotePeer(2);
+      app._detectAndRequestMissingPatches();
+      app._detectAndRequestMissingPatches();
+      app._detectAndRequestMissingPatches();
+      // only peer 3 is connected: it is asked once, then the range waits for the origin peer
+      assert.deepStrictEqual(_requests, [[3, 2, 2, 2]]);
+      assert.deepStrictEqual(_lostEvents, []);
+      app.addRemotePeer(2, _sockets[2]);
+      app._detectAndRequestMissingPatches();
+      assert.deepStrictEqual(_requests, [[3, 2, 2, 2], [2, 2, 2, 2]]);
+      const _at = db.prepare('SELECT _patchedAt FROM testA_patches WHERE _peerId = 2 AND _sequenceId = 3').pluck().get() - 1;
+      _sockets[2].emit('message', { type : PATCH, at : _at, peer : 2, seq : 2, ver : 1, tab : 'testA', delta : { id : 2, tenantId : 1, name : 'seq 2' } });
+      setTimeout(() => {
+        app._detectAndRequestMissingPatches();
+        assert.deepStrictEqual(_lostEvents, []);
+        assert.deepStrictEqual(_requests, [[3, 2, 2, 2], [2, 2, 2, 2]]);
+        assert.deepStrictEqual(db.prepare('SELECT name FROM testA ORDER BY id').pluck().all(), ['seq 1', 'seq 2', 'seq 3']);
+        done();
+      }, 10);
+    });
+
+    it('should keep asking the origin peer until the timeout is reached', function () {
+      start({ lostPatchTimeoutMs : 60000 });
+      const _lostEvents = [];
+      app.event.on('patch:lost', (...args) => _lostEvents.push(args));
+      for (let i = 0; i < 4; i++) {
+        app._detectAndRequestMissingPatches();
+      }
+      assert.deepStrictEqual(_requests, [[2, 2, 2, 2], [2, 2, 2, 2], [2, 2, 2, 2], [2, 2, 2, 2]]);
+      assert.deepStrictEqual(_lostEvents, []);
+      assert.strictEqual(app.status().peerStats[2][app.GUARANTEED_CONTIGUOUS_SEQUENCE_ID], 1);
+    });
+  });
+
+  describe('patch too old', function () {
+    let db, app;
+    let _socket, _sent;
+
+    beforeEach (function () {
+      _sent = [];
+      let _sockets;
+      ({ db, app, sockets : _sockets } = startPeer(_testSchema, {}, [2], (peerId, message) => _sent.push(message)));
+      _socket = _sockets[2];
+    });
+
+    afterEach (function (done) {
+      setTimeout(() => {
+        close(db);
+        done();
+      }, 20);
+    });
+
+    it('should reply PATCH_TOO_OLD for the part of the range deleted by the retention policy, and retransmit the other patches', function (done) {
+      upsertRows(app, 5, () => {
+        db.prepare('DELETE FROM testA_patches WHERE _sequenceId <= 3').run(); // deleted by the retention policy
+        _sent = [];
+        app._onRequestForMissingPatchFromPeers({ type : MISSING_PATCH, peer : 1, minSeq : 1, maxSeq : 5, forPeer : 2 });
+        assert.deepStrictEqual(_sent[0], { type : PATCH_TOO_OLD, peer : 1, minSeq : 1, maxSeq : 3, forPeer : 2 });
+        assert.deepStrictEqual(_sent.slice(1).map((msg) => [msg.type, msg.seq]), [[PATCH, 4], [PATCH, 5]]);
+        _sent = [];
+        app._onRequestForMissingPatchFromPeers({ type : MISSING_PATCH, peer : 1, minSeq : 4, maxSeq : 4, forPeer : 2 });
+        assert.deepStrictEqual(_sent.map((msg) => [msg.type, msg.seq]), [[PATCH, 4]]);
+        done();
+      });
+    });
+
+    it('should not reply PATCH_TOO_OLD for patches of another peer which I have never received', function () {
+      const _now = Date.now();
+      _socket.emit('message', { type : PATCH, at : hlc.from(_now), peer : 2, seq : 5, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 1, name : 'seq 5' } });
+      _sent = [];
+      app._onRequestForMissingPatchFromPeers({ type : MISSING_PATCH, peer : 2, minSeq : 1, maxSeq : 4, forPeer : 2 });
+      assert.deepStrictEqual(_sent, []);
+    });
+
+    it('should emit resync:required once per range and set the status flag when a PATCH_TOO_OLD reply is received', function () {
+      const _events = [];
+      app.event.on('resync:required', (...args) => _events.push(args));
+      assert.strictEqual(app.status().isResyncRequired, false);
+      _socket.emit('message', { type : PATCH_TOO_OLD, peer : 3, minSeq : 1, maxSeq : 10, forPeer : 1 });
+      _socket.emit('message', { type : PATCH_TOO_OLD, peer : 3, minSeq : 1, maxSeq : 10, forPeer : 1 });
+      _socket.emit('message', { type : PATCH_TOO_OLD, peer : 3, minSeq : 20, maxSeq : 30, forPeer : 4 }); // not for me
+      assert.deepStrictEqual(_events, [[3, 1, 10, 2]]);
+      assert.strictEqual(app.status().isResyncRequired, true);
+    });
+
+    it('should not request again the ranges which are too old', function () {
+      const _now = Date.now();
+      _socket.emit('message', { type : PATCH, at : hlc.from(_now - 2), peer : 2, seq : 1, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 1, name : 'seq 1' } });
+      _socket.emit('message', { type : PATCH, at : hlc.from(_now - 1), peer : 2, seq : 5, ver : 1, tab : 'testA', delta : { id : 5, tenantId : 1, name : 'seq 5' } });
+      const _requests = () => _sent.filter((msg) => msg.type === MISSING_PATCH).map((msg) => [msg.minSeq, msg.maxSeq]);
+      _sent = [];
+      app._detectAndRequestMissingPatches();
+      assert.deepStrictEqual(_requests(), [[2, 4]]);
+      // patches 2 and 3 have been deleted by peer 2, only patch 4 is requested again
+      _socket.emit('message', { type : PATCH_TOO_OLD, peer : 2, minSeq : 2, maxSeq : 3, forPeer : 1 });
+      _sent = [];
+      app._detectAndRequestMissingPatches();
+      assert.deepStrictEqual(_requests(), [[4, 4]]);
+      _socket.emit('message', { type : PATCH_TOO_OLD, peer : 2, minSeq : 4, maxSeq : 4, forPeer : 1 });
+      _sent = [];
+      app._detectAndRequestMissingPatches();
+      assert.deepStrictEqual(_requests(), []);
+      // the gap stays open until a resync
+      assert.strictEqual(app.status().peerStats[2][app.GUARANTEED_CONTIGUOUS_SEQUENCE_ID], 1);
+      assert.strictEqual(app.status().isResyncRequired, true);
+    });
+  });
+
   describe('onUnknownMessage', function () {
     let db, app;
     let _eventEmitter100;
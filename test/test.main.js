@@ -2,10 +2,12 @@ const assert = require('assert');
 const SQLiteOnSteroid = require('../lib/index.js');
 const hlc = require('../lib/hlc.js');
 const path = require('path');
+const os = require('os');
 const fs = require('fs');
 const Database  = require('better-sqlite3');
 const { removeLastTimestampInStats } = require('./helper.js');
 const MockDate = require('mockdate');
+const EventEmitter = require('events');
 
 describe('main', function () {
 
@@ -351,6 +353,176 @@ describe('main', function () {
 
   });
 
+  describe('leader election', function () {
+    let db, app;
+    let sockets;
+    let sentMessages;
+    let leaderEvents;
+
+    function start (appOptions) {
+      db = connect(); // memory db
+      app = SQLiteOnSteroid(db, 105, appOptions);
+      app.migrate([{ up : _testSchema, down : ''}]);
+      sentMessages = [];
+      leaderEvents = [];
+      sockets = {};
+      for (const _peerId of [100, 110]) {
+        sockets[_peerId] = new EventEmitter();
+        sockets[_peerId].send = (message) => sentMessages.push(message);
+      }
+      app.event.on('leader:changed', (...args) => leaderEvents.push(args));
+    }
+
+    function ping (peerId, ldr) {
+      sockets[peerId].emit('message', { type : 20, at : hlc.create(), peer : peerId, seq : 0, ver : 1, tab : '_', delta : {}, ldr });
+    }
+
+    afterEach (function () {
+      app.exit();
+      close(db);
+    });
+
+    it('should elect the peer with the highest priority, and carry the term and the priority in PING messages', function () {
+      start({ leaderPriority : 10 });
+      assert.strictEqual(app.amITheLeader(), true);
+      app.addRemotePeer(100, sockets[100]);
+      app.addRemotePeer(110, sockets[110]);
+      assert.strictEqual(app.amITheLeader(), true); // the priority of other peers is 0 until their first PING
+      assert.deepStrictEqual(app.status().leader, 105);
+      ping(110, [1, 10]); // same priority, greater peer id
+      assert.strictEqual(app.amITheLeader(), true);
+      ping(100, [5, 20]);
+      assert.strictEqual(app.amITheLeader(), false);
+      assert.strictEqual(app.status().leader, 100);
+      assert.strictEqual(app.status().leaderTerm, 6);
+      assert.deepStrictEqual(leaderEvents, [[null, 105, 1], [105, 100, 6]]);
+      app._generatePingStatMessage();
+      app._generatePingStatMessage();
+      assert.deepStrictEqual(sentMessages.filter((msg) => msg.type === 20).map((msg) => msg.ldr), [[6, 10, 100], [6, 10, 100]]);
+    });
+
+    it('should keep the smallest peer id as leader by default', function () {
+      start();
+      app.addRemotePeer(110, sockets[110]);
+      app.addRemotePeer(100, sockets[100]);
+      ping(110, [0, 0]);
+      assert.strictEqual(app.status().leader, 100);
+      assert.deepStrictEqual(leaderEvents, [[null, 105, 1], [105, 100, 2]]);
+    });
+
+    it('should step down when a PING with a higher term names another leader, until my term is higher', function () {
+      start({ leaderPriority : 10 });
+      const _job = app.scheduleOnLeader('invoices', '0 2 * * *', () => {});
+      app.addRemotePeer(100, sockets[100]);
+      app.addRemotePeer(110, sockets[110]);
+      assert.strictEqual(_job.isRunning(), true);
+      ping(100, [4, 0, 110]); // peer 100 has elected 110 in a term I have not seen
+      assert.strictEqual(app.amITheLeader(), false);
+      assert.strictEqual(_job.isRunning(), false);
+      assert.strictEqual(app.status().leader, 105);
+      assert.strictEqual(app.status().leaderTerm, 4);
+      ping(100, [4, 0, 110]);
+      assert.strictEqual(_job.isRunning(), false);
+      ping(110, [5, 0, 105]); // a higher term names me
+      assert.strictEqual(app.amITheLeader(), true);
+      assert.strictEqual(_job.isRunning(), true);
+      assert.strictEqual(app.status().leaderTerm, 5);
+      assert.deepStrictEqual(leaderEvents, [[null, 105, 1]]);
+    });
+
+    it('should ignore the leader info if the term is not an unsigned integer or if the priority is not a finite number', function () {
+      start();
+      app.addRemotePeer(110, sockets[110]);
+      ping(110, [-1, 20]);
+      ping(110, [1.5, 20]);
+      ping(110, ['7', 20]);
+      ping(110, [7, Infinity]);
+      ping(110, [7, '20']);
+      ping(110, [7, 20, 'x']);
+      ping(110, { 0 : 7, 1 : 20 });
+      assert.strictEqual(app.status().leader, 105);
+      assert.strictEqual(app.status().leaderTerm, 1);
+      assert.strictEqual(app.amITheLeader(), true);
+      ping(110, [7, 20]);
+      assert.strictEqual(app.status().leader, 110);
+      assert.strictEqual(app.status().leaderTerm, 8);
+    });
+
+    it('should use a custom election strategy', function () {
+      start({ leaderElection : (candidates) => Math.max(...candidates.filter((candidate) => candidate.isConnected).map((candidate) => candidate.peerId)) });
+      app.addRemotePeer(100, sockets[100]);
+      app.addRemotePeer(110, sockets[110]);
+      assert.strictEqual(app.status().leader, 110);
+      app.closeRemotePeer(110);
+      assert.strictEqual(app.status().leader, 110); // computed again after maxPeerDisconnectionToleranceMs
+      app.addRemotePeer(110, sockets[110]);
+      assert.deepStrictEqual(leaderEvents, [[null, 105, 1], [105, 110, 2]]);
+    });
+  });
+
+
+  describe('scheduleOnLeader', function () {
+    let db, app;
+
+    beforeEach (function () {
+      db = connect(); // memory db
+      app = SQLiteOnSteroid(db, 105, { maxPeerDisconnectionToleranceMs : 100 });
+      app.migrate([{ up : _testSchema, down : ''}]);
+    });
+
+    afterEach (function () {
+      app.exit();
+      close(db);
+    });
+
+    function metric (name, job) {
+      return Number(new RegExp(`${name}\\{peer="105", job="${job}"\\} (\\d+)`).exec(app.metrics())[1]);
+    }
+
+    it('should run the job only on the leader, and move it when the leadership changes', function (done) {
+      const _job = app.scheduleOnLeader('invoices', '0 2 * * *', () => {});
+      assert.strictEqual(app.amITheLeader(), true);
+      assert.strictEqual(_job.isRunning(), true);
+      app.addRemotePeer(100, { send : () => {} });
+      assert.strictEqual(_job.isRunning(), false);
+      assert.strictEqual(app.scheduleOnLeader('cleanup', '0 3 * * *', () => {}).isRunning(), false);
+      app.closeRemotePeer(100);
+      setTimeout(() => {
+        assert.strictEqual(_job.isRunning(), true);
+        assert.strictEqual(metric('leader_job_last_run_timestamp', 'invoices'), 0);
+        done();
+      }, 200);
+    });
+
+    it('should run the job as soon as it is scheduled on a node with no remote peers', function () {
+      const _job = app.scheduleOnLeader('invoices', '0 2 * * *', () => {});
+      assert.strictEqual(_job.isRunning(), true); // the leader role is determined when the job is scheduled
+    });
+
+    it('should report the last run time and the errors of each job in metrics', function (done) {
+      let _nbRuns = 0;
+      app.amITheLeader();
+      const _job = app.scheduleOnLeader('sync', '0 2 * * *', () => {
+        _nbRuns++;
+        return Promise.reject(new Error('failed'));
+      });
+      const _before = Date.now();
+      _job.trigger().then(() => {
+        assert.strictEqual(_nbRuns, 1);
+        assert.strictEqual(metric('leader_job_last_run_timestamp', 'sync') >= _before, true);
+        assert.strictEqual(metric('leader_job_errors_total', 'sync'), 1);
+        done();
+      });
+    });
+
+    it('should throw if the name is already used or if the cron expression is invalid', function () {
+      app.scheduleOnLeader('invoices', '0 2 * * *', () => {});
+      assert.throws(() => app.scheduleOnLeader('invoices', '0 2 * * *', () => {}), /Invalid or already scheduled leader job name "invoices"/);
+      assert.throws(() => app.scheduleOnLeader('cleanup', 'invalid', () => {}), /Invalid cron syntax of leader job "cleanup"/);
+      assert.throws(() => app.scheduleOnLeader('cleanup', '0 2 * * *'), /The leader job "cleanup" must be a function/);
+    });
+  });
+
 
   describe('upsert (With Existing Patches)', function () {
     let db, app;
@@ -454,8 +626,8 @@ describe('main', function () {
       const _preExistingPatch1 = `
         INSERT INTO pending_patches (_patchedAt, _peerId, _sequenceId, patchVersion, tableName, delta)
         VALUES 
-          (${hlc.from(existingPatchTimestamp + 200)}, 1800, 3, 1, 'testA', jsonb('{"id":15,"tenantId":25,"name":"pending1","deletedAt":105,"createdAt":205}')),
-          (${hlc.from(existingPatchTimestamp + 300)}, 1800, 4, 1, 'testA', jsonb('{"id":16,"tenantId":26,"name":"pending2","deletedAt":106,"createdAt":206}'))
+          (${hlc.from(existingPatchTimestamp + 200)}, 1800, 3, 2, 'testA', jsonb('{"id":15,"tenantId":25,"name":"pending1","deletedAt":105,"createdAt":205}')),
+          (${hlc.from(existingPatchTimestamp + 300)}, 1800, 4, 2, 'testA', jsonb('{"id":16,"tenantId":26,"name":"pending2","deletedAt":106,"createdAt":206}'))
       `;
       app.migrate([{ up : _preExistingPatch1, down : ''}]); // Empty table migration since schema already exists
       // Insert a new patch - should continue from sequenceId 4
@@ -506,8 +678,8 @@ describe('main', function () {
       const _preExistingPatch1 = `
         INSERT INTO pending_patches (_patchedAt, _peerId, _sequenceId, patchVersion, tableName, delta)
         VALUES 
-          (${hlc.from(existingPatchTimestamp - 50)}, 1800, 3, 1, 'testA', jsonb('{"id":15,"tenantId":25,"name":"pending1","deletedAt":105,"createdAt":205}')),
-          (${hlc.from(existingPatchTimestamp - 300)}, 1800, 4, 1, 'testA', jsonb('{"id":16,"tenantId":26,"name":"pending2","deletedAt":106,"createdAt":206}'))
+          (${hlc.from(existingPatchTimestamp - 50)}, 1800, 3, 2, 'testA', jsonb('{"id":15,"tenantId":25,"name":"pending1","deletedAt":105,"createdAt":205}')),
+          (${hlc.from(existingPatchTimestamp - 300)}, 1800, 4, 2, 'testA', jsonb('{"id":16,"tenantId":26,"name":"pending2","deletedAt":106,"createdAt":206}'))
       `;
       app.migrate([{ up : _preExistingPatch1, down : ''}]);
       // Delete old patches
@@ -768,6 +940,36 @@ describe('main', function () {
       }, patchApplyDelayMs);
     });
 
+    it('should apply pending patches with the same version as soon as the database is migrated to this version', function (done) {
+      const _constantTimestamp = Date.now();
+      const _rowPatch1 = { at : hlc.from(_constantTimestamp - 2), peer : 21, seq : 1, ver : 2, tab : 'testA', delta : { id : 2, tenantId : 3, name : '3a', unknownColumn : 1 } };
+      const _rowPatch2 = { at : hlc.from(_constantTimestamp - 1), peer : 21, seq : 2, ver : 2, tab : 'testA', delta : { id : 2, tenantId : 3, name : '3b' } };
+      const _rowPatch3 = { at : hlc.from(_constantTimestamp), peer : 22, seq : 3, ver : 3, tab : 'testA', delta : { id : 3, tenantId : 4, name : '4a' } };
+      const _rowPatch4 = { at : hlc.from(_constantTimestamp), peer : 21, seq : 3, ver : 2, tab : 'unknownTable', delta : { id : 1 } };
+      const _pingPatch = { at : hlc.from(_constantTimestamp), peer : 21, seq : 4, ver : 2, tab : '_', delta : { 20 : [1, 1] } };
+      for (const _patch of [_rowPatch2, _rowPatch1, _rowPatch3, _rowPatch4, _pingPatch]) {
+        app._onPatchReceivedFromPeers(_patch);
+      }
+      assert.strictEqual(db.prepare('SELECT * FROM pending_patches').all().length, 5);
+      const _result = app.migrate([{ up : _testSchema, down : '' }, { up : 'SELECT 1', down : 'SELECT 1' }]);
+      assert.deepStrictEqual(_result, { currentVersion : 2, previousVersion : 1 });
+      // patches are moved in the patch table and applied
+      const _patchRows = db.prepare('SELECT _peerId, _sequenceId, id, tenantId, name FROM testA_patches ORDER BY _sequenceId').all();
+      assert.deepStrictEqual(_patchRows, [
+        { _peerId : 21, _sequenceId : 1, id : 2, tenantId : 3, name : '3a' },
+        { _peerId : 21, _sequenceId : 2, id : 2, tenantId : 3, name : '3b' }
+      ]);
+      assert.deepStrictEqual(db.prepare('SELECT id, tenantId, name FROM testA').all(), [{ id : 2, tenantId : 3, name : '3b' }]);
+      // Other versions, unknown tables and ping stats stay in pending_patches
+      const _pendingPatchRows = db.prepare('SELECT _peerId, _sequenceId, patchVersion, tableName FROM pending_patches ORDER BY _sequenceId, tableName').all();
+      assert.deepStrictEqual(_pendingPatchRows, [
+        { _peerId : 22, _sequenceId : 3, patchVersion : 3, tableName : 'testA' },
+        { _peerId : 21, _sequenceId : 3, patchVersion : 2, tableName : 'unknownTable' },
+        { _peerId : 21, _sequenceId : 4, patchVersion : 2, tableName : '_' }
+      ]);
+      done();
+    });
+
     it('should process 100000 patches within a reasonable time', function (done) {
       const _numPatches = 100000;
       const _threshold = 500;
@@ -853,8 +1055,8 @@ describe('main', function () {
       app._generatePingStatMessage(false);
       const _patchRows2 = db.prepare('SELECT * FROM pending_patches').all();
       assert.equal(_patchRows2.length, 1);
-      assert.deepStrictEqual(messageSentToPeer10[1], { type : 20 /* PEER_STATS */, at : 193226342400000, peer : 1, seq : 1, ver : 1, tab : '_', delta : { 2 : [0, 0, 0, 0, 0, 0], 10 : [0, 0, 0, 0, 0, 0] } });
-      assert.deepStrictEqual(messageSentToPeer2[1], { type : 20 /* PEER_STATS */ , at : 193226342400000, peer : 1, seq : 1, ver : 1, tab : '_', delta : { 2 : [0, 0, 0, 0, 0, 0], 10 : [0, 0, 0, 0, 0, 0] } });
+      assert.deepStrictEqual(messageSentToPeer10[1], { type : 20 /* PEER_STATS */, at : 193226342400000, peer : 1, seq : 1, ver : 1, tab : '_', delta : { 2 : [0, 0, 0, 0, 0, 0], 10 : [0, 0, 0, 0, 0, 0] }, ldr : [1, 0, 1] });
+      assert.deepStrictEqual(messageSentToPeer2[1], { type : 20 /* PEER_STATS */ , at : 193226342400000, peer : 1, seq : 1, ver : 1, tab : '_', delta : { 2 : [0, 0, 0, 0, 0, 0], 10 : [0, 0, 0, 0, 0, 0] }, ldr : [1, 0, 1] });
 
       // create a persistent ping messgae
       app._generatePingStatMessage(true);
@@ -984,6 +1186,82 @@ describe('main', function () {
       }, patchApplyDelayMs);
     });
 
+    it('should ask the connected peer which has received the most patches of the origin peer if the origin peer is not connected, and ignore duplicated answers', function (done) {
+      const _messagesPerPeer = { 2 : [], 10 : [], 11 : [] };
+      const _sockets = {};
+      app = SQLiteOnSteroid(db, 1);
+      for (const _peerId of [2, 10, 11]) {
+        _sockets[_peerId] = new EventEmitter();
+        _sockets[_peerId].send = (message) => _messagesPerPeer[_peerId].push(message);
+        app.addRemotePeer(_peerId, _sockets[_peerId]);
+      }
+      app.migrate([{ up : _testSchema, down : ''}]);
+      const _at = hlc.from(Date.now());
+      // Origin peer 3 is not connected (crashed). Patches 2, 3 and 4 are missing
+      app._onPatchReceivedFromPeers({ at : _at, peer : 3, seq : 1, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 3, name : '1a' } });
+      app._onPatchReceivedFromPeers({ at : _at, peer : 3, seq : 5, ver : 1, tab : 'testA', delta : { id : 5, tenantId : 3, name : '5a' } });
+      // No peer knows peer 3
+      app._getMissingPatches(0);
+      assert.deepStrictEqual(_messagesPerPeer, { 2 : [], 10 : [], 11 : [] });
+      // Peer 2 has received all patches up to 2, peer 10 up to 4, and peer 11 has not received the range
+      const _ping = (peer, stat) => ({ type : 20, at : _at, peer, seq : 0, ver : 1, tab : '_', delta : { 3 : stat } });
+      _sockets[2].emit('message', _ping(2 , [_at, 5, _at, 2, 0, 0]));
+      _sockets[10].emit('message', _ping(10, [_at, 5, _at, 4, 0, 0]));
+      _sockets[11].emit('message', _ping(11, [_at, 1, _at, 1, 0, 0]));
+      app._getMissingPatches(0);
+      assert.deepStrictEqual(_messagesPerPeer, { 2 : [], 10 : [{ type : 30, peer : 3, minSeq : 2, maxSeq : 4, forPeer : 1 }], 11 : [] });
+      // Both peers answer: duplicated patches are stored once
+      const _patch2 = { type : 10, at : _at, peer : 3, seq : 2, ver : 1, tab : 'testA', delta : { id : 2, tenantId : 3, name : '2a' } };
+      app._onPatchReceivedFromPeers(_patch2);
+      app._onPatchReceivedFromPeers(_patch2);
+      assert.deepStrictEqual(db.prepare('SELECT _sequenceId FROM testA_patches WHERE _peerId = 3 ORDER BY _sequenceId').pluck().all(), [1, 2, 5]);
+      assert.match(app.metrics(), /_replication_duplicated_patches_total\{peer="1"\} 1/);
+      done();
+    });
+
+    it('should request the first and the last patches of a connected peer which are lost, thanks to the last sequence id of its PING messages', function () {
+      const _messages = [];
+      const _socket = new EventEmitter();
+      _socket.send = (message) => _messages.push(message);
+      app = SQLiteOnSteroid(db, 1);
+      app.addRemotePeer(2, _socket);
+      app.migrate([{ up : _testSchema, down : ''}]);
+      const _at = hlc.from(Date.now());
+      // Patches 1, 2, 4 and 5 of peer 2 are lost. Only its PING message tells that its last sequence id is 5
+      app._onPatchReceivedFromPeers({ type : 10, at : _at, peer : 2, seq : 3, ver : 1, tab : 'testA', delta : { id : 3, tenantId : 2, name : '3a' } });
+      _socket.emit('message', { type : 20, at : _at, peer : 2, seq : 5, ver : 1, tab : '_', delta : {} });
+      app._getMissingPatches(0);
+      assert.deepStrictEqual(_messages, [
+        { type : 30, peer : 2, minSeq : 1, maxSeq : 2, forPeer : 1 },
+        { type : 30, peer : 2, minSeq : 4, maxSeq : 5, forPeer : 1 }
+      ]);
+      // All patches are received
+      _messages.length = 0;
+      for (const _seq of [1, 2, 4, 5]) {
+        app._onPatchReceivedFromPeers({ type : 10, at : _at, peer : 2, seq : _seq, ver : 1, tab : 'testA', delta : { id : _seq, tenantId : 2, name : `${_seq}a` } });
+      }
+      app._getMissingPatches(0);
+      assert.deepStrictEqual(_messages, []);
+      assert.strictEqual(app.status().peerStats[2][app.GUARANTEED_CONTIGUOUS_SEQUENCE_ID], 5);
+    });
+
+    it('should not request the first patches of a peer if the first stored patch was received before startup (older patches are deleted by the retention policy)', function () {
+      const _messages = [];
+      const _socket = new EventEmitter();
+      _socket.send = (message) => _messages.push(message);
+      app = SQLiteOnSteroid(db, 1);
+      app.migrate([{ up : _testSchema, down : ''}]);
+      // Patches 1 to 4 of peer 2 have been deleted by the retention policy, before a restart
+      const _at = hlc.from(Date.now() - 60000);
+      app._onPatchReceivedFromPeers({ type : 10, at : _at, peer : 2, seq : 5, ver : 1, tab : 'testA', delta : { id : 5, tenantId : 2, name : '5a' } });
+      app = SQLiteOnSteroid(db, 1);
+      app.addRemotePeer(2, _socket);
+      app.migrate([{ up : _testSchema, down : ''}]);
+      _socket.emit('message', { type : 20, at : hlc.from(Date.now()), peer : 2, seq : 6, ver : 1, tab : '_', delta : {} });
+      app._getMissingPatches(0);
+      assert.deepStrictEqual(_messages, [{ type : 30, peer : 2, minSeq : 6, maxSeq : 6, forPeer : 1 }]);
+    });
+
     it('should efficiently detect missing sequence IDs with a large number of patches, and a large number of missing sequence IDs. Should not crash if there is no corresponding sockets', function (done) {
       app = SQLiteOnSteroid(db, 1);
       app.addRemotePeer(2, fakePeerSockets[2]);
@@ -1208,6 +1486,524 @@ describe('main', function () {
     });
   });
 
+  describe('transaction (group patch)', function () {
+    let db, app;
+    let messagesPerPeer = {};
+    const _orderSchema = `
+      CREATE TABLE orders (
+        id            INTEGER NOT NULL,
+        total         INTEGER,
+        PRIMARY KEY (id)
+      ) STRICT;
+
+      CREATE TABLE orders_patches (
+        _patchedAt    INTEGER  NOT NULL,
+        _sequenceId   INTEGER  NOT NULL,
+        _peerId       INTEGER  NOT NULL,
+        id            INTEGER NOT NULL,
+        total         INTEGER
+      ) STRICT;
+
+      CREATE INDEX orders_patches_at_idx ON orders_patches (_patchedAt);
+    `;
+    beforeEach (function () {
+      db = connect(); // memory db
+      messagesPerPeer = { 10 : [] };
+      app = SQLiteOnSteroid(db, 1);
+      app.addRemotePeer(10, { send : (message) => messagesPerPeer[10].push(message) });
+      app.migrate([{ up : _testSchema + _orderSchema, down : ''}]);
+    });
+    afterEach (function () {
+      close(db);
+    });
+
+    it('should write all rows in one transaction with a contiguous sequence range, and broadcast them with the group range', function (done) {
+      app.upsert('orders', { id : 1, total : 0 }, (err) => {
+        assert.ifError(err);
+        app.transaction([
+          { table : 'orders', row : { id : 1, total : 20 } },
+          { table : 'testA' , row : { id : 1, tenantId : 1, name : 'line1', unknownColumn : 1 } },
+          { table : 'testA' , row : { id : 2, tenantId : 1, name : 'line2' } }
+        ], (err, sessionToken) => {
+          assert.ifError(err);
+          assert.strictEqual(sessionToken, '1.4');
+          assert.strictEqual(app.status().lastSequenceId, 4);
+          assert.deepStrictEqual(db.prepare('SELECT * FROM orders').all(), [{ id : 1, total : 20 }]);
+          assert.deepStrictEqual(db.prepare('SELECT id, name FROM testA ORDER BY id').all(), [{ id : 1, name : 'line1' }, { id : 2, name : 'line2' }]);
+          assert.deepStrictEqual(db.prepare('SELECT _peerId, minSequenceId, maxSequenceId, isApplied FROM patch_groups').all(), [
+            { _peerId : 1, minSequenceId : 2, maxSequenceId : 4, isApplied : 1 }
+          ]);
+          const _groupMessages = messagesPerPeer[10].filter(msg => msg.grp);
+          assert.deepStrictEqual(_groupMessages.map(msg => [msg.seq, msg.tab, msg.grp]), [[2, 'orders', [2, 4]], [3, 'testA', [2, 4]], [4, 'testA', [2, 4]]]);
+          assert.strictEqual(new Set(_groupMessages.map(msg => msg.at)).size, 1);
+          assert.deepStrictEqual(_groupMessages[1].delta, { id : 1, tenantId : 1, name : 'line1' });
+          done();
+        });
+      });
+    });
+
+    it('should return an error and write nothing if a table is unknown or if the transaction is empty', function (done) {
+      app.transaction([
+        { table : 'orders' , row : { id : 1, total : 20 } },
+        { table : 'unknown', row : { id : 1 } }
+      ], (err) => {
+        assert.strictEqual(err.message, 'Table unknown not found');
+        assert.strictEqual(app.status().lastSequenceId, 0);
+        assert.deepStrictEqual(db.prepare('SELECT * FROM orders_patches').all(), []);
+        app.transaction([], (err) => {
+          assert.strictEqual(err.message, 'A transaction must contain at least one row');
+          done();
+        });
+      });
+    });
+
+    it('should apply a group patch received from a peer only when all its patches are received, whatever the order', function () {
+      const _at = hlc.from(Date.now());
+      const _group = [
+        { type : 10, at : _at, peer : 10, seq : 5, ver : 1, tab : 'orders', grp : [5, 7], delta : { id : 1, total : 20 } },
+        { type : 10, at : _at, peer : 10, seq : 6, ver : 1, tab : 'testA' , grp : [5, 7], delta : { id : 1, tenantId : 1, name : 'line1' } },
+        { type : 10, at : _at, peer : 10, seq : 7, ver : 1, tab : 'testA' , grp : [5, 7], delta : { id : 2, tenantId : 1, name : 'line2' } }
+      ];
+      app._onPatchReceivedFromPeers(_group[2]);
+      app._onPatchReceivedFromPeers(_group[0]);
+      app._onPatchReceivedFromPeers(_group[0]); // duplicated message
+      assert.deepStrictEqual(db.prepare('SELECT * FROM orders').all(), []);
+      assert.deepStrictEqual(db.prepare('SELECT * FROM testA').all(), []);
+      assert.strictEqual(db.prepare('SELECT * FROM pending_patches').all().length, 2);
+      // Retransmitted patches of an incomplete group keep the group range
+      app._onRequestForMissingPatchFromPeers({ type : 30, peer : 10, minSeq : 5, maxSeq : 7, forPeer : 10 });
+      assert.deepStrictEqual(messagesPerPeer[10].map(msg => [msg.seq, msg.grp]), [[5, [5, 7]], [7, [5, 7]]]);
+      // last patch of the group received
+      app._onPatchReceivedFromPeers(_group[1]);
+      assert.deepStrictEqual(db.prepare('SELECT * FROM orders').all(), [{ id : 1, total : 20 }]);
+      assert.deepStrictEqual(db.prepare('SELECT id, name FROM testA ORDER BY id').all(), [{ id : 1, name : 'line1' }, { id : 2, name : 'line2' }]);
+      assert.deepStrictEqual(db.prepare('SELECT * FROM pending_patches').all(), []);
+      assert.deepStrictEqual(db.prepare('SELECT _sequenceId FROM testA_patches ORDER BY _sequenceId').all(), [{ _sequenceId : 6 }, { _sequenceId : 7 }]);
+      // late duplicated message is ignored
+      app._onPatchReceivedFromPeers(_group[1]);
+      assert.deepStrictEqual(db.prepare('SELECT * FROM pending_patches').all(), []);
+      // retransmission contains the group range
+      messagesPerPeer[10] = [];
+      app._onRequestForMissingPatchFromPeers({ type : 30, peer : 10, minSeq : 6, maxSeq : 6, forPeer : 10 });
+      assert.deepStrictEqual(messagesPerPeer[10], [{ type : 10, at : _at, peer : 10, seq : 6, ver : 1, tab : 'testA', grp : [5, 7], delta : { id : 1, tenantId : 1, name : 'line1', deletedAt : null, createdAt : null, binary : null } }]);
+    });
+  });
+
+  describe('remove (tombstone)', function () {
+    let db, app;
+    let messagesSentToPeer10 = [];
+    const _itemSchema = `
+      CREATE TABLE items (
+        id            INTEGER NOT NULL,
+        label         TEXT,
+        removedAt     INTEGER,
+        PRIMARY KEY (id)
+      ) STRICT;
+
+      CREATE TABLE items_patches (
+        _patchedAt    INTEGER  NOT NULL,
+        _sequenceId   INTEGER  NOT NULL,
+        _peerId       INTEGER  NOT NULL,
+        id            INTEGER NOT NULL,
+        label         TEXT,
+        removedAt     INTEGER
+      ) STRICT;
+
+      CREATE INDEX items_patches_at_idx ON items_patches (_patchedAt);
+    `;
+    beforeEach (function () {
+      db = connect(); // memory db
+      messagesSentToPeer10 = [];
+      app = SQLiteOnSteroid(db, 1, { tombstoneColumns : { items : 'removedAt' } });
+      app.addRemotePeer(10, { send : (message) => messagesSentToPeer10.push(message) });
+      app.migrate([{ up : _testSchema + _itemSchema, down : ''}]);
+    });
+    afterEach (function () {
+      MockDate.reset();
+      close(db);
+    });
+
+    it('should write a replicated tombstone patch (composite primary key) and hide the row in the alive view', function (done) {
+      MockDate.set(1759276800000);
+      app.upsert('testA', { id : 1, tenantId : 2, name : 'a' }, () => {
+        app.upsert('testA', { id : 2, tenantId : 2, name : 'b' }, () => {
+          app.remove('testA', { id : 1, tenantId : 2, name : 'ignored' }, (err, sessionToken) => {
+            assert.ifError(err);
+            assert.strictEqual(sessionToken, '1.3');
+            assert.deepStrictEqual(db.prepare('SELECT id, name, deletedAt FROM testA ORDER BY id').all(), [
+              { id : 1, name : 'a', deletedAt : 1759276800000 },
+              { id : 2, name : 'b', deletedAt : null }
+            ]);
+            assert.deepStrictEqual(db.prepare('SELECT id, name FROM testA_alive').all(), [{ id : 2, name : 'b' }]);
+            assert.deepStrictEqual(messagesSentToPeer10[messagesSentToPeer10.length - 1].delta, { id : 1, tenantId : 2, deletedAt : 1759276800000 });
+            // A later upsert without tombstone does not resurrect the row
+            app.upsert('testA', { id : 1, tenantId : 2, name : 'a2' }, () => {
+              assert.deepStrictEqual(db.prepare('SELECT id, name FROM testA_alive').all(), [{ id : 2, name : 'b' }]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should use the configured tombstone column and accept a single primary key value', function (done) {
+      MockDate.set(1759276800000);
+      app.upsert('items', { id : 1, label : 'a' }, () => {
+        app.remove('items', 1, (err) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(db.prepare('SELECT * FROM items').all(), [{ id : 1, label : 'a', removedAt : 1759276800000 }]);
+          assert.deepStrictEqual(db.prepare('SELECT * FROM items_alive').all(), []);
+          done();
+        });
+      });
+    });
+
+    it('should return an error if the table, the tombstone column or the primary key is not valid', function (done) {
+      app.remove('unknown', 1, (err) => {
+        assert.strictEqual(err.message, 'Table unknown not found');
+        app.remove('testA', 1, (err) => {
+          assert.strictEqual(err.message, 'Invalid primary key for table testA. Expected columns: id, tenantId');
+          app.remove('testA', { id : 1 }, (err) => {
+            assert.strictEqual(err.message, 'Missing primary key column tenantId of table testA');
+            assert.strictEqual(app.status().lastSequenceId, 0);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should recreate the alive views after a new migration', function () {
+      app.migrate([{ up : _testSchema + _itemSchema, down : ''}, { up : 'ALTER TABLE items RENAME COLUMN label TO title; ALTER TABLE items_patches RENAME COLUMN label TO title;', down : '' }]);
+      assert.deepStrictEqual(db.pragma('table_info(items_alive)').map(col => col.name), ['id', 'title', 'removedAt']);
+    });
+
+    it('should create the alive views in the database file, so other connections can read them, and drop them if the tombstone column is dropped', function (done) {
+      const _testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replic-sqlite-test-alive-'));
+      const _filename = path.join(_testDir, 'test.sqlite');
+      const _fileDb = connect(_filename);
+      const _fileApp = SQLiteOnSteroid(_fileDb, 1, { tombstoneColumns : { items : 'removedAt' } });
+      _fileApp.migrate([{ up : _itemSchema, down : ''}]);
+      _fileApp.upsert('items', { id : 1, label : 'a' }, () => {
+        _fileApp.remove('items', 1, () => {
+          const _otherDb = connect(_filename);
+          assert.deepStrictEqual(_otherDb.prepare('SELECT COUNT(*) FROM items').pluck().get(), 1);
+          assert.deepStrictEqual(_otherDb.prepare('SELECT * FROM items_alive').all(), []);
+          close(_otherDb);
+          close(_fileDb);
+          // restart: the tombstone column is dropped by a new migration
+          const _restartedDb = connect(_filename);
+          const _restartedApp = SQLiteOnSteroid(_restartedDb, 1, { tombstoneColumns : { items : 'removedAt' } });
+          _restartedApp.migrate([{ up : _itemSchema, down : ''}, { up : 'ALTER TABLE items DROP COLUMN removedAt; ALTER TABLE items_patches DROP COLUMN removedAt;', down : '' }]);
+          assert.strictEqual(_restartedDb.prepare("SELECT COUNT(*) FROM sqlite_master WHERE name = 'items_alive'").pluck().get(), 0);
+          close(_restartedDb);
+          fs.rmSync(_testDir, { recursive : true, force : true });
+          done();
+        });
+      });
+    });
+  });
+
+  describe('change event', function () {
+    let db, app;
+    let changes = [];
+    beforeEach (function () {
+      db = connect(); // memory db
+      changes = [];
+      app = SQLiteOnSteroid(db, 1, {});
+      app.migrate([{ up : _testSchema, down : ''}]);
+      app.event.on('change', (table, primaryKeys, hlcRange) => changes.push({ table, primaryKeys, hlcRange }));
+    });
+    afterEach (function () {
+      close(db);
+    });
+
+    it('should emit the primary keys of rows changed by a local upsert', function (done) {
+      app.upsert('testA', { id : 1, tenantId : 2, name : 'a' }, () => {
+        const _at = db.prepare('SELECT _patchedAt FROM testA_patches').pluck().get();
+        assert.deepStrictEqual(changes, [{ table : 'testA', primaryKeys : [{ id : 1, tenantId : 2 }], hlcRange : [_at, _at] }]);
+        done();
+      });
+    });
+
+    it('should emit one event when debounced remote patches are applied', function (done) {
+      const _at = hlc.from(Date.now());
+      app._onPatchReceivedFromPeers({ at : _at + 2, peer : 20, seq : 1, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 2, name : 'a' } });
+      app._onPatchReceivedFromPeers({ at : _at + 1, peer : 21, seq : 1, ver : 1, tab : 'testA', delta : { id : 3, tenantId : 2, name : 'b' } });
+      app._onPatchReceivedFromPeers({ at : _at + 3, peer : 20, seq : 2, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 2, name : 'c' } });
+      assert.deepStrictEqual(changes, []);
+      setImmediate(() => {
+        assert.deepStrictEqual(changes, [{ table : 'testA', primaryKeys : [{ id : 1, tenantId : 2 }, { id : 3, tenantId : 2 }], hlcRange : [_at + 1, _at + 3] }]);
+        assert.deepStrictEqual(db.prepare('SELECT id, name FROM testA ORDER BY id').all(), [{ id : 1, name : 'c' }, { id : 3, name : 'b' }]);
+        done();
+      });
+    });
+
+    it('should emit the events of a transaction after the commit', function (done) {
+      app.event.on('change', () => assert.strictEqual(db.inTransaction, false));
+      app.transaction([
+        { table : 'testA', row : { id : 1, tenantId : 2, name : 'a' } },
+        { table : 'testA', row : { id : 2, tenantId : 2, name : 'b' } }
+      ], (err) => {
+        assert.ifError(err);
+        assert.strictEqual(changes.length, 1);
+        assert.deepStrictEqual(changes[0].primaryKeys, [{ id : 1, tenantId : 2 }, { id : 2, tenantId : 2 }]);
+        done();
+      });
+    });
+
+    it('should log the error of a listener without breaking the broadcast, the callback and the other listeners', function (done) {
+      const _sent = [];
+      app.addRemotePeer(10, { send : (message) => _sent.push(message) });
+      const _errors = [];
+      const _consoleError = console.error;
+      console.error = (...args) => _errors.push(args);
+      app.event.prependListener('change', () => {
+        throw new Error('listener failed');
+      });
+      app.upsert('testA', { id : 1, tenantId : 2, name : 'a' }, (err) => {
+        console.error = _consoleError;
+        assert.ifError(err);
+        assert.strictEqual(_errors.length, 1);
+        assert.strictEqual(_errors[0][2].message, 'listener failed');
+        assert.strictEqual(changes.length, 1);
+        assert.strictEqual(_sent.length, 1);
+        assert.deepStrictEqual(_sent[0].delta, { id : 1, tenantId : 2, name : 'a' });
+        done();
+      });
+    });
+  });
+
+  describe('increment (counter columns)', function () {
+    let db, app;
+    let messagesSentToPeer10 = [];
+    const _stockSchema = `
+      CREATE TABLE stock (
+        id            INTEGER NOT NULL,
+        label         TEXT,
+        quantity      INTEGER,
+        PRIMARY KEY (id)
+      ) STRICT;
+
+      CREATE TABLE stock_patches (
+        _patchedAt    INTEGER  NOT NULL,
+        _sequenceId   INTEGER  NOT NULL,
+        _peerId       INTEGER  NOT NULL,
+        id            INTEGER NOT NULL,
+        label         TEXT,
+        quantity      INTEGER
+      ) STRICT;
+
+      CREATE INDEX stock_patches_at_idx ON stock_patches (_patchedAt);
+      CREATE INDEX stock_patches_id_idx ON stock_patches (id);
+    `;
+    beforeEach (function () {
+      db = connect(); // memory db
+      messagesSentToPeer10 = [];
+      app = SQLiteOnSteroid(db, 1, { counterColumns : { stock : ['quantity'] }, maxPatchRetentionMs : 1000 });
+      app.addRemotePeer(10, { send : (message) => messagesSentToPeer10.push(message) });
+      app.migrate([{ up : _testSchema + _stockSchema, down : ''}]);
+    });
+    afterEach (function () {
+      close(db);
+    });
+
+    it('should warn if the patch table has no index on the primary key columns', function () {
+      const _warnings = [];
+      const _consoleWarn = console.warn;
+      console.warn = (message) => _warnings.push(message);
+      try {
+        const _db = connect();
+        const _app = SQLiteOnSteroid(_db, 1, { counterColumns : { stock : ['quantity'] } });
+        _app.migrate([{ up : _stockSchema.replace('CREATE INDEX stock_patches_id_idx ON stock_patches (id);', ''), down : ''}]);
+        close(_db);
+        assert.deepStrictEqual(_warnings, ['Warning: Table stock_patches is missing an index on primary key columns (id) which may impact performance of counter columns']);
+        // no warning with the index
+        _warnings.length = 0;
+        const _dbWithIndex = connect();
+        SQLiteOnSteroid(_dbWithIndex, 1, { counterColumns : { stock : ['quantity'] } }).migrate([{ up : _stockSchema, down : ''}]);
+        close(_dbWithIndex);
+        assert.deepStrictEqual(_warnings, []);
+      }
+      finally {
+        console.warn = _consoleWarn;
+      }
+    });
+
+    it('should send the increment and merge concurrent increments of all peers by summing them', function (done) {
+      app.upsert('stock', { id : 1, label : 'apple', quantity : 10 }, () => {
+        app.increment('stock', 1, 'quantity', -3, (err, sessionToken) => {
+          assert.ifError(err);
+          assert.strictEqual(sessionToken, '1.2');
+          assert.deepStrictEqual(messagesSentToPeer10[messagesSentToPeer10.length - 1].delta, { id : 1, quantity : -3 });
+          assert.deepStrictEqual(db.prepare('SELECT * FROM stock').all(), [{ id : 1, label : 'apple', quantity : 7 }]);
+          // Concurrent increment of another peer, in the past, and a label update
+          const _at = hlc.from(Date.now() - 100);
+          app._onPatchReceivedFromPeers({ at : _at, peer : 20, seq : 1, ver : 1, tab : 'stock', delta : { id : 1, quantity : 5 } });
+          app._onPatchReceivedFromPeers({ at : _at + 1, peer : 20, seq : 2, ver : 1, tab : 'stock', delta : { id : 1, label : 'old label' } });
+          app.increment('stock', 1, 'quantity', () => {
+            setTimeout(() => {
+              assert.deepStrictEqual(db.prepare('SELECT * FROM stock').all(), [{ id : 1, label : 'apple', quantity : 13 }]);
+              done();
+            }, 20);
+          });
+        });
+      });
+    });
+
+    it('should keep the sum of deleted patches in a local base row', function (done) {
+      const _oldAt = hlc.from(Date.now() - 5000);
+      app._onPatchReceivedFromPeers({ at : _oldAt, peer : 20, seq : 1, ver : 1, tab : 'stock', delta : { id : 1, quantity : 5 } });
+      app._onPatchReceivedFromPeers({ at : _oldAt + 1, peer : 20, seq : 2, ver : 1, tab : 'stock', delta : { id : 1, quantity : 2 } });
+      app._onPatchReceivedFromPeers({ at : _oldAt + 2, peer : 20, seq : 3, ver : 1, tab : 'stock', delta : { id : 2, label : 'no counter' } });
+      app._deleteOldPatches();
+      assert.deepStrictEqual(db.prepare('SELECT _patchedAt, _sequenceId, _peerId, id, quantity FROM stock_patches').all(), [
+        { _patchedAt : 0, _sequenceId : 0, _peerId : 0, id : 1, quantity : 7 }
+      ]);
+      app._onPatchReceivedFromPeers({ at : _oldAt + 3, peer : 20, seq : 4, ver : 1, tab : 'stock', delta : { id : 1, quantity : 1 } });
+      app._deleteOldPatches();
+      assert.deepStrictEqual(db.prepare('SELECT _patchedAt, _sequenceId, _peerId, id, quantity FROM stock_patches').all(), [
+        { _patchedAt : 0, _sequenceId : 0, _peerId : 0, id : 1, quantity : 8 }
+      ]);
+      app.increment('stock', 1, 'quantity', 2, () => {
+        assert.deepStrictEqual(db.prepare('SELECT id, quantity FROM stock WHERE id = 1').all(), [{ id : 1, quantity : 10 }]);
+        done();
+      });
+    });
+
+    it('should sum integers without overflow error and real numbers', function () {
+      assert.deepStrictEqual(db.prepare('SELECT keep_sum(value) AS total FROM (SELECT 1 AS value UNION ALL SELECT NULL UNION ALL SELECT 2)').get(), { total : 3 });
+      assert.deepStrictEqual(db.prepare('SELECT keep_sum(value) AS total FROM (SELECT 1 AS value UNION ALL SELECT 0.5)').get(), { total : 1.5 });
+      assert.deepStrictEqual(db.prepare('SELECT keep_sum(value) AS total FROM (SELECT NULL AS value)').get(), { total : null });
+      assert.deepStrictEqual(db.prepare('SELECT keep_sum(value) AS total FROM (SELECT 9223372036854775807 AS value UNION ALL SELECT 1)').get(), { total : 9223372036854775808 });
+    });
+
+    it('should return an error if the table, the counter column, the increment or the primary key is not valid', function (done) {
+      app.increment('unknown', 1, 'quantity', 1, (err) => {
+        assert.strictEqual(err.message, 'Table unknown not found');
+        app.increment('stock', 1, 'label', 1, (err) => {
+          assert.strictEqual(err.message, 'Column label is not a counter column of table stock');
+          app.increment('stock', 1, 'quantity', '1', (err) => {
+            assert.strictEqual(err.message, 'Invalid increment 1. It must be a finite number');
+            app.increment('stock', null, 'quantity', 1, (err) => {
+              assert.strictEqual(err.message, 'Invalid primary key for table stock. Expected columns: id');
+              assert.strictEqual(app.status().lastSequenceId, 0);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('history', function () {
+    let db, app;
+    beforeEach (function () {
+      db = connect(); // memory db
+      app = SQLiteOnSteroid(db, 1, { counterColumns : { testA : ['createdAt'] } });
+      app.migrate([{ up : _testSchema + 'CREATE INDEX testA_patches_pk_idx ON testA_patches (id, tenantId);', down : ''}]);
+    });
+    afterEach (function () {
+      close(db);
+    });
+
+    it('should return the ordered patches of a row with the merged value after each patch', function (done) {
+      const _at = hlc.from(Date.now() - 1000);
+      app._onPatchReceivedFromPeers({ at : _at + 1, peer : 20, seq : 1, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 2, name : 'a', createdAt : 10 } });
+      app._onPatchReceivedFromPeers({ at : _at + 1, peer : 21, seq : 1, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 2, name : 'b' } });
+      app._onPatchReceivedFromPeers({ at : _at, peer : 20, seq : 2, ver : 1, tab : 'testA', delta : { id : 2, tenantId : 2, name : 'other row' } });
+      app.upsert('testA', { id : 1, tenantId : 2, deletedAt : 5 }, () => {
+        app.increment('testA', { id : 1, tenantId : 2 }, 'createdAt', 2, () => {
+          const _history = app.history('testA', { tenantId : 2, id : 1 });
+          const _myPatchesAt = db.prepare('SELECT _patchedAt FROM testA_patches WHERE _peerId = 1 ORDER BY _sequenceId').pluck().all();
+          assert.deepStrictEqual(_history, [
+            { patchedAt : hlc.toUnixTimestamp(_at + 1), hlc : _at + 1, peerId : 20, sequenceId : 1, patch : { name : 'a', createdAt : 10 }, value : { id : 1, tenantId : 2, name : 'a', deletedAt : null, createdAt : 10, binary : null } },
+            { patchedAt : hlc.toUnixTimestamp(_at + 1), hlc : _at + 1, peerId : 21, sequenceId : 1, patch : { name : 'b' }, value : { id : 1, tenantId : 2, name : 'b', deletedAt : null, createdAt : 10, binary : null } },
+            { patchedAt : hlc.toUnixTimestamp(_myPatchesAt[0]), hlc : _myPatchesAt[0], peerId : 1, sequenceId : 1, patch : { deletedAt : 5 }, value : { id : 1, tenantId : 2, name : 'b', deletedAt : 5, createdAt : 10, binary : null } },
+            { patchedAt : hlc.toUnixTimestamp(_myPatchesAt[1]), hlc : _myPatchesAt[1], peerId : 1, sequenceId : 2, patch : { createdAt : 2 }, value : { id : 1, tenantId : 2, name : 'b', deletedAt : 5, createdAt : 12, binary : null } }
+          ]);
+          setImmediate(() => {
+            // the last merged value is the value of the table
+            assert.deepStrictEqual(db.prepare('SELECT * FROM testA WHERE id = 1').get(), _history[_history.length - 1].value);
+            assert.deepStrictEqual(app.history('testA', { id : 3, tenantId : 2 }), []);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should throw if the table or the primary key is not valid', function () {
+      assert.throws(() => app.history('unknown', 1), /Table unknown not found/);
+      assert.throws(() => app.history('testA', 1), /Invalid primary key for table testA. Expected columns: id, tenantId/);
+    });
+  });
+
+  describe('readAsOf', function () {
+    let db, app;
+    beforeEach (function () {
+      db = connect(); // memory db
+      app = SQLiteOnSteroid(db, 1, { counterColumns : { testA : ['createdAt'] } });
+      app.migrate([{ up : _testSchema + 'CREATE INDEX testA_patches_pk_idx ON testA_patches (id, tenantId);', down : ''}]);
+    });
+    afterEach (function () {
+      close(db);
+    });
+
+    it('should merge the patches received before a HLC timestamp or a date without touching the live table', function (done) {
+      const _now = Date.now();
+      const _at = hlc.from(_now - 1000);
+      app._onPatchReceivedFromPeers({ at : _at, peer : 20, seq : 1, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 2, name : 'a', createdAt : 10 } });
+      app._onPatchReceivedFromPeers({ at : _at + 1, peer : 20, seq : 2, ver : 1, tab : 'testA', delta : { id : 2, tenantId : 2, name : 'x' } });
+      app._onPatchReceivedFromPeers({ at : hlc.from(_now - 500), peer : 20, seq : 3, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 2, name : 'b', deletedAt : 3, createdAt : 5 } });
+      app._onPatchReceivedFromPeers({ at : hlc.from(_now - 500) + 1, peer : 21, seq : 1, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 2, name : 'c' } });
+      setImmediate(() => {
+        assert.deepStrictEqual(app.readAsOf('testA', { id : 1, tenantId : 2 }, _at), [{ id : 1, tenantId : 2, name : 'a', deletedAt : null, createdAt : 10, binary : null }]);
+        assert.deepStrictEqual(app.readAsOf('testA', {}, _at + 1).map(row => row.name), ['a', 'x']);
+        // all patches of the millisecond are included with a Date
+        assert.deepStrictEqual(app.readAsOf('testA', { id : 1 }, new Date(_now - 500)), [{ id : 1, tenantId : 2, name : 'c', deletedAt : 3, createdAt : 15, binary : null }]);
+        assert.deepStrictEqual(app.readAsOf('testA', { deletedAt : null }, new Date(_now)).map(row => row.id), [2]);
+        assert.deepStrictEqual(app.readAsOf('testA', { id : 3 }, new Date(_now)), []);
+        assert.deepStrictEqual(db.prepare('SELECT name FROM testA ORDER BY id').pluck().all(), ['c', 'x']);
+        done();
+      });
+    });
+
+    it('should read the live table for the rows and columns which have not been written during the retention window', function (done) {
+      const _now = Date.now();
+      const _db = connect();
+      const _app = SQLiteOnSteroid(_db, 1, { counterColumns : { testA : ['createdAt'] }, maxPatchRetentionMs : 2000 });
+      _app.migrate([{ up : _testSchema + 'CREATE INDEX testA_patches_pk_idx ON testA_patches (id, tenantId);', down : ''}]);
+      const _old = hlc.from(_now - 5000);
+      _app._onPatchReceivedFromPeers({ at : _old, peer : 20, seq : 1, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 2, name : 'a', deletedAt : 7, createdAt : 10 } });
+      _app._onPatchReceivedFromPeers({ at : _old + 1, peer : 20, seq : 2, ver : 1, tab : 'testA', delta : { id : 2, tenantId : 2, name : 'x', createdAt : 1 } });
+      _app._onPatchReceivedFromPeers({ at : _old + 2, peer : 20, seq : 3, ver : 1, tab : 'testA', delta : { id : 3, tenantId : 2, name : 'old' } });
+      _app._onPatchReceivedFromPeers({ at : hlc.from(_now - 1500), peer : 20, seq : 4, ver : 1, tab : 'testA', delta : { id : 4, tenantId : 2, name : 'in window' } });
+      _app._onPatchReceivedFromPeers({ at : hlc.from(_now - 500), peer : 20, seq : 5, ver : 1, tab : 'testA', delta : { id : 1, tenantId : 2, name : 'b' } });
+      _app._onPatchReceivedFromPeers({ at : hlc.from(_now - 500) + 1, peer : 20, seq : 6, ver : 1, tab : 'testA', delta : { id : 3, tenantId : 2, name : 'new' } });
+      setImmediate(() => {
+        _db.prepare("INSERT INTO testA (id, tenantId, name) VALUES (5, 2, 'without patch')").run();
+        _app._deleteOldPatches();
+        // name of row 1 has been written only after the time, and row 3 has only a patch after the time
+        assert.deepStrictEqual(_app.readAsOf('testA', { tenantId : 2 }, new Date(_now - 1000)), [
+          { id : 1, tenantId : 2, name : null, deletedAt : 7, createdAt : 10, binary : null },
+          { id : 2, tenantId : 2, name : 'x', deletedAt : null, createdAt : 1, binary : null },
+          { id : 4, tenantId : 2, name : 'in window', deletedAt : null, createdAt : null, binary : null },
+          { id : 5, tenantId : 2, name : 'without patch', deletedAt : null, createdAt : null, binary : null }
+        ]);
+        assert.deepStrictEqual(_app.readAsOf('testA', { id : 5, name : 'without patch' }, new Date(_now - 1000)).map(row => row.id), [5]);
+        assert.deepStrictEqual(_app.readAsOf('testA', { id : 1, deletedAt : 7 }, new Date(_now)).map(row => row.name), ['b']);
+        close(_db);
+        done();
+      });
+    });
+
+    it('should throw if the table, the filter or the time is not valid', function () {
+      assert.throws(() => app.readAsOf('unknown', {}, new Date()), /Table unknown not found/);
+      assert.throws(() => app.readAsOf('testA', { 'name; DROP TABLE testA' : 1 }, new Date()), /Unknown column name; DROP TABLE testA in table testA/);
+      assert.throws(() => app.readAsOf('testA', {}, 'yesterday'), /Invalid time. It must be a Date or a HLC timestamp/);
+      assert.throws(() => app.readAsOf('testA', {}, new Date(Date.now() - 1000 * 60 * 60 * 26)), /Cannot read a table before the patch retention window/);
+    });
+  });
+
   describe('selfTest', function () {
     let db, app;
     beforeEach (function () {
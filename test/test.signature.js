@@ -0,0 +1,42 @@
+const assert = require('assert');
+const signature = require('../lib/signature.js');
+
+describe('signature', function () {
+
+  describe('canonicalize', function () {
+    it('should sort object keys recursively and ignore the signature', function () {
+      const _msg = { type : 10, tab : 'a', at : 1, delta : { b : 1, a : [{ d : 1, c : 2 }] }, sig : 'abc' };
+      assert.strictEqual(signature.canonicalize(_msg), '{"at":1,"delta":{"a":[{"c":2,"d":1}],"b":1},"tab":"a","type":10}');
+    });
+  });
+
+  describe('sign / verify', function () {
+    const _msg = { type : 10, at : 1, peer : 1, seq : 1, ver : 1, tab : 'testA', delta : { id : 1, name : 'a' } };
+
+    it('should accept a message signed with one of the secrets, whatever the order of keys', function () {
+      const _signed = { ..._msg, sig : signature.sign(_msg, 'old') };
+      const _reordered = { sig : _signed.sig, delta : { name : 'a', id : 1 }, tab : 'testA', ver : 1, seq : 1, peer : 1, at : 1, type : 10 };
+      assert.strictEqual(signature.verify(_signed, ['old']), true);
+      assert.strictEqual(signature.verify(_reordered, ['new', 'old']), true);
+    });
+
+    it('should reject unsigned, modified messages, or messages signed with another secret', function () {
+      const _signed = { ..._msg, sig : signature.sign(_msg, 'secret') };
+      assert.strictEqual(signature.verify(_msg, ['secret']), false);
+      assert.strictEqual(signature.verify({ ..._signed, seq : 2 }, ['secret']), false);
+      assert.strictEqual(signature.verify({ ..._signed, delta : { id : 1, name : 'b' } }, ['secret']), false);
+      assert.strictEqual(signature.verify(_signed, ['other']), false);
+      assert.strictEqual(signature.verify({ ..._msg, sig : 'short' }, ['secret']), false);
+    });
+  });
+
+  describe('getClusterSecrets', function () {
+    it('should return the list of secrets, and throw if a secret is not a non-empty string', function () {
+      assert.deepStrictEqual(signature.getClusterSecrets('secret'), ['secret']);
+      assert.deepStrictEqual(signature.getClusterSecrets(['new', 'old']), ['new', 'old']);
+      assert.deepStrictEqual(signature.getClusterSecrets([]), []);
+      assert.throws(() => signature.getClusterSecrets(['new', '']), /Cluster secrets must be non-empty strings/);
+      assert.throws(() => signature.getClusterSecrets(42), /Cluster secrets must be non-empty strings/);
+    });
+  });
+});
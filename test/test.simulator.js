@@ -0,0 +1,119 @@
+const assert = require('assert');
+const Simulator = require('../simulator.js');
+
+describe('simulator', function () {
+
+  const _migrations = [{
+    up : `
+      CREATE TABLE testA (
+        id            INTEGER NOT NULL,
+        tenantId      INTEGER NOT NULL,
+        name          TEXT,
+        PRIMARY KEY (id, tenantId)
+      ) STRICT;
+
+      CREATE TABLE testA_patches (
+        _patchedAt    INTEGER  NOT NULL,
+        _sequenceId   INTEGER  NOT NULL,
+        _peerId       INTEGER  NOT NULL,
+
+        id            INTEGER NOT NULL,
+        tenantId      INTEGER NOT NULL,
+        name          TEXT
+      ) STRICT;
+
+      CREATE INDEX testA_patches_at_idx ON testA_patches (_patchedAt);
+    `,
+    down : ''
+  }];
+
+  let cluster = null;
+
+  afterEach (function () {
+    cluster?.stop();
+    cluster = null;
+  });
+
+  // Each peer writes nbRows rows, some of them are written by all peers (conflicts)
+  function writeOnAllPeers (nbRows, callback) {
+    let _nbWrites = 0;
+    for (const _peer of cluster.peers) {
+      for (let i = 1; i <= nbRows; i++) {
+        const _id = i % 2 === 0 ? i : _peer.peerId * 1000 + i;
+        _peer.app.upsert('testA', { id : _id, tenantId : 1, name : `peer ${_peer.peerId}` }, () => {
+          if (++_nbWrites === nbRows * cluster.peers.length) {
+            callback();
+          }
+        });
+      }
+    }
+  }
+
+  it('should create peers connected to each other and converge without faults', function (done) {
+    cluster = Simulator({ nbPeers : 3, migrations : _migrations, seed : 1 });
+    assert.deepStrictEqual(cluster.peers.map((peer) => peer.peerId), [1, 2, 3]);
+    assert.strictEqual(cluster.peer(2).app.myPeerId, 2);
+    writeOnAllPeers(10, () => {
+      cluster.converge((err) => {
+        assert.strictEqual(err, null);
+        cluster.assertConverged();
+        assert.strictEqual(cluster.peer(3).db.prepare('SELECT COUNT(*) FROM testA').pluck().get(), 20);
+        assert.strictEqual(cluster.stats.dropped, 0);
+        done();
+      });
+    });
+  });
+
+  it('should converge with message loss, duplication and reordering', function (done) {
+    cluster = Simulator({ nbPeers : 4, migrations : _migrations, seed : 42, network : { latencyMs : [0, 3], dropRate : 0.3, duplicateRate : 0.2, reorderRate : 0.3 } });
+    assert.strictEqual(cluster.seed, 42);
+    writeOnAllPeers(20, () => {
+      cluster.converge((err) => {
+        assert.strictEqual(err, null);
+        cluster.assertConverged(['testA']);
+        assert.strictEqual(cluster.stats.dropped > 0, true);
+        assert.strictEqual(cluster.stats.duplicated > 0, true);
+        assert.strictEqual(cluster.stats.reordered > 0, true);
+        done();
+      });
+    });
+  });
+
+  it('should not converge during a partition, and converge when it is healed', function (done) {
+    cluster = Simulator({ nbPeers : 3, migrations : _migrations, seed : 7 });
+    cluster.partition([1, 2], [3]);
+    cluster.peer(1).app.upsert('testA', { id : 1, tenantId : 1, name : 'peer 1' }, () => {
+      cluster.peer(3).app.upsert('testA', { id : 2, tenantId : 1, name : 'peer 3' }, () => {
+        cluster.converge((err, nbRounds) => {
+          assert.match(err.message, /Peers have not converged after 3 rounds \(seed 7\)/);
+          assert.strictEqual(nbRounds, 3);
+          assert.strictEqual(cluster.isConverged(), false);
+          assert.throws(() => cluster.assertConverged(), /Table testA of peer 3 has not converged with peer 1 \(seed 7\)/);
+          assert.deepStrictEqual(cluster.peer(2).db.prepare('SELECT id FROM testA').pluck().all(), [1]);
+          cluster.heal();
+          cluster.converge((err) => {
+            assert.strictEqual(err, null);
+            assert.deepStrictEqual(cluster.peer(3).db.prepare('SELECT id FROM testA ORDER BY id').pluck().all(), [1, 2]);
+            done();
+          });
+        }, { maxRounds : 3 });
+      });
+    });
+  });
+
+  it('should configure each link, and recover the last patches which are lost', function (done) {
+    cluster = Simulator({ nbPeers : 3, migrations : _migrations, seed : 3 });
+    cluster.setLink(1, 2, { dropRate : 0.5, latencyMs : [5, 10] });
+    cluster.partition([1, 3], [2]);
+    cluster.peer(1).app.upsert('testA', { id : 1, tenantId : 1, name : 'peer 1' }, () => {
+      // peer 2 knows the last sequence id of peer 1 only from its PING messages
+      cluster.heal();
+      cluster.converge((err) => {
+        assert.strictEqual(err, null);
+        assert.deepStrictEqual(cluster.peer(2).db.prepare('SELECT name FROM testA').pluck().all(), ['peer 1']);
+        assert.throws(() => cluster.setLink(1, 4, { dropRate : 1 }), /Unknown peer 4/);
+        done();
+      });
+    });
+  });
+});
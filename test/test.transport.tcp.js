@@ -0,0 +1,322 @@
+const assert = require('assert');
+const net = require('net');
+const Database = require('better-sqlite3');
+const SQLiteOnSteroid = require('../lib/index.js');
+const TcpTransport = require('../transport/tcp.js');
+const hlc = require('../lib/hlc.js');
+const signature = require('../lib/signature.js');
+
+describe('transport tcp', function () {
+
+  const _testSchema = `
+    CREATE TABLE testA (
+      id            INTEGER NOT NULL,
+      tenantId      INTEGER NOT NULL,
+      name          TEXT,
+      PRIMARY KEY (id, tenantId)
+    ) STRICT;
+
+    CREATE TABLE testA_patches (
+      _patchedAt    INTEGER  NOT NULL,
+      _sequenceId   INTEGER  NOT NULL,
+      _peerId       INTEGER  NOT NULL,
+
+      id            INTEGER NOT NULL,
+      tenantId      INTEGER NOT NULL,
+      name          TEXT
+    ) STRICT;
+
+    CREATE INDEX testA_patches_at_idx ON testA_patches (_patchedAt);
+  `;
+
+  let peers = [];
+
+  function createPeer (peerId, transportOptions, appOptions = {}) {
+    const _db = new Database(':memory:');
+    const _app = SQLiteOnSteroid(_db, peerId, { heartbeatIntervalMs : 0, ...appOptions });
+    _app.migrate([{ up : _testSchema, down : '' }]);
+    const _transport = TcpTransport(_app, { host : '127.0.0.1', reconnectMinDelayMs : 10, reconnectMaxDelayMs : 100, ...transportOptions });
+    const _peer = { db : _db, app : _app, transport : _transport };
+    peers.push(_peer);
+    return _peer;
+  }
+
+  function seedOf (peer) {
+    return `127.0.0.1:${peer.transport.address().port}`;
+  }
+
+  // Returns free TCP ports, to know the seeds of peers before they listen
+  function getFreePorts (nbPorts, callback, ports = []) {
+    if (ports.length === nbPorts) {
+      return callback(ports);
+    }
+    const _server = net.createServer();
+    _server.listen(0, '127.0.0.1', () => {
+      ports.push(_server.address().port);
+      _server.close(() => getFreePorts(nbPorts, callback, ports));
+    });
+  }
+
+  // Calls callback when fn() returns true
+  function waitFor (fn, callback) {
+    if (fn()) {
+      return callback();
+    }
+    setTimeout(waitFor, 10, fn, callback);
+  }
+
+  afterEach (function (done) {
+    let _nbStopped = 0;
+    const _peers = peers;
+    peers = [];
+    if (_peers.length === 0) {
+      return done();
+    }
+    for (const _peer of _peers) {
+      _peer.transport.stop(() => {
+        _peer.app.exit();
+        setTimeout(() => {
+          _peer.db.close();
+          if (++_nbStopped === _peers.length) {
+            hlc._reset();
+            done();
+          }
+        }, 20);
+      });
+    }
+  });
+
+  it('should form a mesh with a static seed list and replicate patches', function (done) {
+    const _peer1 = createPeer(1, { port : 0 });
+    _peer1.transport.start((err) => {
+      assert.strictEqual(err, null);
+      const _peer2 = createPeer(2, { port : 0, seeds : [seedOf(_peer1)] });
+      _peer2.transport.start(() => {
+        const _peer3 = createPeer(3, { seeds : [seedOf(_peer1), seedOf(_peer2)] });
+        _peer3.transport.start();
+        waitFor(() => _peer1.transport.connectedPeers().length === 2 && _peer2.transport.connectedPeers().length === 2, () => {
+          assert.deepStrictEqual(_peer3.transport.connectedPeers().sort(), [1, 2]);
+          _peer1.app.upsert('testA', { id : 1, tenantId : 1, name : 'from peer 1' }, () => {
+            waitFor(() => _peer3.db.prepare('SELECT COUNT(*) FROM testA').pluck().get() === 1, () => {
+              assert.deepStrictEqual(_peer2.db.prepare('SELECT name FROM testA').pluck().all(), ['from peer 1']);
+              assert.deepStrictEqual(_peer3.db.prepare('SELECT name FROM testA').pluck().all(), ['from peer 1']);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should keep only one connection if two peers dial each other, and ignore its own seed', function (done) {
+    getFreePorts(2, (ports) => {
+      const _seeds = ports.map((port) => `127.0.0.1:${port}`);
+      const _peer1 = createPeer(1, { port : ports[0], seeds : _seeds });
+      const _peer2 = createPeer(2, { port : ports[1], seeds : _seeds });
+      _peer1.transport.start();
+      _peer2.transport.start();
+      setTimeout(() => {
+        assert.deepStrictEqual(_peer1.transport.connectedPeers(), [2]);
+        assert.deepStrictEqual(_peer2.transport.connectedPeers(), [1]);
+        _peer2.app.upsert('testA', { id : 1, tenantId : 1, name : 'from peer 2' }, () => {
+          waitFor(() => _peer1.db.prepare('SELECT COUNT(*) FROM testA').pluck().get() === 1, () => {
+            assert.deepStrictEqual(_peer1.transport.connectedPeers(), [2]);
+            done();
+          });
+        });
+      }, 300);
+    });
+  });
+
+  it('should reconnect with backoff when the remote peer restarts', function (done) {
+    const _peer1 = createPeer(1, { port : 0 });
+    _peer1.transport.start(() => {
+      const _port = _peer1.transport.address().port;
+      const _peer2 = createPeer(2, { seeds : [seedOf(_peer1)] });
+      const _events = [];
+      _peer2.transport.event.on('peer:connected', (peerId) => _events.push(['connected', peerId]));
+      _peer2.transport.event.on('peer:disconnected', (peerId) => _events.push(['disconnected', peerId]));
+      _peer2.transport.start();
+      waitFor(() => _events.length === 1, () => {
+        _peer1.transport.stop(() => {
+          waitFor(() => _events.length === 2, () => {
+            // restart peer 1 on the same port
+            const _restartedTransport = TcpTransport(_peer1.app, { host : '127.0.0.1', port : _port });
+            _peer1.transport = _restartedTransport;
+            setTimeout(() => {
+              _restartedTransport.start(() => {
+                waitFor(() => _events.length === 3, () => {
+                  assert.deepStrictEqual(_events, [['connected', 1], ['disconnected', 1], ['connected', 1]]);
+                  assert.deepStrictEqual(_restartedTransport.connectedPeers(), [2]);
+                  done();
+                });
+              });
+            }, 50);
+          });
+        });
+      });
+    });
+  });
+
+  it('should frame large JSON and binary messages', function (done) {
+    const _peer1 = createPeer(1, { port : 0 }, { codec : 'binary' });
+    _peer1.transport.start(() => {
+      const _peer2 = createPeer(2, { seeds : [seedOf(_peer1)] }, { codec : 'binary' });
+      _peer2.transport.start();
+      waitFor(() => _peer1.transport.connectedPeers().length === 1, () => {
+        const _name = 'x'.repeat(300000);
+        // the first patch is sent in JSON, before the codec is negotiated with PING messages
+        _peer1.app.upsert('testA', { id : 1, tenantId : 1, name : _name }, () => {
+          _peer1.app._generatePingStatMessage();
+          _peer2.app._generatePingStatMessage();
+          setTimeout(() => {
+            _peer1.app.upsert('testA', { id : 2, tenantId : 1, name : _name + 'binary' }, () => {
+              waitFor(() => _peer2.db.prepare('SELECT COUNT(*) FROM testA').pluck().get() === 2, () => {
+                assert.deepStrictEqual(_peer2.db.prepare('SELECT length(name) FROM testA ORDER BY id').pluck().all(), [300000, 300006]);
+                done();
+              });
+            });
+          }, 50);
+        });
+      });
+    });
+  });
+
+  it('should close connections which send an invalid frame or no handshake', function (done) {
+    const _peer1 = createPeer(1, { port : 0, handshakeTimeoutMs : 50 });
+    _peer1.transport.start(() => {
+      const _port = _peer1.transport.address().port;
+      const _invalidFrame = net.connect({ host : '127.0.0.1', port : _port }, () => _invalidFrame.write(Buffer.from([0, 0, 0, 2, 1, 0x7B])));
+      const _noHandshake = net.connect({ host : '127.0.0.1', port : _port });
+      // a big frame is refused before the handshake, even if it is smaller than maxFrameSize
+      const _bigHandshake = net.connect({ host : '127.0.0.1', port : _port }, () => _bigHandshake.write(Buffer.from([0, 0, 0x10, 0x01, 0])));
+      let _nbClosed = 0;
+      const _onClose = () => {
+        if (++_nbClosed === 3) {
+          assert.deepStrictEqual(_peer1.transport.connectedPeers(), []);
+          done();
+        }
+      };
+      _invalidFrame.on('error', () => {}).resume(); // read the handshake of peer 1, to receive the end of the connection
+      _noHandshake.on('error', () => {}).resume();
+      _bigHandshake.on('error', () => {}).resume();
+      _invalidFrame.on('close', _onClose);
+      _noHandshake.on('close', _onClose);
+      _bigHandshake.on('close', _onClose);
+    });
+  });
+
+  it('should sign the handshake with clusterSecrets, and close connections without a valid handshake proof', function (done) {
+    const _secrets = { clusterSecrets : ['new', 'old'] };
+    const _peer1 = createPeer(1, { port : 0, handshakeTimeoutMs : 200, ..._secrets }, _secrets);
+    _peer1.transport.start(() => {
+      const _port = _peer1.transport.address().port;
+      const _peer2 = createPeer(2, { seeds : [seedOf(_peer1)], clusterSecrets : ['old', 'new'] }, _secrets); // key rotation
+      const _peer3 = createPeer(3, { seeds : [seedOf(_peer1)], clusterSecrets : 'wrong' }, _secrets);
+      _peer2.transport.start();
+      _peer3.transport.start();
+      // unsigned handshake, and handshake proof which signs another nonce (replayed)
+      const _writeHandshake = (socket, kind, msg) => {
+        const _payload = Buffer.from(JSON.stringify(msg));
+        const _header = Buffer.from([0, 0, 0, 0, kind]);
+        _header.writeUInt32BE(_payload.length + 1, 0);
+        socket.write(Buffer.concat([_header, _payload]));
+      };
+      const _unsigned = net.connect({ host : '127.0.0.1', port : _port }, () => _writeHandshake(_unsigned, 0, { peer : 4 }));
+      const _replayed = net.connect({ host : '127.0.0.1', port : _port }, () => {
+        const _proof = { peer : 5, nonce : 'recorded nonce' };
+        _writeHandshake(_replayed, 0, { peer : 5, nonce : 'abc' });
+        _writeHandshake(_replayed, 3, { ..._proof, sig : signature.sign(_proof, 'new') });
+      });
+      let _nbClosed = 0;
+      for (const _socket of [_unsigned, _replayed]) {
+        _socket.on('error', () => {}).resume();
+        _socket.on('close', () => _nbClosed++);
+      }
+      waitFor(() => _nbClosed === 2 && _peer1.transport.connectedPeers().length === 1 && _peer2.transport.connectedPeers().length === 1, () => {
+        assert.deepStrictEqual(_peer1.transport.connectedPeers(), [2]);
+        assert.deepStrictEqual(_peer2.transport.connectedPeers(), [1]);
+        assert.deepStrictEqual(_peer3.transport.connectedPeers(), []);
+        assert.throws(() => TcpTransport(_peer1.app, { clusterSecrets : [''] }), /Cluster secrets must be non-empty strings/);
+        done();
+      });
+    });
+  });
+
+  it('should dial the peers discovered by the app, to join the whole cluster with only one seed', function (done) {
+    getFreePorts(3, (ports) => {
+      const _discoveryOptions = (peerIndex) => ({ discovery : true, advertisedAddress : `127.0.0.1:${ports[peerIndex]}` });
+      const _peer1 = createPeer(1, { port : ports[0], discovery : true }, _discoveryOptions(0));
+      const _peer2 = createPeer(2, { port : ports[1], discovery : true, seeds : [`127.0.0.1:${ports[0]}`] }, _discoveryOptions(1));
+      const _peer3 = createPeer(3, { port : ports[2], discovery : true, seeds : [`127.0.0.1:${ports[0]}`] }, _discoveryOptions(2));
+      _peer1.transport.start();
+      _peer2.transport.start();
+      _peer3.transport.start();
+      waitFor(() => _peer1.transport.connectedPeers().length === 2, () => {
+        assert.deepStrictEqual(_peer3.transport.connectedPeers(), [1]);
+        // the first ping is persistent (without addresses), the next ones advertise the addresses
+        for (const _peer of [_peer2, _peer3, _peer2, _peer3]) {
+          _peer.app._generatePingStatMessage();
+        }
+        setTimeout(() => {
+          // peer 1 advertises the addresses of peer 2 and peer 3 to each other
+          _peer1.app._generatePingStatMessage();
+          _peer1.app._generatePingStatMessage();
+          waitFor(() => _peer2.transport.connectedPeers().length === 2 && _peer3.transport.connectedPeers().length === 2, () => {
+            assert.deepStrictEqual(_peer2.transport.connectedPeers().sort(), [1, 3]);
+            assert.deepStrictEqual(_peer3.transport.connectedPeers().sort(), [1, 2]);
+            done();
+          });
+        }, 50);
+      });
+    });
+  });
+
+  it('should replace the address of a discovered peer, and forget it after maxPeerDisconnectionToleranceMs without connection', function (done) {
+    // servers which close all connections without handshake, and count the connections
+    const _nbConnections = { old : 0, dead : 0 };
+    const _servers = {};
+    for (const _name in _nbConnections) {
+      _servers[_name] = net.createServer((socket) => {
+        _nbConnections[_name]++;
+        socket.destroy();
+      });
+    }
+    const _closeServers = () => {
+      for (const _name in _servers) {
+        _servers[_name].close();
+      }
+    };
+    _servers.old.listen(0, '127.0.0.1', () => _servers.dead.listen(0, '127.0.0.1', () => {
+      const _peer1 = createPeer(1, { port : 0 });
+      const _peer2 = createPeer(2, { discovery : true, maxPeerDisconnectionToleranceMs : 300 });
+      _peer1.transport.start(() => _peer2.transport.start(() => {
+        _peer2.app.event.emit('peer:discovered', 1, `127.0.0.1:${_servers.old.address().port}`);
+        _peer2.app.event.emit('peer:discovered', 3, `127.0.0.1:${_servers.dead.address().port}`);
+        waitFor(() => _nbConnections.old > 0, () => {
+          // peer 1 advertises a new address: the old one is not dialed anymore
+          _peer2.app.event.emit('peer:discovered', 1, seedOf(_peer1));
+          waitFor(() => _peer2.transport.connectedPeers().length === 1, () => {
+            const _nbOldConnections = _nbConnections.old;
+            // peer 3 has never been connected: it is forgotten after 300 ms
+            setTimeout(() => {
+              const _nbDeadConnections = _nbConnections.dead;
+              setTimeout(() => {
+                assert.strictEqual(_nbConnections.old, _nbOldConnections);
+                assert.strictEqual(_nbConnections.dead, _nbDeadConnections);
+                assert.deepStrictEqual(_peer2.transport.connectedPeers(), [1]);
+                _closeServers();
+                done();
+              }, 300);
+            }, 500);
+          });
+        });
+      }));
+    }));
+  });
+
+  it('should throw if a seed is invalid', function () {
+    assert.throws(() => TcpTransport({ myPeerId : 1 }, { seeds : ['localhost'] }), /Invalid seed "localhost". Expected "host:port" or \{ host, port \}/);
+    assert.throws(() => TcpTransport({ myPeerId : 1 }, { seeds : [{ host : 'localhost', port : 70000 }] }), /Invalid seed/);
+  });
+});